@@ -20,15 +20,32 @@ XMLファイルを生成します。
 
 【使い方】
   node cli.js <動画ファイルパス> [オプション]
+  node cli.js <動画1> <動画2> ... [オプション]   複数の素材を1つのシーケンスに
+  node cli.js <フォルダ> [オプション]             フォルダ内の動画をファイル名順に1つのシーケンスに
 
 【オプション】
   -o, --output <ディレクトリ>    出力先ディレクトリ (デフォルト: ./output)
   -s, --style <スタイル名>        保存済みのYouTubeスタイルを使用
-  -t, --threshold <dB>           無音検出の閾値 (デフォルト: -40dB)
+  -t, --threshold <dB|auto>      無音検出の閾値 (デフォルト: -40dB、auto で音量の分布から自動で決める)
+  --threshold-window <秒>        --threshold auto の閾値を区間ごとに決める (収録中に環境が変わる素材向け)
+  --compress-pauses <秒|auto>    無音・間を削除せず指定の長さに短縮 (auto で話者の自然な間の長さに合わせる)
+  --speed-ramp <種類>            指定した種類のカット候補を削除せず早送りにする (frozen_frame, silence など、カンマ区切り)
   -c, --chars <数>               テロップの1行最大文字数 (デフォルト: 20)
+  --caption-preset <名前>        テロップのスタイルプリセット (youtube/news/vlog/gaming/minimal)
   -p, --preview                  プレビュー動画を生成
   --with-captions                プレビューに字幕を焼き込む (--previewと併用)
   --output-format <形式>         出力形式 (mp4/mov/avi, デフォルト: mp4)
+  --edl-locators                 EDLにカット理由をロケーター（* LOC:）として出力
+  --relative-media               XML内のメディアパスをXMLからの相対パスで出力
+  --review-track                 削除した区間を無効化クリップとしてレビュー用トラックに配置
+  --format <形式>                追加で出力する形式 (fcpxml, otio, ttml, scc, jsx, カンマ区切りで複数指定可)
+  --link-captions <形式>         字幕ファイルをXMLのトラックとしてリンク (ttml, scc, srt)
+  --label-by <方法>              保持クリップのラベル色の付け方 (alternate/boundary/speaker/chapter/confidence)
+  --chapter-sequences            チャプターごとのシーケンスに分けてマスターシーケンスにネスト (長尺の動画向け)
+  --benchmark-analysis           動画解析を一括・従来の両方の方式で実行し、所要時間を比較
+  --source <動画ファイル>         .otio から再エクスポートする際の元動画 (省略時は .otio 内の参照)
+  --project <JSONファイル>        編集済みXMLと比較する元の _project.json (省略時はXMLと同じ場所)
+  --chapters <ファイル>          チャプターの指定 (YouTube概要欄形式の「0:00 タイトル」行、または JSON)
   -h, --help                     ヘルプを表示
 
 【例】
@@ -41,6 +58,17 @@ XMLファイルを生成します。
   # 無音検出の閾値を調整（より多くカット）
   node cli.js ./my-video.mp4 --threshold -35
 
+  # 無音検出の閾値をノイズフロアから自動で決める（途中で部屋が変わる収録は区間ごとに）
+  node cli.js ./my-video.mp4 --threshold auto
+  node cli.js ./my-video.mp4 --threshold auto --threshold-window 120
+
+  # 無音を削除せず0.25秒の間を残す（auto で話者の普段の間の長さに）
+  node cli.js ./talking-head.mp4 --compress-pauses 0.25
+  node cli.js ./talking-head.mp4 --compress-pauses auto
+
+  # 画面収録の固まった区間・黒画面をカットせずに早送り（4〜8倍速）
+  node cli.js ./tutorial.mp4 --speed-ramp frozen_frame,black_frame
+
   # テロップの長さを調整
   node cli.js ./my-video.mp4 --chars 25
 
@@ -53,11 +81,43 @@ XMLファイルを生成します。
   # 字幕を焼き込んだプレビューを生成
   node cli.js ./my-video.mp4 --preview --with-captions
 
+  # カメラごとのクリップを順番に並べて1つのシーケンスに
+  node cli.js ./clip01.mp4 ./clip02.mp4 ./clip03.mp4
+  node cli.js ./vlog-clips/
+
+  # DaVinci Resolve用にFCPXMLも出力
+  node cli.js ./my-video.mp4 --format fcpxml
+
+  # Premiereのキャプショントラック用にTTMLを出力し、XMLにリンク
+  node cli.js ./my-video.mp4 --format ttml --link-captions ttml
+
+  # XMLを経由せず、Premiere上でスクリプトを実行して編集を組み立てる
+  node cli.js ./my-video.mp4 --format jsx
+
+  # カット理由の種類でクリップを色分け（信頼度で色分けする場合は confidence）
+  node cli.js ./my-video.mp4 --label-by boundary
+
+  # 長尺の動画をチャプター（長い無音・指定したチャプター）ごとのシーケンスに分ける
+  node cli.js ./long-seminar.mp4 --chapter-sequences
+  node cli.js ./long-seminar.mp4 --chapters ./chapters.txt --chapter-sequences
+
+  # OpenTimelineIOで書き出し、編集済みの .otio から各ファイルを再エクスポート
+  node cli.js ./my-video.mp4 --format otio
+  node cli.js ./output/my-video_timeline.otio --output ./edited
+
+  # Premiereで編集して書き出したXMLを読み込み、自動カットとの差分をレポート
+  node cli.js ./edited-sequence.xml --project ./output/my-video_project.json
+
 【出力ファイル】
   ✓ <動画名>_project.xml  - Premiere Pro XMLプロジェクト
   ✓ <動画名>_edl.edl      - EDL (Edit Decision List)
   ✓ <動画名>_project.json - JSONプロジェクト（全情報）
   ✓ <動画名>_report.csv   - 編集レポート
+  ✓ <動画名>_project.fcpxml - FCPXML (--format fcpxml 使用時、Final Cut Pro / DaVinci Resolve用)
+  ✓ <動画名>_timeline.otio  - OpenTimelineIO (--format otio 使用時)
+  ✓ <動画名>_captions.dfxp  - TTML/DFXP字幕 (--format ttml 使用時、Premiereのキャプション用)
+  ✓ <動画名>_captions.scc   - SCC字幕 (--format scc 使用時、CEA-608・英数字のみ)
+  ✓ <動画名>_edit.jsx       - Premiere上で編集を組み立てるスクリプト (--format jsx 使用時)
   ✓ <動画名>_preview.mp4  - プレビュー動画 (--previewオプション使用時)
 
 【Premiere Proでの使い方】
@@ -74,23 +134,49 @@ XMLファイルを生成します。
   - API Keyエラー → .envファイルのOPENAI_API_KEYを確認
   - カットが多すぎる → --threshold を -45 など大きくする
   - カットが少なすぎる → --threshold を -35 など小さくする
+  - 間が詰まりすぎて息苦しい → --compress-pauses auto で間を短くして残す
+  - 閾値の調整が難しい → --threshold auto でノイズフロアから自動で決める
 
 ---
 💡 ヒント: config/default.config.js で詳細設定をカスタマイズできます
 `);
 }
 
+// オプションの値がない・不正な場合は使い方を表示して終了
+function exitWithUsageError(option, expected, value, placeholder) {
+  console.error(`\n❌ エラー: ${option} には${expected}を指定してください（${value ?? '未指定'}）\n`);
+  console.log(`使い方: node cli.js <動画ファイルパス> ${option} ${placeholder}`);
+  console.log('詳細: node cli.js --help\n');
+  process.exit(1);
+}
+
 // コマンドライン引数をパース
 function parseArgs(args) {
   const options = {
     videoPath: null,
+    videoPaths: [],
     outputDir: './output',
     styleName: null,
     silenceThreshold: -40,
+    thresholdWindow: null,
+    pauseTarget: null,
+    speedRampTypes: null,
     maxCharsPerLine: 20,
+    captionPreset: null,
     generatePreview: false,
     withCaptions: false,
     outputFormat: 'mp4',
+    edlLocators: false,
+    relativeMedia: false,
+    reviewTrack: false,
+    formats: [],
+    linkCaptions: null,
+    labelPolicy: null,
+    chapterSequences: null,
+    benchmarkAnalysis: false,
+    sourceVideo: null,
+    projectPath: null,
+    chaptersPath: null,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -104,23 +190,108 @@ function parseArgs(args) {
     } else if (arg === '-s' || arg === '--style') {
       options.styleName = args[++i];
     } else if (arg === '-t' || arg === '--threshold') {
-      options.silenceThreshold = parseFloat(args[++i]);
+      const threshold = args[++i];
+      if (threshold?.toLowerCase() === 'auto') {
+        options.silenceThreshold = 'auto';
+      } else if (threshold && Number.isFinite(Number(threshold))) {
+        options.silenceThreshold = Number(threshold);
+      } else {
+        exitWithUsageError(arg, 'dB の数値か auto ', threshold, '<dB|auto>');
+      }
+    } else if (arg === '--threshold-window') {
+      options.thresholdWindow = parseFloat(args[++i]);
+    } else if (arg === '--compress-pauses') {
+      const target = args[++i];
+      const seconds = Number(target);
+      if (target?.toLowerCase() === 'auto') {
+        options.pauseTarget = 'auto';
+      } else if (target && Number.isFinite(seconds) && seconds > 0) {
+        options.pauseTarget = seconds;
+      } else {
+        exitWithUsageError(arg, '0より大きい秒数か auto ', target, '<秒|auto>');
+      }
+    } else if (arg === '--speed-ramp') {
+      const types = args[++i];
+      if (!types) exitWithUsageError(arg, '早送りにするカット候補の種類', types, '<種類>');
+      options.speedRampTypes = types.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
     } else if (arg === '-c' || arg === '--chars') {
       options.maxCharsPerLine = parseInt(args[++i], 10);
+    } else if (arg === '--caption-preset') {
+      options.captionPreset = args[++i];
     } else if (arg === '--preview' || arg === '-p') {
       options.generatePreview = true;
     } else if (arg === '--with-captions') {
       options.withCaptions = true;
     } else if (arg === '--output-format') {
       options.outputFormat = args[++i];
+    } else if (arg === '--edl-locators') {
+      options.edlLocators = true;
+    } else if (arg === '--relative-media') {
+      options.relativeMedia = true;
+    } else if (arg === '--review-track') {
+      options.reviewTrack = true;
+    } else if (arg === '--project') {
+      options.projectPath = args[++i];
+    } else if (arg === '--source') {
+      options.sourceVideo = args[++i];
+    } else if (arg === '--format') {
+      const formats = args[++i];
+      if (!formats) exitWithUsageError(arg, '出力する形式', formats, '<形式>');
+      options.formats.push(...formats.split(',').map(f => f.trim().toLowerCase()).filter(Boolean));
+    } else if (arg === '--link-captions') {
+      const format = args[++i];
+      if (!format) exitWithUsageError(arg, 'リンクする字幕ファイルの形式', format, '<形式>');
+      options.linkCaptions = format.toLowerCase();
+    } else if (arg === '--label-by') {
+      const policy = args[++i];
+      if (!policy) exitWithUsageError(arg, 'ラベル色の付け方', policy, '<方法>');
+      options.labelPolicy = policy.toLowerCase();
+    } else if (arg === '--chapter-sequences') {
+      options.chapterSequences = true;
+    } else if (arg === '--benchmark-analysis') {
+      options.benchmarkAnalysis = true;
+    } else if (arg === '--chapters') {
+      options.chaptersPath = args[++i];
     } else if (!arg.startsWith('-')) {
-      options.videoPath = arg;
+      options.videoPaths.push(arg);
+      options.videoPath = options.videoPath || arg;
     }
   }
 
   return options;
 }
 
+// 「1:02:03」「12:34」「95.5」形式の時刻を秒に変換
+function parseChapterTime(value) {
+  const parts = String(value).split(':').map(Number);
+  if (parts.length > 3 || parts.some(part => !Number.isFinite(part) || part < 0)) return null;
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+// チャプターファイルを読み込む
+// JSON: [{start, name, sourceIndex}]（start は秒か「分:秒」、sourceIndex は複数素材の場合の素材の番号）
+// テキスト: YouTubeの概要欄と同じ「0:00 イントロ」形式の行（1本目の素材の時間）
+async function loadChapters(chaptersPath) {
+  const content = await fs.readFile(chaptersPath, 'utf-8');
+  const entries = path.extname(chaptersPath).toLowerCase() === '.json'
+    ? JSON.parse(content)
+    : content.split(/\r?\n/).filter(line => line.trim()).map(line => {
+      const match = line.trim().match(/^(\S+)\s+(.+)$/);
+      return match ? { start: match[1], name: match[2].replace(/^[-–—:]\s*/, '') } : { start: null, name: line.trim() };
+    });
+  if (!Array.isArray(entries)) {
+    throw new Error(`チャプターファイルは配列か「0:00 タイトル」形式の行で指定してください: ${chaptersPath}`);
+  }
+
+  return entries.map((entry, index) => {
+    const start = typeof entry.start === 'number' ? entry.start : parseChapterTime(entry.start);
+    if (start === null || !entry.name) {
+      throw new Error(`チャプター${index + 1}の時刻かタイトルが不正です: ${chaptersPath}`);
+    }
+    return { start, name: String(entry.name), sourceIndex: entry.sourceIndex ?? 0 };
+  });
+}
+
 // メイン処理
 async function main() {
   const args = process.argv.slice(2);
@@ -142,21 +313,86 @@ async function main() {
   }
 
   // ファイルが存在するか確認
-  if (!await fs.pathExists(options.videoPath)) {
-    console.error(`\n❌ エラー: ファイルが見つかりません: ${options.videoPath}\n`);
-    process.exit(1);
+  for (const videoPath of options.videoPaths) {
+    if (!await fs.pathExists(videoPath)) {
+      console.error(`\n❌ エラー: ファイルが見つかりません: ${videoPath}\n`);
+      process.exit(1);
+    }
+  }
+  let chapters;
+  if (options.chaptersPath) {
+    try {
+      chapters = await loadChapters(options.chaptersPath);
+    } catch (error) {
+      console.error(`\n❌ エラー: チャプターファイルを読み込めません: ${error.message}\n`);
+      process.exit(1);
+    }
   }
+  const isFolder = (await fs.stat(options.videoPath)).isDirectory();
+  const multiSource = options.videoPaths.length > 1 || isFolder;
 
   // パイプラインを初期化
   const pipeline = new AutoEditPipeline({
     autoCut: {
       silenceThreshold: options.silenceThreshold,
+      ...(options.thresholdWindow
+        ? { adaptiveThreshold: { scope: 'window', windowDuration: options.thresholdWindow } }
+        : {}),
+      ...(options.pauseTarget === 'auto'
+        ? { pauseCompression: { enabled: true, adaptive: { enabled: true } } }
+        : options.pauseTarget
+          ? { pauseCompression: { enabled: true, targetDuration: options.pauseTarget } }
+          : {}),
+      ...(options.speedRampTypes
+        ? { speedRamp: { enabled: true, types: options.speedRampTypes } }
+        : {}),
     },
     caption: {
       maxCharsPerLine: options.maxCharsPerLine,
+      stylePreset: options.captionPreset,
     },
   });
 
+  // Premiereで編集したXMLが指定された場合は自動カットとの差分をレポート
+  if (path.extname(options.videoPath).toLowerCase() === '.xml') {
+    const result = await pipeline.importEditedXML(options.videoPath, {
+      projectPath: options.projectPath,
+      outputDir: options.outputDir,
+    });
+
+    if (!result.success) {
+      console.error(`\n❌ エラーが発生しました: ${result.error}\n`);
+      process.exit(1);
+    }
+
+    console.log(`\n✅ 読み込み完了: ${Object.values(result.exportedFiles).map(f => path.basename(f)).join(', ')}\n`);
+    process.exit(0);
+  }
+
+  // 編集済みの .otio が指定された場合は解析を行わずに再エクスポート
+  if (path.extname(options.videoPath).toLowerCase() === '.otio') {
+    const result = await pipeline.reexportFromOTIO(options.videoPath, {
+      videoPath: options.sourceVideo,
+      outputDir: options.outputDir,
+      edlLocators: options.edlLocators,
+      relativeMedia: options.relativeMedia,
+      reviewTrack: options.reviewTrack,
+      formats: options.formats,
+      linkCaptions: options.linkCaptions,
+      labelPolicy: options.labelPolicy,
+      chapterSequences: options.chapterSequences,
+      chapters,
+    });
+
+    if (!result.success) {
+      console.error(`\n❌ エラーが発生しました: ${result.error}\n`);
+      process.exit(1);
+    }
+
+    console.log(`\n✅ 再エクスポート完了: ${Object.values(result.exportedFiles).map(f => path.basename(f)).join(', ')}\n`);
+    process.exit(0);
+  }
+
   console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║  🎬 Premiere Auto Edit - 処理開始                              ║
@@ -164,10 +400,30 @@ async function main() {
 `);
 
   console.log('📋 設定:');
-  console.log(`   入力動画: ${path.basename(options.videoPath)}`);
+  if (multiSource) {
+    console.log(`   入力素材: ${isFolder ? `${options.videoPath} (フォルダ)` : options.videoPaths.map(p => path.basename(p)).join(', ')}`);
+  } else {
+    console.log(`   入力動画: ${path.basename(options.videoPath)}`);
+  }
   console.log(`   出力先: ${options.outputDir}`);
-  console.log(`   無音閾値: ${options.silenceThreshold}dB`);
+  if (options.silenceThreshold === 'auto') {
+    console.log(`   無音閾値: 自動${options.thresholdWindow ? `（${options.thresholdWindow}秒ごと）` : ''}`);
+  } else {
+    console.log(`   無音閾値: ${options.silenceThreshold}dB`);
+  }
+  if (options.pauseTarget) {
+    console.log(`   間の短縮: ${options.pauseTarget === 'auto' ? '自動' : `${options.pauseTarget}秒`}`);
+  }
+  if (options.speedRampTypes) {
+    console.log(`   早送り: ${options.speedRampTypes.join(', ')}`);
+  }
+  if (chapters) {
+    console.log(`   チャプター: ${chapters.length}個 (${path.basename(options.chaptersPath)})`);
+  }
   console.log(`   テロップ文字数: ${options.maxCharsPerLine}文字/行`);
+  if (options.captionPreset) {
+    console.log(`   テロッププリセット: ${options.captionPreset}`);
+  }
   if (options.styleName) {
     console.log(`   スタイル: ${options.styleName}`);
   }
@@ -181,14 +437,26 @@ async function main() {
   console.log('');
 
   try {
-    // 処理を実行
-    const result = await pipeline.processVideo(options.videoPath, {
+    // 処理を実行（複数素材・フォルダの場合は1つのシーケンスに連結）
+    const pipelineOptions = {
       outputDir: options.outputDir,
       styleName: options.styleName,
       generatePreview: options.generatePreview,
       withCaptions: options.withCaptions,
       outputFormat: options.outputFormat,
-    });
+      edlLocators: options.edlLocators,
+      relativeMedia: options.relativeMedia,
+      reviewTrack: options.reviewTrack,
+      formats: options.formats,
+      linkCaptions: options.linkCaptions,
+      labelPolicy: options.labelPolicy,
+      chapterSequences: options.chapterSequences,
+      chapters,
+      benchmarkAnalysis: options.benchmarkAnalysis,
+    };
+    const result = multiSource
+      ? await pipeline.processMultipleVideos(isFolder ? options.videoPath : options.videoPaths, pipelineOptions)
+      : await pipeline.processVideo(options.videoPath, pipelineOptions);
 
     if (result.success) {
       console.log(`
@@ -208,7 +476,7 @@ async function main() {
    ✓ ${path.basename(result.exportedFiles.xml)}
    ✓ ${path.basename(result.exportedFiles.edl)}
    ✓ ${path.basename(result.exportedFiles.json)}
-   ✓ ${path.basename(result.exportedFiles.csv)}${result.previewVideo ? `\n   ✓ ${path.basename(result.previewVideo)} (プレビュー動画)` : ''}
+   ✓ ${path.basename(result.exportedFiles.csv)}${result.exportedFiles.fcpxml ? `\n   ✓ ${path.basename(result.exportedFiles.fcpxml)}` : ''}${result.exportedFiles.otio ? `\n   ✓ ${path.basename(result.exportedFiles.otio)}` : ''}${result.exportedFiles.ttml ? `\n   ✓ ${path.basename(result.exportedFiles.ttml)}` : ''}${result.exportedFiles.scc ? `\n   ✓ ${path.basename(result.exportedFiles.scc)}` : ''}${result.exportedFiles.jsx ? `\n   ✓ ${path.basename(result.exportedFiles.jsx)}` : ''}${result.previewVideo ? `\n   ✓ ${path.basename(result.previewVideo)} (プレビュー動画)` : ''}
 
 🎬 次のステップ:${result.previewVideo ? `\n   0. プレビュー動画で確認: ${path.basename(result.previewVideo)}` : ''}
    1. Premiere Proを開く
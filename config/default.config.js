@@ -14,12 +14,38 @@ export default {
     supportedFormats: ['.mp4', '.mov', '.avi', '.mkv'],
     // 一時ファイルの保存先
     tempDir: './data/cache',
+    // 解析（ffmpeg）の設定
+    analysis: {
+      // 'single': 1回のデコードで無音・シーン変化・音量・黒画面・静止画をまとめて解析
+      // 'parallel': 解析ごとにffmpegを並列に実行（従来の方式、音量は無音閾値が 'auto' の場合のみ解析）
+      mode: 'single',
+      // 音量（RMS）を測る間隔（秒）
+      audioLevelInterval: 0.1,
+      // 一括の解析と従来の方式の両方を実行して所要時間を比較（--benchmark-analysis でも指定可）
+      benchmark: false,
+    },
   },
 
   // 自動カット設定
   autoCut: {
-    // 無音検出の閾値（デシベル）
+    // 無音検出の閾値（デシベル、'auto' で音量の分布から素材ごとに決める）
     silenceThreshold: -40,
+    // silenceThreshold が 'auto' の場合の閾値の決め方
+    adaptiveThreshold: {
+      // 'file': 素材全体で1つの閾値、'window': 区間ごとに閾値を決める（収録中に部屋や環境が変わる素材向け）
+      scope: 'file',
+      // 'window' の区間の長さ（秒、半分ずつずらして推定）
+      windowDuration: 60,
+      // ノイズフロアと話し声のレベルの間のどこに閾値を置くか（0=ノイズフロア, 1=話し声）
+      position: 0.3,
+      // ノイズフロアと話し声のレベルの最小の差（dB）- これより近い場合は推定できないものとする
+      minSeparation: 10,
+      // 閾値の範囲（dB）
+      minThreshold: -70,
+      maxThreshold: -20,
+      // 推定できない場合の閾値（dB、'window' では推定できない区間は素材全体の閾値を使用）
+      fallback: -40,
+    },
     // 無音の最小継続時間（秒）
     silenceMinDuration: 0.5,
     // カット前後のバッファ（秒）
@@ -32,6 +58,57 @@ export default {
     useSceneChangesForCuts: true,
     // シーン変化カットの前後バッファ（秒）
     sceneChangeBuffer: 0.05,
+    // 黒画面（blackdetect）をカット候補にする（配信・画面収録のシーン切り替えやロード画面など）
+    blackFrames: {
+      enabled: true,
+      // カット候補にする最小継続時間（秒）
+      minDuration: 1.0,
+      // 黒とみなす画素の明るさ（0-1）
+      pixelThreshold: 0.1,
+      // 画面のうち黒い画素がこの割合以上なら黒画面（0-1）
+      pictureThreshold: 0.98,
+      // 信頼度（区間内で話している割合だけ下げる）
+      confidence: 0.9,
+    },
+    // 静止画（freezedetect）をカット候補にする（固まった配信画面など）
+    frozenFrames: {
+      enabled: true,
+      // カット候補にする最小継続時間（秒）- スライドなど意図した静止画を切らないよう長めに
+      minDuration: 5.0,
+      // 同じ画とみなすフレーム間の差分（dB、大きいほど圧縮ノイズなどの小さな動きを無視）
+      noise: -60,
+      // 信頼度（区間内で話している割合だけ下げる）
+      confidence: 0.8,
+    },
+    // カットせずに早送りする区間（チュートリアルの待ち時間など、削除すると流れが分からなくなる区間向け）
+    speedRamp: {
+      enabled: false,
+      // 早送りにするカット候補の種類（silence / filler / black_frame / frozen_frame など）
+      types: ['frozen_frame'],
+      // 最小・最大の速度（倍）
+      speed: 4,
+      maxSpeed: 8,
+      // 早送り後の長さの目安（秒）- この長さになるよう speed〜maxSpeed の範囲で速度を決める
+      targetDuration: 3.0,
+    },
+    // 無音・間を削除せずに短くする（すべて削除すると息継ぎのない詰まった印象になる場合向け）
+    pauseCompression: {
+      enabled: false,
+      // 短くするカット候補の種類
+      types: ['silence', 'pause'],
+      // 残す間の長さ（秒）- 前後の端を半分ずつ残し、中央を削除する
+      targetDuration: 0.25,
+      // 話者の自然な間（単語の間隔）の分布から残す長さを決める
+      adaptive: {
+        enabled: false,
+        percentile: 0.5, // 分布のどこを使うか（0.5 = 中央値）
+        minPause: 0.1, // 間とみなす単語の間隔（秒）
+        maxPause: 2.0,
+        minSamples: 10, // これより少ない場合は targetDuration を使う
+        minTarget: 0.15, // 残す長さの範囲（秒）
+        maxTarget: 0.6,
+      },
+    },
   },
 
   // 高度なカット検出設定（実験的機能）
@@ -62,6 +139,8 @@ export default {
     maxCharsPerLine: 20,
     // 最大行数
     maxLines: 2,
+    // スタイルプリセット（'youtube', 'news', 'vlog', 'gaming', 'minimal'、nullの場合はdefaultStyleのみ）
+    stylePreset: null,
     // デフォルトスタイル
     defaultStyle: {
       fontSize: 48,
@@ -76,6 +155,8 @@ export default {
     displayOffset: 0,
     // 最小表示時間（秒）
     minDisplayDuration: 1.0,
+    // カットで分割・トリムされたテロップ断片の最小表示時間（秒）- これより短い断片は削除
+    minFragmentDuration: 0.3,
     // YouTubeスタイル（句読点を削除）
     youtubeStyle: true,
     // 削除する句読点リスト
@@ -108,11 +189,137 @@ export default {
   premiere: {
     // エクスポート形式
     exportFormat: 'xml', // 'xml' or 'edl'
+    // XML/EDL/SRT/JSON/CSVに加えて出力する形式（'fcpxml', 'otio', 'ttml', 'scc', 'jsx'）
+    additionalFormats: [],
+    // 字幕ファイル（Premiereのキャプショントラック用）
+    captionFiles: {
+      // XMLに字幕ファイルのトラックとしてリンクする形式（'ttml', 'scc', 'srt'、nullでリンクしない）
+      linkInXML: null,
+    },
+    // XMLのオーディオトラック構成（入力動画の音声ストリームから作成）
+    audioTracks: {
+      // 'channel': チャンネルごとに1トラック（ステレオはA1/A2、ピンマイクのデュアルモノも別トラック）
+      // 'stream': 音声ストリームごとに1トラック（4ch以上の多重音声をストリーム単位で扱う場合）
+      layout: 'channel',
+    },
+    // XML内のメディアパスをXMLファイルからの相対パスにする（別のマシンへプロジェクトを移す場合）
+    relativeMediaPaths: false,
+    // XMLに出力するマーカー
+    markers: {
+      sceneChanges: true, // シーン変化（マーカー扱いのもの）
+      cutReasons: true, // カット位置と理由
+      speedRamps: true, // 早送りにした区間と速度
+      chapters: true, // チャプター
+      onClips: false, // シーケンスに加えてクリップにもマーカーを付与
+    },
+    // 削除区間のレビュー用トラック（無効化したクリップとしてカット位置に配置）
+    reviewTrack: {
+      enabled: false,
+      // カットの種類ごとのラベル色
+      labels: {
+        silence: 'Iris',
+        filler: 'Mango',
+        scene_change: 'Caribbean',
+        pause: 'Lavender',
+        speech_rate: 'Magenta',
+        black_frame: 'Purple',
+        frozen_frame: 'Teal',
+        short_clip: 'Tan', // 最小クリップ長未満で削除された区間
+        default: 'Tan',
+      },
+    },
+    // 保持クリップのラベル色
+    clipLabels: {
+      // 'alternate': 交互に色を付ける
+      // 'boundary': クリップの先頭で削除された区間の種類（無音・フィラー・シーン変化など）
+      // 'speaker': クリップ内で最も長く話している話者（テロップに speaker がある場合）
+      // 'chapter': チャプターごとに色を切り替える
+      // 'confidence': クリップの前後のカットの信頼度（低いほど要確認）
+      policy: 'alternate',
+      alternate: ['Rose', 'Cerulean'],
+      boundary: {
+        silence: 'Iris',
+        filler: 'Mango',
+        scene_change: 'Caribbean',
+        pause: 'Lavender',
+        speech_rate: 'Magenta',
+        black_frame: 'Purple',
+        frozen_frame: 'Teal',
+        manual: 'Brown',
+        speed_ramp: 'Yellow', // 早送りにしたクリップ
+        start: 'Forest', // 素材の先頭から始まるクリップ（直前に削除区間がない）
+        default: 'Tan',
+      },
+      speaker: {
+        colors: ['Cerulean', 'Rose', 'Forest', 'Mango', 'Violet', 'Teal'],
+        unknown: 'Tan',
+      },
+      chapter: ['Cerulean', 'Forest', 'Violet', 'Mango'],
+      confidence: {
+        highThreshold: 0.8,
+        lowThreshold: 0.6,
+        high: 'Forest',
+        medium: 'Yellow',
+        low: 'Rose',
+        none: 'Tan', // 前後にカットがないクリップ
+      },
+    },
+    // チャプターごとのシーケンス（長尺の動画向け、マスターシーケンスにネストして出力）
+    chapterSequences: {
+      enabled: false,
+      // チャプターの区切りに使うもの（'markers': 指定したチャプター、'silence': 長い無音、'scene_change': シーン変化）
+      sources: ['markers', 'silence'],
+      // チャプターの区切りとみなす無音の長さ（秒）
+      minSilence: 5.0,
+      // チャプターの最小の長さ（編集後の秒数）- 自動で見つけた区切りでこれより短いチャプターは作らない
+      minDuration: 60,
+    },
     // プロジェクト設定
+    // null の項目は入力動画のメタデータ（ffprobe）から自動設定。値を指定すると上書きする
     project: {
-      frameRate: 30,
-      width: 1920,
-      height: 1080,
+      // 30 / 29.97 / 23.976 / '30000/1001' などを指定可能（29.97等はNTSCレートとして扱う）
+      frameRate: null,
+      // NTSCレート（29.97/59.94）でドロップフレームタイムコードを使用するか
+      dropFrame: true,
+      width: null,
+      height: null,
+      // 'square', 'NTSC-601', 'PAL-601', 'HD-(1440x1080)' など
+      pixelAspectRatio: null,
+      audioSampleRate: null,
+      audioDepth: null,
+      audioChannels: null,
+      // メタデータが取得できない場合の値
+      fallback: {
+        frameRate: 30,
+        width: 1920,
+        height: 1080,
+        audioSampleRate: 48000,
+        audioDepth: 16,
+        audioChannels: 2,
+      },
+    },
+    // EDL (CMX3600) 出力設定
+    edl: {
+      // リール名（nullの場合は動画ファイル名から英数字8文字で生成）
+      reelName: null,
+      // 音声イベント（A/A2）を出力するか
+      includeAudio: true,
+      // ソースタイムコードのオフセット（素材の開始タイムコード）
+      // nullの場合は素材に記録された開始タイムコード（ffprobeの tags.timecode、無ければ 00:00:00:00）を使用
+      sourceTimecodeOffset: null,
+      // カット理由をロケーターコメント（* LOC:）として出力（DaVinci Resolve / Avid向け）
+      cutReasonLocators: false,
+    },
+    // 出力前の検証（XML・EDL・SRTの構造と時間の整合性。問題があればファイルを書き出さずにエラーにする）
+    validation: {
+      enabled: true,
+    },
+    // Premiereで編集したXMLの読み込み（自動カットとの比較）設定
+    roundTrip: {
+      // これより短い差分は無視（秒、フレームへの丸めや微調整による差を除外）
+      minDifference: 0.1,
+      // カット区間のうちこの割合以上が保持に戻されていれば「復元された」とみなす
+      restoredRatio: 0.5,
     },
   },
 
@@ -0,0 +1,58 @@
+/**
+ * 出力済みの _project.json から Premiere Pro 用の編集スクリプト（.jsx）を生成するスクリプト
+ * 使い方: node scripts/build-extension.js <_project.json> [出力先.jsx]
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import config from '../config/default.config.js';
+import { VideoAnalyzer } from '../src/analyzers/VideoAnalyzer.js';
+import { PremiereIntegration } from '../src/premiere/PremiereIntegration.js';
+
+async function main() {
+  const projectPath = process.argv[2];
+
+  if (!projectPath) {
+    console.log('使い方: node scripts/build-extension.js <_project.json> [出力先.jsx]');
+    console.log('例: node scripts/build-extension.js ./output/video_project.json\n');
+    process.exit(1);
+  }
+
+  const projectJson = await fs.readJson(projectPath);
+  const { project, edits } = projectJson;
+  const videoPath = project?.sourceVideo;
+  if (!videoPath || !edits?.keepClips) {
+    console.error(`❌ _project.json の形式ではありません: ${projectPath}`);
+    process.exit(1);
+  }
+
+  const premiereIntegration = new PremiereIntegration(config);
+
+  // シーケンスのフレームレートは素材から決める（素材が見つからない場合は設定の値）
+  let metadata = null;
+  if (await fs.pathExists(videoPath)) {
+    try {
+      metadata = await new VideoAnalyzer(config).getMetadata(videoPath);
+    } catch (error) {
+      console.log(`   ⚠️ 素材のメタデータを取得できませんでした: ${error.message}`);
+    }
+  }
+  const settings = premiereIntegration.resolveSequenceSettings(metadata);
+
+  const name = path.basename(projectPath, '.json').replace(/_project$/, '');
+  const cutCandidates = edits.cutCandidates || [];
+  const jsx = premiereIntegration.extendScriptExporter.generateJSX(videoPath, edits.keepClips, settings, {
+    markers: premiereIntegration.timelineMapper.buildMarkers(cutCandidates, edits.keepClips),
+    sources: project.sources,
+    name,
+  });
+
+  const jsxPath = process.argv[3] || path.join(path.dirname(projectPath), `${name}_edit.jsx`);
+  await fs.writeFile(jsxPath, jsx, 'utf-8');
+  console.log(`✅ 編集スクリプトを生成しました: ${jsxPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ エラー:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+// 音量のヒストグラムの範囲（dB、1dB刻み）
+const HISTOGRAM_FLOOR = -100;
+const HISTOGRAM_BINS = 101;
+
+/**
+ * 無音閾値の自動推定クラス
+ * 音量（RMS）の分布からノイズフロアと話し声のレベルを求め、その間に無音の閾値を置く。
+ * 静かなマイクでは閾値を下げ、騒がしい部屋では上げるため、固定の -40dB のような調整が不要になる。
+ * 収録中に環境が変わる素材向けに、一定の長さの区間ごとに閾値を求めることもできる
+ */
+export class SilenceThresholdEstimator {
+  constructor(config) {
+    this.config = config;
+  }
+
+  get settings() {
+    const adaptive = this.config.autoCut.adaptiveThreshold || {};
+    return {
+      scope: adaptive.scope ?? 'file',
+      windowDuration: adaptive.windowDuration ?? 60,
+      position: adaptive.position ?? 0.3,
+      minSeparation: adaptive.minSeparation ?? 10,
+      minThreshold: adaptive.minThreshold ?? -70,
+      maxThreshold: adaptive.maxThreshold ?? -20,
+      fallback: adaptive.fallback ?? -40,
+    };
+  }
+
+  /**
+   * 音量の列から無音閾値を推定
+   * @param {Array} levels - ブロックごとのRMSレベル（dB、デジタル無音は -Infinity）
+   * @param {number} interval - 1ブロックの長さ（秒）
+   * @returns {Object} {scope, threshold, noiseFloor, speechLevel, fallback, windows}
+   *   - threshold: 素材全体の閾値（windows がある場合は区間の閾値が優先）
+   *   - fallback: 分布から推定できず設定の fallback を使った場合 true
+   *   - windows: scope が 'window' の場合の区間ごとの結果 [{start, end, threshold, noiseFloor, speechLevel, inherited}]
+   */
+  estimate(levels, interval) {
+    const settings = this.settings;
+    const overall = this.estimateFromLevels(levels, settings);
+    const result = {
+      scope: settings.scope,
+      threshold: overall ? overall.threshold : settings.fallback,
+      noiseFloor: overall?.noiseFloor ?? null,
+      speechLevel: overall?.speechLevel ?? null,
+      fallback: !overall,
+      windows: [],
+    };
+    if (settings.scope !== 'window') return result;
+
+    // 区間の半分ずつずらして推定し、推定できない区間（無音を含まない区間など）は素材全体の閾値を使う
+    const windowBlocks = Math.max(1, Math.round(settings.windowDuration / interval));
+    const hopBlocks = Math.max(1, Math.round(windowBlocks / 2));
+    for (let first = 0; first === 0 || first + hopBlocks < levels.length; first += hopBlocks) {
+      const window = levels.slice(first, first + windowBlocks);
+      const estimated = this.estimateFromLevels(window, settings);
+      result.windows.push({
+        start: first * interval,
+        end: (first + window.length) * interval,
+        threshold: estimated ? estimated.threshold : result.threshold,
+        noiseFloor: estimated?.noiseFloor ?? null,
+        speechLevel: estimated?.speechLevel ?? null,
+        inherited: !estimated,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * ヒストグラムからノイズフロア・話し声のレベル・閾値を求める
+   * 判別分析（大津の方法）で分布を2つに分け、下側の最頻値をノイズフロア、上側の最頻値を話し声のレベルとする
+   * @returns {Object|null} {threshold, noiseFloor, speechLevel}（2つの山に分かれない場合は null）
+   */
+  estimateFromLevels(levels, settings = this.settings) {
+    const histogram = this.buildHistogram(levels);
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    // 5秒分（0.1秒間隔で50ブロック）に満たない場合は推定しない
+    if (total < 50) return null;
+
+    const split = this.otsuSplit(histogram, total);
+    if (split === null) return null;
+
+    const noiseFloor = this.modeLevel(histogram, 0, split);
+    const speechLevel = this.modeLevel(histogram, split, HISTOGRAM_BINS);
+    if (speechLevel - noiseFloor < settings.minSeparation) return null;
+
+    const threshold = noiseFloor + (speechLevel - noiseFloor) * settings.position;
+    return {
+      threshold: Math.min(settings.maxThreshold, Math.max(settings.minThreshold, Math.round(threshold * 10) / 10)),
+      noiseFloor,
+      speechLevel,
+    };
+  }
+
+  /**
+   * 1dB刻みのヒストグラム（デジタル無音の -Infinity は分布から除く）
+   */
+  buildHistogram(levels) {
+    const histogram = new Array(HISTOGRAM_BINS).fill(0);
+    for (const level of levels) {
+      if (!Number.isFinite(level)) continue;
+      const bin = Math.min(HISTOGRAM_BINS - 1, Math.max(0, Math.round(level - HISTOGRAM_FLOOR)));
+      histogram[bin]++;
+    }
+    return histogram;
+  }
+
+  /**
+   * クラス間分散が最大になる分割位置（この位置のビンから上側）
+   */
+  otsuSplit(histogram, total) {
+    const totalSum = histogram.reduce((sum, count, bin) => sum + count * bin, 0);
+    let lowerCount = 0;
+    let lowerSum = 0;
+    let best = null;
+    let bestVariance = 0;
+
+    for (let bin = 0; bin < HISTOGRAM_BINS - 1; bin++) {
+      lowerCount += histogram[bin];
+      lowerSum += histogram[bin] * bin;
+      const upperCount = total - lowerCount;
+      if (lowerCount === 0 || upperCount === 0) continue;
+
+      const meanDifference = lowerSum / lowerCount - (totalSum - lowerSum) / upperCount;
+      const variance = lowerCount * upperCount * meanDifference * meanDifference;
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        best = bin + 1;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * ヒストグラムの範囲 [from, to) で最も多いビンのレベル（dB）
+   */
+  modeLevel(histogram, from, to) {
+    let mode = from;
+    for (let bin = from; bin < to; bin++) {
+      if (histogram[bin] > histogram[mode]) mode = bin;
+    }
+    return mode + HISTOGRAM_FLOOR;
+  }
+
+  /**
+   * 推定した閾値で音量の列から無音区間を求める（VideoAnalyzer.detectSilence と同じ形式）
+   * @param {Array} levels - ブロックごとのRMSレベル（dB）
+   * @param {number} interval - 1ブロックの長さ（秒）
+   * @param {Object} estimate - estimate() の結果
+   * @param {number} minDuration - 無音の最小継続時間（秒）
+   * @param {number} totalDuration - 素材の長さ（秒、末尾のブロックの終了時刻に使用）
+   * @returns {Array} [{start, end, duration}]
+   */
+  detectSilences(levels, interval, estimate, minDuration, totalDuration = Infinity) {
+    const thresholdAt = index => {
+      if (estimate.windows.length === 0) return estimate.threshold;
+      // ブロックを中心が最も近い区間の閾値で判定
+      const time = (index + 0.5) * interval;
+      let nearest = estimate.windows[0];
+      for (const window of estimate.windows) {
+        if (Math.abs((window.start + window.end) / 2 - time) < Math.abs((nearest.start + nearest.end) / 2 - time)) {
+          nearest = window;
+        }
+      }
+      return nearest.threshold;
+    };
+
+    const silences = [];
+    let runStart = null;
+    const closeRun = endIndex => {
+      const start = runStart * interval;
+      const end = Math.min(endIndex * interval, totalDuration);
+      if (end - start >= minDuration) {
+        silences.push({ start, end, duration: end - start });
+      }
+      runStart = null;
+    };
+
+    levels.forEach((level, index) => {
+      if (level < thresholdAt(index)) {
+        if (runStart === null) runStart = index;
+      } else if (runStart !== null) {
+        closeRun(index);
+      }
+    });
+    if (runStart !== null) closeRun(levels.length);
+
+    return silences;
+  }
+}
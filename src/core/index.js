@@ -1,3 +1,5 @@
+import fs from 'fs-extra';
+import path from 'path';
 import config from '../../config/default.config.js';
 import { VideoAnalyzer } from '../analyzers/VideoAnalyzer.js';
 import { SpeechRecognizer } from '../analyzers/SpeechRecognizer.js';
@@ -7,13 +9,27 @@ import { CaptionGenerator } from '../generators/CaptionGenerator.js';
 import { YouTubeStyleLearner } from '../learners/YouTubeStyleLearner.js';
 import { PremiereIntegration } from '../premiere/PremiereIntegration.js';
 import { VideoRenderer } from '../renderers/VideoRenderer.js';
+import { TimelineMapper } from '../timeline/TimelineMapper.js';
+import { EditComparator } from '../timeline/EditComparator.js';
+
+/**
+ * 設定を上書き（オブジェクトは項目ごとに再帰的にマージし、配列やそれ以外の値は置き換える）
+ */
+function mergeConfig(base, override) {
+  const isObject = item => item && typeof item === 'object' && !Array.isArray(item);
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
 
 /**
  * メインの自動編集パイプライン
  */
 export class AutoEditPipeline {
   constructor(customConfig = {}) {
-    this.config = { ...config, ...customConfig };
+    this.config = mergeConfig(config, customConfig);
 
     // 各モジュールを初期化
     this.videoAnalyzer = new VideoAnalyzer(this.config);
@@ -23,6 +39,8 @@ export class AutoEditPipeline {
     this.styleLearner = new YouTubeStyleLearner(this.config);
     this.premiereIntegration = new PremiereIntegration(this.config);
     this.videoRenderer = new VideoRenderer(this.config);
+    this.timelineMapper = new TimelineMapper(this.config);
+    this.editComparator = new EditComparator(this.config);
   }
 
   /**
@@ -40,26 +58,12 @@ export class AutoEditPipeline {
     try {
       // 1. 動画解析
       console.log('【ステップ 1/5】動画解析');
-      const videoAnalysis = await this.videoAnalyzer.analyzeVideo(videoPath);
+      const videoAnalysis = await this.videoAnalyzer.analyzeVideo(videoPath, { benchmark: options.benchmarkAnalysis });
 
       // 2. 音声抽出と認識
       console.log('\n【ステップ 2/5】音声認識・文字起こし');
       const audioPath = await this.videoAnalyzer.extractAudio(videoPath);
-
-      let speechAnalysis;
-      try {
-        speechAnalysis = await this.speechRecognizer.analyzeSpeech(audioPath);
-      } catch (error) {
-        // OpenAI APIエラーの場合、デモモードにフォールバック
-        if (error.message.includes('Connection error') || error.message.includes('ECONNRESET')) {
-          console.log('\n⚠️  OpenAI APIへの接続に失敗しました');
-          console.log('   デモモードで続行します（サンプルデータを使用）\n');
-          const demoRecognizer = new DemoSpeechRecognizer(this.config);
-          speechAnalysis = await demoRecognizer.analyzeSpeech(audioPath);
-        } else {
-          throw error;
-        }
-      }
+      const speechAnalysis = await this.recognizeSpeech(audioPath);
 
       console.log(`\n📊 音声解析統計:`);
       console.log(`   - 総単語数: ${speechAnalysis.stats.totalWords}`);
@@ -90,10 +94,17 @@ export class AutoEditPipeline {
 
       console.log(`\n✂️  カット統計:`);
       console.log(`   - 元の長さ: ${cutResult.stats.totalDuration}秒`);
-      console.log(`   - カット数: ${cutResult.stats.totalCuts}`);
+      console.log(`   - カット数: ${cutResult.stats.totalCuts}（${cutResult.stats.totalCutDuration}秒）`);
       console.log(`   - 保持クリップ数: ${cutResult.stats.totalKeepClips}`);
       console.log(`   - 短縮率: ${cutResult.stats.reductionRate}`);
+      if (cutResult.stats.pauseCompression.count > 0) {
+        console.log(`   - 間の短縮: ${this.formatPauseCompression(cutResult.stats.pauseCompression)}`);
+      }
+      if (cutResult.stats.speedRamps.count > 0) {
+        console.log(`   - 早送り: ${this.formatSpeedRamps(cutResult.stats.speedRamps)}`);
+      }
       console.log(`   - 最終長さ: ${cutResult.stats.finalDuration}秒`);
+      console.log(`   - 無音閾値: ${this.formatSilenceThreshold(cutResult.stats.silenceThreshold)}`);
 
       // 5. テロップ生成
       console.log('\n【ステップ 5/5】テロップ生成');
@@ -108,6 +119,10 @@ export class AutoEditPipeline {
       console.log(`   - 平均長さ: ${captionStats.avgTextLength}文字`);
       console.log(`   - 平均表示時間: ${captionStats.avgDuration}秒`);
 
+      // テロップを編集後（カット後）のタイムラインに載せ替え
+      const timelineCaptions = this.timelineMapper.mapCaptions(captions, cutResult.keepClips);
+      console.log(`   - タイムライン配置: ${timelineCaptions.length}個（カット範囲内のテロップを除外・分割）`);
+
       // 6. Premiere Pro用にエクスポート
       console.log('\n【エクスポート】Premiere Proファイル生成');
       const outputDir = options.outputDir || './output';
@@ -116,8 +131,19 @@ export class AutoEditPipeline {
         videoPath,
         cutResult.keepClips,
         cutResult.cutCandidates,
-        captions,
-        cutResult.stats
+        timelineCaptions,
+        cutResult.stats,
+        {
+          metadata: videoAnalysis.metadata,
+          cutReasonLocators: options.edlLocators,
+          relativeMedia: options.relativeMedia,
+          chapters: options.chapters,
+          reviewTrack: options.reviewTrack,
+          formats: options.formats,
+          linkCaptions: options.linkCaptions,
+          labelPolicy: options.labelPolicy,
+          chapterSequences: options.chapterSequences,
+        }
       );
 
       // 7. プレビュー動画生成（オプション）
@@ -132,7 +158,7 @@ export class AutoEditPipeline {
               outputPath: outputDir,
               format: options.outputFormat || 'mp4',
               withCaptions: options.withCaptions || false,
-              captions: options.withCaptions ? captions : [],
+              captions: options.withCaptions ? timelineCaptions : [],
             }
           );
         } catch (error) {
@@ -154,6 +180,7 @@ export class AutoEditPipeline {
         speechAnalysis,
         cutResult,
         captions,
+        timelineCaptions,
         captionStats,
         exportedFiles,
         previewVideo,
@@ -170,6 +197,370 @@ export class AutoEditPipeline {
     }
   }
 
+  /**
+   * 複数の素材（カメラごとのクリップなど）を1つのシーケンスに自動編集
+   * 素材ごとに解析・音声認識・カット検出・テロップ生成を行い、保持クリップを素材の順に連結する。
+   * クリップ・カット候補・テロップには素材の番号（sourceIndex）とリール名（reel）を付与する
+   * @param {Array<string>|string} inputs - 素材のパス（シーケンス順）、またはフォルダ（ファイル名順）
+   * @param {Object} options - オプション（name: 出力名、その他はprocessVideoと同じ）
+   * @returns {Object} 編集結果
+   */
+  async processMultipleVideos(inputs, options = {}) {
+    console.log('\n🎬 ====== 複数素材の自動編集開始 ======\n');
+
+    const startTime = Date.now();
+
+    try {
+      const videoPaths = await this.resolveVideoPaths(inputs);
+      if (videoPaths.length === 0) {
+        throw new Error('素材の動画ファイルが見つかりません');
+      }
+      const reels = this.premiereIntegration.toReelNames(videoPaths);
+      const name = options.name || (typeof inputs === 'string'
+        ? path.basename(path.resolve(inputs))
+        : path.basename(videoPaths[0], path.extname(videoPaths[0])));
+
+      videoPaths.forEach((videoPath, i) => console.log(`📹 素材${i + 1}: ${videoPath} (リール ${reels[i]})`));
+
+      // スタイルはすべての素材で共通
+      let learnedStyle = null;
+      if (options.styleUrls && options.styleUrls.length > 0) {
+        learnedStyle = await this.styleLearner.learnFromVideos(options.styleUrls);
+      } else if (options.styleName) {
+        learnedStyle = await this.styleLearner.loadStyle(options.styleName);
+      }
+
+      const sources = [];
+      const keepClips = [];
+      const cutCandidates = [];
+      const captions = [];
+
+      for (const [sourceIndex, videoPath] of videoPaths.entries()) {
+        const reel = reels[sourceIndex];
+        console.log(`\n【素材 ${sourceIndex + 1}/${videoPaths.length}】${path.basename(videoPath)}`);
+
+        const videoAnalysis = await this.videoAnalyzer.analyzeVideo(videoPath, { benchmark: options.benchmarkAnalysis });
+        const audioPath = await this.videoAnalyzer.extractAudio(videoPath);
+        const speechAnalysis = await this.recognizeSpeech(audioPath);
+        const cutResult = this.autoCutDetector.detectCuts(videoAnalysis, speechAnalysis, learnedStyle);
+        const sourceCaptions = this.captionGenerator.generateCaptions(speechAnalysis.captions, learnedStyle);
+
+        const tag = item => ({ ...item, sourceIndex, reel });
+        keepClips.push(...cutResult.keepClips.map(tag));
+        cutCandidates.push(...cutResult.cutCandidates.map(tag));
+        captions.push(...sourceCaptions.map(tag));
+        sources.push({
+          path: videoPath,
+          reel,
+          duration: videoAnalysis.duration,
+          metadata: videoAnalysis.metadata,
+          stats: cutResult.stats,
+        });
+
+        console.log(`   - 保持クリップ: ${cutResult.keepClips.length}個 (${cutResult.stats.finalDuration}秒 / ${cutResult.stats.totalDuration}秒)`);
+        console.log(`   - 無音閾値: ${this.formatSilenceThreshold(cutResult.stats.silenceThreshold)}`);
+      }
+
+      const totalDuration = sources.reduce((sum, source) => sum + source.duration, 0);
+      const stats = {
+        ...this.autoCutDetector.generateStatistics(cutCandidates, keepClips, totalDuration),
+        sources: sources.map(source => ({ reel: source.reel, path: source.path, ...source.stats })),
+      };
+
+      console.log(`\n✂️  カット統計（全素材）:`);
+      console.log(`   - 元の長さ: ${stats.totalDuration}秒`);
+      console.log(`   - カット数: ${stats.totalCuts}（${stats.totalCutDuration}秒）`);
+      console.log(`   - 保持クリップ数: ${stats.totalKeepClips}`);
+      if (stats.pauseCompression.count > 0) {
+        console.log(`   - 間の短縮: ${this.formatPauseCompression(stats.pauseCompression)}`);
+      }
+      if (stats.speedRamps.count > 0) {
+        console.log(`   - 早送り: ${this.formatSpeedRamps(stats.speedRamps)}`);
+      }
+      console.log(`   - 最終長さ: ${stats.finalDuration}秒`);
+
+      // テロップを素材ごとの保持クリップに合わせて連結後のタイムラインに載せ替え
+      const timelineCaptions = this.timelineMapper.mapCaptions(captions, keepClips);
+      const captionStats = this.captionGenerator.generateStatistics(captions);
+      console.log(`   - テロップ配置: ${timelineCaptions.length}個`);
+
+      console.log('\n【エクスポート】Premiere Proファイル生成');
+      const outputDir = options.outputDir || './output';
+      const exportedFiles = await this.premiereIntegration.exportAll(
+        outputDir,
+        videoPaths[0],
+        keepClips,
+        cutCandidates,
+        timelineCaptions,
+        stats,
+        {
+          metadata: sources[0].metadata,
+          cutReasonLocators: options.edlLocators,
+          relativeMedia: options.relativeMedia,
+          chapters: options.chapters,
+          reviewTrack: options.reviewTrack,
+          formats: options.formats,
+          linkCaptions: options.linkCaptions,
+          labelPolicy: options.labelPolicy,
+          chapterSequences: options.chapterSequences,
+          sources,
+          name,
+        }
+      );
+
+      if (options.generatePreview) {
+        console.log('⚠️  複数素材のプロジェクトではプレビュー動画を生成しません');
+      }
+
+      const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`\n✅ ====== 処理完了 (${elapsedTime}秒) ======\n`);
+
+      await this.cleanup();
+
+      return {
+        success: true,
+        sources,
+        cutResult: { keepClips, cutCandidates, stats },
+        captions,
+        timelineCaptions,
+        captionStats,
+        exportedFiles,
+        previewVideo: null,
+        processingTime: elapsedTime,
+      };
+    } catch (error) {
+      console.error('\n❌ エラーが発生しました:', error.message);
+      console.error(error.stack);
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * 素材のパス一覧を解決
+   * フォルダの場合は対応形式（video.supportedFormats）の動画をファイル名順（数字は数値順）に並べる
+   * @param {Array<string>|string} inputs - パスの配列、またはフォルダ
+   * @returns {Promise<Array<string>>} 動画ファイルのパス
+   */
+  async resolveVideoPaths(inputs) {
+    if (Array.isArray(inputs)) {
+      return inputs;
+    }
+
+    const supportedFormats = this.config.video.supportedFormats || [];
+    const entries = await fs.readdir(inputs);
+    return entries
+      .filter(entry => supportedFormats.includes(path.extname(entry).toLowerCase()))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(entry => path.join(inputs, entry));
+  }
+
+  /**
+   * 音声認識（OpenAI APIに接続できない場合はデモモードにフォールバック）
+   */
+  async recognizeSpeech(audioPath) {
+    try {
+      return await this.speechRecognizer.analyzeSpeech(audioPath);
+    } catch (error) {
+      // OpenAI APIエラーの場合、デモモードにフォールバック
+      if (error.message.includes('Connection error') || error.message.includes('ECONNRESET')) {
+        console.log('\n⚠️  OpenAI APIへの接続に失敗しました');
+        console.log('   デモモードで続行します（サンプルデータを使用）\n');
+        const demoRecognizer = new DemoSpeechRecognizer(this.config);
+        return demoRecognizer.analyzeSpeech(audioPath);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 統計の間の短縮（AutoCutDetector.generateStatistics()）を表示用の文字列に変換
+   */
+  formatPauseCompression(pauseCompression) {
+    return `${pauseCompression.count}箇所 ${pauseCompression.originalDuration}秒 → ${pauseCompression.keptDuration}秒（${pauseCompression.compressedDuration}秒短縮）`;
+  }
+
+  /**
+   * 統計の早送り（AutoCutDetector.generateStatistics()）を表示用の文字列に変換
+   */
+  formatSpeedRamps(speedRamps) {
+    return `${speedRamps.count}区間 ${speedRamps.sourceDuration}秒 → ${speedRamps.finalDuration}秒（${speedRamps.savedDuration}秒短縮）`;
+  }
+
+  /**
+   * 統計の無音閾値（AutoCutDetector.generateStatistics()）を表示用の文字列に変換
+   */
+  formatSilenceThreshold(silenceThreshold) {
+    if (!silenceThreshold) return '-';
+    const { threshold, noiseFloor, speechLevel, windows } = silenceThreshold;
+    if (silenceThreshold.mode !== 'auto') return `${threshold}dB`;
+    if (silenceThreshold.fallback) return `${threshold}dB（自動: ノイズフロアを推定できず既定値を使用）`;
+    if (windows) {
+      const thresholds = windows.map(window => window.threshold);
+      return `${Math.min(...thresholds)}〜${Math.max(...thresholds)}dB（自動: ${windows.length}区間、全体 ${threshold}dB）`;
+    }
+    return `${threshold}dB（自動: ノイズフロア ${noiseFloor}dB / 話し声 ${speechLevel}dB）`;
+  }
+
+  /**
+   * 編集済みのOTIOタイムラインから各ファイルを再エクスポート
+   * 解析・音声認識は行わず、.otio の保持クリップとテロップをそのまま使う
+   * @param {string} otioPath - 編集済みの .otio ファイル
+   * @param {Object} options - オプション（videoPath: 元動画のパスを上書き、その他はprocessVideoと同じ出力オプション）
+   * @returns {Object} 再エクスポート結果
+   */
+  async reexportFromOTIO(otioPath, options = {}) {
+    console.log('\n🔁 ====== OTIOから再エクスポート ======\n');
+    console.log(`📄 入力タイムライン: ${otioPath}\n`);
+
+    try {
+      const timeline = await this.premiereIntegration.otioAdapter.readOTIO(otioPath);
+      const videoPath = options.videoPath || timeline.videoPath;
+      if (!videoPath) {
+        throw new Error('OTIOに元動画の参照がありません（videoPathを指定してください）');
+      }
+
+      // 元動画が手元にあればメタデータからシーケンス設定を決める
+      let metadata = null;
+      try {
+        metadata = await this.videoAnalyzer.getMetadata(videoPath);
+      } catch (error) {
+        console.log(`⚠️  元動画のメタデータを取得できません: ${error.message}`);
+      }
+
+      const totalDuration = timeline.sourceDuration ||
+        Math.max(0, ...timeline.keepClips.map(clip => clip.end));
+      const stats = this.autoCutDetector.generateStatistics(timeline.cutCandidates, timeline.keepClips, totalDuration);
+
+      console.log(`   - 保持クリップ数: ${timeline.keepClips.length}`);
+      console.log(`   - テロップ数: ${timeline.captions.length}`);
+      console.log(`   - 最終長さ: ${stats.finalDuration}秒`);
+
+      const exportedFiles = await this.premiereIntegration.exportAll(
+        options.outputDir || './output',
+        videoPath,
+        timeline.keepClips,
+        timeline.cutCandidates,
+        timeline.captions,
+        stats,
+        {
+          metadata,
+          cutReasonLocators: options.edlLocators,
+          relativeMedia: options.relativeMedia,
+          chapters: [...timeline.chapters, ...(options.chapters || [])],
+          reviewTrack: options.reviewTrack,
+          formats: options.formats,
+          linkCaptions: options.linkCaptions,
+          labelPolicy: options.labelPolicy,
+          chapterSequences: options.chapterSequences,
+        }
+      );
+
+      return {
+        success: true,
+        videoPath,
+        keepClips: timeline.keepClips,
+        captions: timeline.captions,
+        stats,
+        exportedFiles,
+      };
+    } catch (error) {
+      console.error('\n❌ エラーが発生しました:', error.message);
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Premiereで編集したXMLを読み込み、自動カットとの差分をレポート
+   * 元の _project.json と比較し、人が復元したカット・追加したカットを求めて
+   * 編集後の状態を _roundtrip.json（_project.json と同じ形式）と _roundtrip.csv に出力する
+   * @param {string} xmlPath - Premiereから書き出したxmeml
+   * @param {Object} options - オプション（projectPath: 元の _project.json、outputDir: 出力先）
+   * @returns {Object} 読み込み結果
+   */
+  async importEditedXML(xmlPath, options = {}) {
+    console.log('\n🔁 ====== 編集済みXMLの読み込み ======\n');
+    console.log(`📄 入力XML: ${xmlPath}\n`);
+
+    try {
+      const xml = await fs.readFile(xmlPath, 'utf-8');
+      const xmlDir = path.dirname(xmlPath);
+      const sequenceName = this.premiereIntegration.xmemlParser.parseXMEML(xml, { xmlDir }).name;
+
+      // 元の自動カット結果（省略時はXMLと同じディレクトリの <シーケンス名>_project.json）
+      const projectPath = options.projectPath || path.join(xmlDir, `${sequenceName}_project.json`);
+      if (!await fs.pathExists(projectPath)) {
+        throw new Error(`元のプロジェクトファイルが見つかりません: ${projectPath}`);
+      }
+      const original = await fs.readJson(projectPath);
+
+      // 複数素材のプロジェクトはクリップの素材を元の素材一覧の sourceIndex に対応付けて読み込み直す
+      const sources = original.project.sources;
+      const edited = sources?.length > 1
+        ? this.premiereIntegration.xmemlParser.parseXMEML(xml, { xmlDir, sources: sources.map(source => source.path) })
+        : this.premiereIntegration.xmemlParser.parseXMEML(xml, { xmlDir });
+      const sourceVideo = edited.sourceVideo || original.project.sourceVideo;
+      const totalDuration = parseFloat(original.edits.stats?.totalDuration) ||
+        Math.max(0, ...original.edits.keepClips.map(clip => clip.end), ...edited.keepClips.map(clip => clip.end));
+
+      const comparison = this.editComparator.compare(
+        original.edits.keepClips,
+        original.edits.cutCandidates,
+        edited.keepClips,
+        sources?.length > 1 ? sources.map(source => source.duration || 0) : totalDuration
+      );
+      const cutCandidates = this.editComparator.applyToCutCandidates(original.edits.cutCandidates, comparison);
+      const stats = this.autoCutDetector.generateStatistics(cutCandidates, edited.keepClips, totalDuration);
+
+      const project = this.premiereIntegration.generateProjectJSON(
+        sourceVideo, edited.keepClips, cutCandidates, edited.captions, stats, sources?.length > 1 ? sources : null
+      );
+      project.project.importedFrom = path.resolve(xmlPath);
+      project.edits.markers = edited.markers;
+      project.roundTrip = comparison;
+
+      console.log(`   - 保持クリップ数: ${original.edits.keepClips.length} → ${edited.keepClips.length}`);
+      console.log(`   - 復元されたカット: ${comparison.summary.restoredCount}個 (${comparison.summary.restoredDuration}秒)`);
+      console.log(`   - 追加されたカット: ${comparison.summary.addedCount}個 (${comparison.summary.addedDuration}秒)`);
+      for (const [type, typeStats] of Object.entries(comparison.byType)) {
+        console.log(`   - ${type}: ${typeStats.restored}/${typeStats.total}個を復元 (${typeStats.restoreRate})`);
+      }
+
+      const outputDir = options.outputDir || './output';
+      await fs.ensureDir(outputDir);
+      const baseName = edited.name || path.basename(xmlPath, path.extname(xmlPath));
+      const jsonPath = path.join(outputDir, `${baseName}_roundtrip.json`);
+      const csvPath = path.join(outputDir, `${baseName}_roundtrip.csv`);
+      await fs.writeJson(jsonPath, project, { spaces: 2 });
+      await fs.writeFile(csvPath, this.premiereIntegration.generateRoundTripReport(comparison), 'utf-8');
+
+      console.log('\n📦 エクスポート完了:');
+      console.log(`   - JSON: ${jsonPath}`);
+      console.log(`   - CSV Report: ${csvPath}`);
+
+      return {
+        success: true,
+        project,
+        comparison,
+        exportedFiles: { json: jsonPath, csv: csvPath },
+      };
+    } catch (error) {
+      console.error('\n❌ エラーが発生しました:', error.message);
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * YouTubeスタイルを学習して保存
    */
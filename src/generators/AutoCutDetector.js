@@ -62,10 +62,54 @@ export class AutoCutDetector {
       });
     }
 
+    // 4. 黒画面・静止画からカット候補を生成
+    const speechSegments = speechAnalysis.transcription?.segments || [];
+    candidates.push(
+      ...this.generateFrameCandidates(videoAnalysis.blackFrames, 'black_frame', '黒画面', this.config.autoCut.blackFrames, speechSegments, videoAnalysis.duration),
+      ...this.generateFrameCandidates(videoAnalysis.freezes, 'frozen_frame', '静止画', this.config.autoCut.frozenFrames, speechSegments, videoAnalysis.duration)
+    );
+
     // カット候補をソート
     return candidates.sort((a, b) => a.start - b.start);
   }
 
+  /**
+   * 黒画面・静止画の区間からカット候補を生成
+   * 区間内で話している場合（黒画面やスライドの上で話しているなど）はその割合だけ信頼度を下げる
+   * @param {Array} events - VideoAnalyzerの blackFrames / freezes [{start, end, duration}]
+   * @param {Object} settings - config.autoCut.blackFrames / frozenFrames
+   * @param {Array} speechSegments - 文字起こしのセグメント [{start, end}]
+   * @param {number} totalDuration - 動画の長さ（末尾まで続く静止画の終了時刻に使用）
+   */
+  generateFrameCandidates(events = [], type, label, settings = {}, speechSegments = [], totalDuration = 0) {
+    if (!settings || settings.enabled === false) return [];
+
+    const candidates = [];
+    for (const event of events) {
+      const start = event.start;
+      const end = event.end ?? totalDuration;
+      const duration = end - start;
+      if (!(duration > 0) || duration < (settings.minDuration ?? 0)) continue;
+
+      const speech = speechSegments.reduce(
+        (sum, segment) => sum + Math.max(0, Math.min(end, segment.end) - Math.max(start, segment.start)), 0
+      );
+      const speechRatio = Math.min(1, speech / duration);
+
+      candidates.push({
+        start,
+        end,
+        duration,
+        type,
+        reason: speechRatio > 0
+          ? `${label}: ${duration.toFixed(1)}秒（発話 ${Math.round(speechRatio * 100)}%）`
+          : `${label}: ${duration.toFixed(1)}秒`,
+        confidence: (settings.confidence ?? 0.8) * (1 - speechRatio),
+      });
+    }
+    return candidates;
+  }
+
   /**
    * 無音の信頼度を計算
    * より長い無音ほど高い信頼度
@@ -77,8 +121,111 @@ export class AutoCutDetector {
     return 0.95;
   }
 
+  /**
+   * 早送りにする種類のカット候補に disposition: 'speed' を付ける（config.autoCut.speedRamp）
+   * 早送りの候補は削除せず、generateKeepClips() で速度を変えた保持クリップになる
+   */
+  applySpeedRamp(candidates) {
+    const settings = this.config.autoCut.speedRamp;
+    if (!settings?.enabled) return candidates;
+
+    const types = new Set(settings.types || []);
+    return candidates.map(candidate =>
+      !candidate.isMarker && types.has(candidate.type) ? { ...candidate, disposition: 'speed' } : candidate
+    );
+  }
+
+  /**
+   * 無音・間の候補を、前後の端を残して中央だけを削除する候補（disposition: 'compress'）に変える（config.autoCut.pauseCompression）
+   * 残す長さ以下の候補はカットしない。早送りにする候補は対象外
+   * @param {number|null} targetDuration - 残す間の長さ（秒、resolvePauseTarget() の結果、null なら変更しない）
+   */
+  applyPauseCompression(candidates, targetDuration) {
+    if (targetDuration === null) return candidates;
+
+    const types = new Set(this.config.autoCut.pauseCompression?.types || ['silence', 'pause']);
+    const handle = targetDuration / 2;
+    const compressed = [];
+    for (const candidate of candidates) {
+      if (candidate.isMarker || candidate.disposition || !types.has(candidate.type)) {
+        compressed.push(candidate);
+        continue;
+      }
+
+      const pauseDuration = candidate.end - candidate.start;
+      if (pauseDuration <= targetDuration) continue;
+      compressed.push({
+        ...candidate,
+        start: candidate.start + handle,
+        end: candidate.end - handle,
+        duration: pauseDuration - targetDuration,
+        disposition: 'compress',
+        originalDuration: pauseDuration,
+        keptDuration: targetDuration,
+        reason: `${candidate.reason}（${pauseDuration.toFixed(2)}秒 → ${targetDuration}秒）`,
+      });
+    }
+    return compressed;
+  }
+
+  /**
+   * 間を短くする場合に残す長さを決める
+   * adaptive が有効なら、文字起こしの単語の間隔（話者の自然な間）の percentile の値を minTarget〜maxTarget に収めて使う
+   * @returns {Object|null} {mode, targetDuration, samples, fallback}（無効の場合は null）
+   *   - fallback: 自然な間が minSamples 個未満で targetDuration を使った場合 true
+   */
+  resolvePauseTarget(speechAnalysis) {
+    const settings = this.config.autoCut.pauseCompression;
+    if (!settings?.enabled) return null;
+
+    const fixed = settings.targetDuration ?? 0.25;
+    const adaptive = settings.adaptive || {};
+    if (!adaptive.enabled) {
+      return { mode: 'fixed', targetDuration: fixed };
+    }
+
+    const pauses = this.collectNaturalPauses(speechAnalysis, adaptive).sort((a, b) => a - b);
+    if (pauses.length < (adaptive.minSamples ?? 10)) {
+      return { mode: 'adaptive', targetDuration: fixed, samples: pauses.length, fallback: true };
+    }
+
+    const percentile = Math.min(1, Math.max(0, adaptive.percentile ?? 0.5));
+    const value = pauses[Math.round(percentile * (pauses.length - 1))];
+    const target = Math.min(adaptive.maxTarget ?? 0.6, Math.max(adaptive.minTarget ?? 0.15, value));
+    return { mode: 'adaptive', targetDuration: Math.round(target * 100) / 100, samples: pauses.length, fallback: false };
+  }
+
+  /**
+   * 文字起こしの単語（単語がなければセグメント）の間隔のうち、間とみなす長さのもの（秒）
+   */
+  collectNaturalPauses(speechAnalysis, { minPause = 0.1, maxPause = 2.0 } = {}) {
+    const transcription = speechAnalysis.transcription || {};
+    const items = transcription.words?.length > 0 ? transcription.words : transcription.segments || [];
+    const pauses = [];
+    for (let i = 1; i < items.length; i++) {
+      const gap = items[i].start - items[i - 1].end;
+      if (gap >= minPause && gap <= maxPause) pauses.push(gap);
+    }
+    return pauses;
+  }
+
+  /**
+   * 早送りの速度を決める
+   * 早送り後の長さが targetDuration 程度になる速度を speed〜maxSpeed の範囲に収める（0.1倍単位）
+   * @param {number} duration - 早送りにする区間の長さ（秒）
+   */
+  resolveRampSpeed(duration) {
+    const settings = this.config.autoCut.speedRamp || {};
+    const minSpeed = settings.speed ?? 4;
+    const maxSpeed = Math.max(minSpeed, settings.maxSpeed ?? 8);
+    const targetDuration = settings.targetDuration ?? 3.0;
+    const speed = Math.min(maxSpeed, Math.max(minSpeed, duration / targetDuration));
+    return Math.round(speed * 10) / 10;
+  }
+
   /**
    * カット候補をマージ（重複・近接しているものを統合）
+   * 削除・早送り・間の短縮（disposition）が異なる候補はマージしない。間の短縮の候補は前後の端を残すため同士でもマージしない
    */
   mergeCutCandidates(candidates, mergeThreshold = 0.3) {
     if (candidates.length === 0) return [];
@@ -97,7 +244,8 @@ export class AutoCutDetector {
       }
 
       // 近接しているか重複している場合はマージ
-      if (next.start - current.end <= mergeThreshold) {
+      const mergeable = current.disposition === next.disposition && current.disposition !== 'compress';
+      if (next.start - current.end <= mergeThreshold && mergeable) {
         current.end = Math.max(current.end, next.end);
         current.duration = current.end - current.start;
         current.confidence = Math.max(current.confidence, next.confidence);
@@ -112,6 +260,41 @@ export class AutoCutDetector {
     return merged;
   }
 
+  /**
+   * 削除・早送り・間の短縮の候補の重なりを除く
+   * 重なる場合は先に始まる候補を優先し、後の候補は重なる部分を削る（すべて重なる場合は除外）。
+   * 削った間の短縮の候補は、元の間の長さを残す長さ + 削った後の長さにする
+   */
+  trimOverlappingCandidates(candidates) {
+    // 早送り・間の短縮の候補がなければ重なりは mergeCutCandidates() で統合済み
+    if (!candidates.some(c => c.disposition)) return candidates;
+
+    const trimmed = [];
+    let coveredEnd = 0;
+
+    for (const candidate of [...candidates].sort((a, b) => a.start - b.start)) {
+      if (candidate.isMarker) {
+        trimmed.push(candidate);
+        continue;
+      }
+      if (candidate.end <= coveredEnd) continue;
+
+      if (candidate.start < coveredEnd) {
+        const duration = candidate.end - coveredEnd;
+        trimmed.push({
+          ...candidate,
+          start: coveredEnd,
+          duration,
+          ...(candidate.disposition === 'compress' ? { originalDuration: candidate.keptDuration + duration } : {}),
+        });
+      } else {
+        trimmed.push(candidate);
+      }
+      coveredEnd = candidate.end;
+    }
+    return trimmed;
+  }
+
   /**
    * カット候補をフィルタリング（信頼度の低いものを除外）
    */
@@ -126,13 +309,15 @@ export class AutoCutDetector {
 
   /**
    * 保持すべきクリップを生成（カット候補の逆）
-   * @returns {Array} 保持クリップ [{start, end, duration}]
+   * 早送りの候補（disposition: 'speed'）は speed を持つ保持クリップになる。
+   * 速度を変えたクリップの duration は早送り後の長さ（シーケンス上の長さ）
+   * @returns {Array} 保持クリップ [{start, end, duration, speed, reason}]（speed・reason は早送りのクリップのみ）
    */
   generateKeepClips(cutCandidates, totalDuration) {
     const keepClips = [];
     let currentTime = 0;
 
-    // カット候補のうち、実際にカットする部分のみ抽出（マーカーを除外）
+    // カット候補のうち、実際にカット・早送りする部分のみ抽出（マーカーを除外）
     const actualCuts = cutCandidates.filter(c => !c.isMarker);
 
     // カットが1つもない場合は、動画全体を1つのクリップとして保持
@@ -158,6 +343,18 @@ export class AutoCutDetector {
           });
         }
       }
+
+      // 早送りの区間を速度を変えて保持
+      if (cut.disposition === 'speed') {
+        const speed = this.resolveRampSpeed(cut.duration);
+        keepClips.push({
+          start: cut.start,
+          end: cut.end,
+          duration: cut.duration / speed,
+          speed,
+          reason: cut.reason,
+        });
+      }
       currentTime = cut.end;
     }
 
@@ -209,25 +406,84 @@ export class AutoCutDetector {
 
   /**
    * 統計情報の生成
+   * 削除（totalCutDuration）・間の短縮（pauseCompression）・早送り（speedRamps）で短くなった時間を分けて集計する。
+   * cutTypes は削除したカットの種類ごとの件数（間の短縮した無音・間は compressed_pause に数える）
+   * @param {Object} videoAnalysis - VideoAnalyzerの解析結果（省略可、使用した無音閾値を統計に含める）
+   * @param {Object} pauseTarget - resolvePauseTarget() の結果（省略可、間の短縮で残した長さの決め方を統計に含める）
    */
-  generateStatistics(cutCandidates, keepClips, totalDuration) {
-    const actualCuts = cutCandidates.filter(c => !c.isMarker);
+  generateStatistics(cutCandidates, keepClips, totalDuration, videoAnalysis = null, pauseTarget = null) {
+    const actualCuts = cutCandidates.filter(c => !c.isMarker && !c.disposition);
     const totalCutDuration = actualCuts.reduce((sum, cut) => sum + cut.duration, 0);
+
+    // 間の短縮で削除した時間（元の間の長さ - 残した長さ）
+    const compressions = cutCandidates.filter(c => !c.isMarker && c.disposition === 'compress');
+    const pauseOriginalDuration = compressions.reduce((sum, cut) => sum + cut.originalDuration, 0);
+    const pauseKeptDuration = compressions.reduce((sum, cut) => sum + cut.keptDuration, 0);
+    const pauseCompressedDuration = compressions.reduce((sum, cut) => sum + cut.duration, 0);
     const totalKeepDuration = keepClips.reduce((sum, clip) => sum + clip.duration, 0);
 
-    return {
+    // 早送りで短くなった時間（元の長さ - 早送り後の長さ）
+    const rampClips = keepClips.filter(clip => clip.speed);
+    const rampSourceDuration = rampClips.reduce((sum, clip) => sum + (clip.end - clip.start), 0);
+    const rampDuration = rampClips.reduce((sum, clip) => sum + clip.duration, 0);
+    const rampSavedDuration = rampSourceDuration - rampDuration;
+
+    const stats = {
       totalDuration: totalDuration.toFixed(2),
       totalCuts: actualCuts.length,
       totalKeepClips: keepClips.length,
       totalCutDuration: totalCutDuration.toFixed(2),
       totalKeepDuration: totalKeepDuration.toFixed(2),
-      reductionRate: ((totalCutDuration / totalDuration) * 100).toFixed(2) + '%',
+      reductionRate: (((totalCutDuration + pauseCompressedDuration + rampSavedDuration) / totalDuration) * 100).toFixed(2) + '%',
       finalDuration: totalKeepDuration.toFixed(2),
+      pauseCompression: {
+        count: compressions.length,
+        originalDuration: pauseOriginalDuration.toFixed(2),
+        keptDuration: pauseKeptDuration.toFixed(2),
+        compressedDuration: pauseCompressedDuration.toFixed(2),
+        ...(pauseTarget || {}),
+      },
+      speedRamps: {
+        count: rampClips.length,
+        sourceDuration: rampSourceDuration.toFixed(2),
+        finalDuration: rampDuration.toFixed(2),
+        savedDuration: rampSavedDuration.toFixed(2),
+      },
       cutTypes: {
         silence: actualCuts.filter(c => c.type === 'silence').length,
         filler: actualCuts.filter(c => c.type === 'filler').length,
+        black_frame: actualCuts.filter(c => c.type === 'black_frame').length,
+        frozen_frame: actualCuts.filter(c => c.type === 'frozen_frame').length,
+        compressed_pause: compressions.length,
       },
     };
+
+    // 無音閾値（自動の場合は推定したノイズフロア・話し声のレベルと区間ごとの閾値）
+    const silenceThreshold = videoAnalysis?.silenceThreshold;
+    if (silenceThreshold) {
+      stats.silenceThreshold = {
+        mode: silenceThreshold.mode,
+        threshold: silenceThreshold.threshold,
+      };
+      if (silenceThreshold.mode === 'auto') {
+        Object.assign(stats.silenceThreshold, {
+          scope: silenceThreshold.scope,
+          noiseFloor: silenceThreshold.noiseFloor,
+          speechLevel: silenceThreshold.speechLevel,
+          fallback: silenceThreshold.fallback,
+        });
+        if (silenceThreshold.windows.length > 0) {
+          stats.silenceThreshold.windows = silenceThreshold.windows.map(window => ({
+            start: window.start.toFixed(2),
+            end: window.end.toFixed(2),
+            threshold: window.threshold,
+            inherited: window.inherited,
+          }));
+        }
+      }
+    }
+
+    return stats;
   }
 
   /**
@@ -247,8 +503,20 @@ export class AutoCutDetector {
       advancedCandidates = advancedResult.candidates;
     }
 
-    // すべてのカット候補を統合
-    const allCandidates = [...rawCandidates, ...advancedCandidates];
+    // すべてのカット候補を統合（早送り・間の短縮にする種類は disposition を付ける）
+    const pauseTarget = this.resolvePauseTarget(speechAnalysis);
+    if (pauseTarget) {
+      const basis = pauseTarget.mode === 'fixed'
+        ? '固定'
+        : pauseTarget.fallback
+          ? `自然な間が${pauseTarget.samples}個のみのため既定値`
+          : `自然な間 ${pauseTarget.samples}個から推定`;
+      console.log(`   - 間を${pauseTarget.targetDuration}秒に短縮（${basis}）`);
+    }
+    const allCandidates = this.applyPauseCompression(
+      this.applySpeedRamp([...rawCandidates, ...advancedCandidates]),
+      pauseTarget ? pauseTarget.targetDuration : null
+    );
 
     // 2. カット候補をマージ
     const mergedCandidates = this.mergeCutCandidates(allCandidates);
@@ -263,17 +531,24 @@ export class AutoCutDetector {
       ? this.applyCutStyle(filteredCandidates, learnedStyle)
       : filteredCandidates;
 
+    // 4.5. 削除・早送り・間の短縮の候補の重なりを除く
+    const resolvedCandidates = this.trimOverlappingCandidates(styledCandidates);
+
     // 5. 保持クリップを生成
-    const keepClips = this.generateKeepClips(styledCandidates, videoAnalysis.duration);
+    const keepClips = this.generateKeepClips(resolvedCandidates, videoAnalysis.duration);
     console.log(`   - ${keepClips.length}個のクリップを保持`);
+    const rampCount = keepClips.filter(clip => clip.speed).length;
+    if (rampCount > 0) {
+      console.log(`   - うち${rampCount}個を早送り`);
+    }
 
     // 6. 統計情報
-    const stats = this.generateStatistics(styledCandidates, keepClips, videoAnalysis.duration);
+    const stats = this.generateStatistics(resolvedCandidates, keepClips, videoAnalysis.duration, videoAnalysis, pauseTarget);
 
     console.log(`✅ カット検出完了: ${stats.reductionRate}短縮`);
 
     return {
-      cutCandidates: styledCandidates,
+      cutCandidates: resolvedCandidates,
       keepClips,
       stats,
     };
@@ -1,3 +1,6 @@
+import { FrameRate } from '../timeline/FrameRate.js';
+import { CaptionStyleManager } from '../styles/CaptionStyleManager.js';
+
 /**
  * テロップ生成クラス
  * 音声認識結果からPremiere Pro用のテロップデータを生成
@@ -5,6 +8,16 @@
 export class CaptionGenerator {
   constructor(config) {
     this.config = config;
+    this.styleManager = new CaptionStyleManager(config);
+  }
+
+  /**
+   * シーケンスのフレームレートを取得
+   * @returns {FrameRate}
+   */
+  getFrameRate() {
+    const { frameRate, dropFrame, fallback = {} } = this.config.premiere.project;
+    return FrameRate.from(frameRate ?? fallback.frameRate, { dropFrame });
   }
 
   /**
@@ -70,13 +83,17 @@ export class CaptionGenerator {
    * テロップのスタイルを決定
    */
   determineStyle(caption, index, learnedStyle) {
-    // デフォルトスタイルから開始
-    const style = { ...this.config.caption.defaultStyle };
+    // デフォルトスタイル（プリセット指定時はプリセットを重ねる）から開始
+    const preset = this.config.caption.stylePreset;
+    const style = preset
+      ? this.styleManager.mergeStyles({}, preset)
+      : { ...this.config.caption.defaultStyle };
 
     // スタイルプロパティの確実な初期化
     style.fontSize = style.fontSize || 48;
     style.fontFamily = style.fontFamily || 'Arial';
-    style.color = style.color || '#FFFFFF';
+    // プリセットは文字色を fontColor で指定する
+    style.color = (preset && style.fontColor) || style.color || '#FFFFFF';
 
     // 学習したスタイルがあれば適用
     if (learnedStyle && learnedStyle.captionPattern) {
@@ -120,15 +137,19 @@ export class CaptionGenerator {
    * Premiere Pro XML形式でエクスポート
    */
   exportToPremiereXML(captions, videoInfo) {
-    const { width, height, frameRate } = this.config.premiere.project;
+    const { fallback = {} } = this.config.premiere.project;
+    const width = this.config.premiere.project.width ?? fallback.width;
+    const height = this.config.premiere.project.height ?? fallback.height;
+    const frameRate = this.getFrameRate();
 
     let xml = `<?xml version="1.0" encoding="UTF-8"?>
 <xmeml version="5">
   <sequence>
     <name>Auto Generated Captions</name>
-    <duration>${Math.ceil(videoInfo.duration * frameRate)}</duration>
+    <duration>${Math.ceil(videoInfo.duration * frameRate.fps)}</duration>
     <rate>
-      <timebase>${frameRate}</timebase>
+      <timebase>${frameRate.timebase}</timebase>
+      <ntsc>${frameRate.ntsc ? 'TRUE' : 'FALSE'}</ntsc>
     </rate>
     <media>
       <video>
@@ -142,8 +163,8 @@ export class CaptionGenerator {
 `;
 
     for (const caption of captions) {
-      const startFrame = Math.floor(caption.start * frameRate);
-      const endFrame = Math.floor(caption.end * frameRate);
+      const startFrame = frameRate.secondsToFrames(caption.start);
+      const endFrame = frameRate.secondsToFrames(caption.end);
       const duration = endFrame - startFrame;
 
       xml += `          <clipitem>
@@ -196,11 +217,12 @@ export class CaptionGenerator {
    * SRT字幕形式でエクスポート
    */
   exportToSRT(captions) {
+    const frameRate = this.getFrameRate();
     let srt = '';
 
     for (const caption of captions) {
-      const start = this.formatSRTTime(caption.start);
-      const end = this.formatSRTTime(caption.end);
+      const start = this.formatSRTTime(frameRate.snapSeconds(caption.start));
+      const end = this.formatSRTTime(frameRate.snapSeconds(caption.end));
 
       srt += `${caption.id}\n`;
       srt += `${start} --> ${end}\n`;
@@ -214,11 +236,12 @@ export class CaptionGenerator {
    * WebVTT形式でエクスポート
    */
   exportToWebVTT(captions) {
+    const frameRate = this.getFrameRate();
     let vtt = 'WEBVTT\n\n';
 
     for (const caption of captions) {
-      const start = this.formatWebVTTTime(caption.start);
-      const end = this.formatWebVTTTime(caption.end);
+      const start = this.formatWebVTTTime(frameRate.snapSeconds(caption.start));
+      const end = this.formatWebVTTTime(frameRate.snapSeconds(caption.end));
 
       vtt += `${caption.id}\n`;
       vtt += `${start} --> ${end}\n`;
@@ -232,10 +255,12 @@ export class CaptionGenerator {
    * SRT時刻フォーマット (HH:MM:SS,mmm)
    */
   formatSRTTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const millis = Math.floor((seconds % 1) * 1000);
+    // 浮動小数点誤差で1ms欠けないよう、ミリ秒単位の整数に丸めてから分解
+    const totalMillis = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
 
     return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(millis).padStart(3, '0')}`;
   }
@@ -0,0 +1,272 @@
+import { FrameRate } from '../timeline/FrameRate.js';
+
+// SCC（CEA-608）の制御コード（チャンネル1、パリティ付き）
+const SCC_CODES = {
+  resumeCaptionLoading: '9420',
+  eraseNonDisplayedMemory: '94ae',
+  endOfCaption: '942f',
+  eraseDisplayedMemory: '942c',
+};
+
+// CEA-608の基本文字のうちASCIIと異なる文字
+const SCC_SPECIAL_CHARACTERS = {
+  'á': 0x2a, 'é': 0x5c, 'í': 0x5e, 'ó': 0x5f, 'ú': 0x60,
+  'ç': 0x7b, '÷': 0x7c, 'Ñ': 0x7d, 'ñ': 0x7e, '█': 0x7f,
+};
+// ASCIIのうちCEA-608の基本文字で別の文字に割り当てられているもの
+const SCC_UNSUPPORTED_ASCII = new Set(['*', '\\', '^', '_', '`', '{', '|', '}', '~']);
+
+// SCCの1行の最大文字数
+const SCC_MAX_COLUMNS = 32;
+
+/**
+ * 字幕ファイルエクスポートクラス
+ * Premiere Proのキャプション（字幕）トラックに読み込める TTML/DFXP と SCC を出力する。
+ * テロップの style から表示位置と基本的なスタイル（フォント・サイズ・色・縁取り）を反映する
+ */
+export class CaptionFileExporter {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * TTML (DFXP) を生成
+   * @param {Array} captions - シーケンス基準のテロップ
+   * @param {Object} settings - PremiereIntegration.resolveSequenceSettings() の結果
+   * @returns {string} TTML文字列
+   */
+  generateTTML(captions, settings) {
+    const { frameRate } = settings;
+    const styles = new Map();
+    const regions = new Map();
+
+    const paragraphs = captions.map(caption => {
+      const style = { ...this.config.caption.defaultStyle, ...caption.style };
+      const styleXML = this.generateTTMLStyleAttributes(style);
+      const regionXML = this.generateTTMLRegionAttributes(style, settings);
+
+      if (!styles.has(styleXML)) styles.set(styleXML, `s${styles.size + 1}`);
+      if (!regions.has(regionXML)) regions.set(regionXML, `r${regions.size + 1}`);
+
+      const begin = this.secondsToClockTime(frameRate.snapSeconds(caption.start || 0));
+      const end = this.secondsToClockTime(frameRate.snapSeconds(caption.end || 0));
+      const text = String(caption.text).split('\n').map(line => this.escapeXml(line)).join('<br/>');
+
+      return `      <p begin="${begin}" end="${end}" region="${regions.get(regionXML)}" style="${styles.get(styleXML)}">${text}</p>`;
+    });
+
+    const frameRateAttributes = frameRate.ntsc
+      ? `ttp:frameRate="${frameRate.timebase}" ttp:frameRateMultiplier="1000 1001"`
+      : `ttp:frameRate="${frameRate.timebase}"`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:tts="http://www.w3.org/ns/ttml#styling" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" xml:lang="ja" ttp:timeBase="media" ${frameRateAttributes} tts:extent="${settings.width}px ${settings.height}px">
+  <head>
+    <styling>
+${[...styles].map(([attributes, id]) => `      <style xml:id="${id}" ${attributes}/>`).join('\n')}
+    </styling>
+    <layout>
+${[...regions].map(([attributes, id]) => `      <region xml:id="${id}" ${attributes}/>`).join('\n')}
+    </layout>
+  </head>
+  <body>
+    <div>
+${paragraphs.join('\n')}
+    </div>
+  </body>
+</tt>
+`;
+  }
+
+  /**
+   * テロップのスタイルをTTMLのスタイル属性に変換
+   */
+  generateTTMLStyleAttributes(style) {
+    let attributes = `tts:fontFamily="${this.escapeXml(style.fontFamily || 'Arial')}" tts:fontSize="${style.fontSize || 48}px" tts:color="${this.toTTMLColor(style.color || style.fontColor || 'white')}" tts:textAlign="center"`;
+    if (style.strokeColor && style.strokeWidth > 0) {
+      attributes += ` tts:textOutline="${this.toTTMLColor(style.strokeColor)} ${style.strokeWidth}px"`;
+    }
+    return attributes;
+  }
+
+  /**
+   * テロップの表示位置（position / yOffset）をTTMLのリージョン属性に変換
+   * 幅80%・高さ20%の領域を画面上端・中央・下端（yOffsetだけ内側）に置く
+   */
+  generateTTMLRegionAttributes(style, settings) {
+    const height = 20;
+    const offset = ((style.yOffset ?? 0) / settings.height) * 100;
+    let top = 100 - height - offset;
+    let displayAlign = 'after';
+
+    if (style.position === 'top') {
+      top = offset;
+      displayAlign = 'before';
+    } else if (style.position === 'middle' || style.position === 'center') {
+      top = 50 - height / 2;
+      displayAlign = 'center';
+    }
+
+    top = Math.min(100 - height, Math.max(0, top));
+    return `tts:origin="10% ${+top.toFixed(2)}%" tts:extent="80% ${height}%" tts:displayAlign="${displayAlign}"`;
+  }
+
+  /**
+   * '#RRGGBB' やCSSの色名をTTMLの色表記に変換
+   */
+  toTTMLColor(color) {
+    const value = String(color);
+    if (/^#[0-9a-fA-F]{6}$/.test(value)) return value.toUpperCase();
+    if (/^rgba?\(/.test(value)) return value.replace(/\s+/g, '');
+    return value.toLowerCase();
+  }
+
+  /**
+   * 秒をTTMLの時刻表記（HH:MM:SS.mmm）に変換
+   */
+  secondsToClockTime(seconds) {
+    const totalMillis = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+  }
+
+  /**
+   * SCC (Scenarist, CEA-608 ポップオン字幕) を生成
+   * SCCは29.97fpsドロップフレームのタイムコードで記述する。
+   * CEA-608は英数字（と一部のアクセント付き文字）しか扱えないため、日本語などの文字は出力されない
+   * @param {Array} captions - シーケンス基準のテロップ
+   * @returns {Object} {scc: SCC文字列, unsupportedCaptions: 表現できない文字を含むテロップの数}
+   */
+  generateSCC(captions) {
+    const frameRate = FrameRate.from(29.97, { dropFrame: true });
+    const lines = ['Scenarist_SCC V1.0', ''];
+    let unsupportedCaptions = 0;
+    let previousFrame = 0;
+
+    for (const caption of captions) {
+      const style = { ...this.config.caption.defaultStyle, ...caption.style };
+      const { rows, unsupported } = this.toSCCRows(caption.text, style);
+      if (unsupported) unsupportedCaptions++;
+      if (rows.length === 0) continue;
+
+      // 読み込み（非表示メモリへの書き込み）→ End of Caption で表示
+      const words = [SCC_CODES.eraseNonDisplayedMemory, SCC_CODES.eraseNonDisplayedMemory, SCC_CODES.resumeCaptionLoading, SCC_CODES.resumeCaptionLoading];
+      for (const { row, text } of rows) {
+        const pac = this.getPreambleAddressCode(row);
+        words.push(pac, pac, ...this.toSCCWords(text));
+      }
+      words.push(SCC_CODES.endOfCaption, SCC_CODES.endOfCaption);
+
+      // 1ワード = 1フレームで送られるため、表示開始時刻にEnd of Captionが届くよう前倒しする
+      const startFrame = frameRate.secondsToFrames(caption.start || 0);
+      const endFrame = frameRate.secondsToFrames(caption.end || 0);
+      const loadFrame = Math.max(previousFrame, startFrame - words.length);
+
+      lines.push(`${frameRate.framesToTimecode(loadFrame)}\t${words.join(' ')}`, '');
+      lines.push(`${frameRate.framesToTimecode(endFrame)}\t${SCC_CODES.eraseDisplayedMemory} ${SCC_CODES.eraseDisplayedMemory}`, '');
+      previousFrame = endFrame + 2;
+    }
+
+    return { scc: lines.join('\n'), unsupportedCaptions };
+  }
+
+  /**
+   * テキストをSCCの行（最大32文字、最大4行）に分割し、表示位置の行番号を割り当てる
+   * @returns {Object} {rows: [{row, text}], unsupported: 表現できない文字を含むか}
+   */
+  toSCCRows(text, style) {
+    let unsupported = false;
+    const supportedText = Array.from(String(text)).filter(char => {
+      const ok = char === '\n' || this.isSCCCharacter(char);
+      if (!ok) unsupported = true;
+      return ok;
+    }).join('');
+
+    const wrapped = [];
+    for (const paragraph of supportedText.split('\n')) {
+      let line = '';
+      for (const word of paragraph.trim().split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length <= SCC_MAX_COLUMNS) {
+          line = candidate;
+        } else {
+          if (line) wrapped.push(line);
+          line = word.slice(0, SCC_MAX_COLUMNS);
+        }
+      }
+      if (line) wrapped.push(line);
+    }
+    const lines = wrapped.slice(0, 4);
+
+    // 画面の行（1〜15）: 下揃えは15行目で終わるように、上揃えは1行目から
+    let firstRow = 15 - lines.length + 1;
+    if (style.position === 'top') {
+      firstRow = 1;
+    } else if (style.position === 'middle' || style.position === 'center') {
+      firstRow = 8 - Math.floor(lines.length / 2);
+    }
+
+    return {
+      rows: lines.map((line, i) => ({ row: firstRow + i, text: line })),
+      unsupported,
+    };
+  }
+
+  isSCCCharacter(char) {
+    if (SCC_SPECIAL_CHARACTERS[char] !== undefined) return true;
+    const code = char.charCodeAt(0);
+    return char.length === 1 && code >= 0x20 && code < 0x7f && !SCC_UNSUPPORTED_ASCII.has(char);
+  }
+
+  /**
+   * テキストを2文字ずつのSCCワード（16進4桁）に変換
+   */
+  toSCCWords(text) {
+    const bytes = Array.from(text).map(char => SCC_SPECIAL_CHARACTERS[char] ?? char.charCodeAt(0));
+    if (bytes.length % 2 === 1) bytes.push(0x00);
+
+    const words = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+      words.push(this.toSCCByte(bytes[i]) + this.toSCCByte(bytes[i + 1]));
+    }
+    return words;
+  }
+
+  /**
+   * 行頭の位置を指定する Preamble Address Code（チャンネル1、白、インデント0）
+   */
+  getPreambleAddressCode(row) {
+    const firstBytes = { 1: 0x11, 2: 0x11, 3: 0x12, 4: 0x12, 5: 0x15, 6: 0x15, 7: 0x16, 8: 0x16, 9: 0x17, 10: 0x17, 11: 0x10, 12: 0x13, 13: 0x13, 14: 0x14, 15: 0x14 };
+    // 同じ先頭バイトを共有する2行のうち後の行は 0x70、それ以外は 0x50
+    const secondRowOfPair = [2, 4, 6, 8, 10, 13, 15].includes(row);
+    return this.toSCCByte(firstBytes[row]) + this.toSCCByte(secondRowOfPair ? 0x70 : 0x50);
+  }
+
+  /**
+   * 7ビットの値に奇数パリティを付けて16進2桁にする
+   */
+  toSCCByte(value) {
+    let ones = 0;
+    for (let bit = 0; bit < 7; bit++) {
+      if (value & (1 << bit)) ones++;
+    }
+    const byte = ones % 2 === 0 ? value | 0x80 : value;
+    return byte.toString(16).padStart(2, '0');
+  }
+
+  /**
+   * XML特殊文字をエスケープ
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
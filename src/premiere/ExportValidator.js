@@ -0,0 +1,447 @@
+import path from 'path';
+import { XMEMLParser } from './XMEMLParser.js';
+
+// 整数であるべき xmeml の要素
+const XMEML_INTEGER_ELEMENTS = [
+  'duration', 'timebase', 'in', 'out', 'start', 'end', 'width', 'height',
+  'samplerate', 'depth', 'channelcount', 'trackindex', 'clipindex', 'groupindex',
+];
+
+const SRT_TIMING = /^(\d{2,}):(\d{2}):(\d{2}),(\d{3}) --> (\d{2,}):(\d{2}):(\d{2}),(\d{3})$/;
+const VTT_TIMING = /^(?:(\d{2,}):)?(\d{2}):(\d{2})\.(\d{3}) --> (?:(\d{2,}):)?(\d{2}):(\d{2})\.(\d{3})(?:[ \t].*)?$/;
+const EDL_TIMECODE = '(\\d{2}):(\\d{2}):(\\d{2})([:;])(\\d{2})';
+const EDL_MOTION = new RegExp(`^M2\\s+(\\S{1,8})\\s+(-?\\d+(?:\\.\\d+)?)\\s+${EDL_TIMECODE}\\s*$`);
+const EDL_EVENT = new RegExp(`^(\\d{3,6})\\s+(\\S{1,8})\\s+(\\S+)\\s+(C|D|W\\d{3}|KB|KO|K)\\s+(?:(\\d{3})\\s+)?${EDL_TIMECODE} ${EDL_TIMECODE} ${EDL_TIMECODE} ${EDL_TIMECODE}\\s*$`);
+
+/**
+ * 出力ファイルの構造検証クラス
+ * exportAll() が書き出す前に、xmeml（FCP7 XMLの構造）・SRT・WebVTT・EDL（CMX3600）の文法と
+ * 時間の整合性（数値であること・単調増加・重なりがないこと）を確かめ、問題を一覧にする。
+ * Premiereに読み込めないファイル（閉じていないタグ、NaNのフレーム数など）を出力しないためのもの
+ */
+export class ExportValidator {
+  constructor(config) {
+    this.config = config;
+    this.xmemlParser = new XMEMLParser(config);
+  }
+
+  /**
+   * 出力ファイルをまとめて検証し、問題があれば一覧を含むエラーを投げる
+   * @param {Array} outputs - [{path, format, content}]（format: 'xmeml', 'srt', 'vtt', 'edl', 'xml'、それ以外は検証しない）
+   * @param {Object} settings - resolveSequenceSettings() の結果（EDLのタイムコードの検証に使用）
+   */
+  assertValid(outputs, settings = {}) {
+    const problems = this.validate(outputs, settings);
+    if (problems.length === 0) return;
+
+    const maxListed = 20;
+    const listed = problems.slice(0, maxListed).map(problem => `  - ${problem}`);
+    if (problems.length > maxListed) {
+      listed.push(`  …ほか ${problems.length - maxListed}件`);
+    }
+    throw new Error(`出力ファイルの検証で問題が見つかりました（${problems.length}件、ファイルは書き出していません）:\n${listed.join('\n')}`);
+  }
+
+  /**
+   * 出力ファイルをまとめて検証
+   * @returns {Array} 問題の一覧（「ファイル名: 内容」の文字列）
+   */
+  validate(outputs, settings = {}) {
+    const problems = [];
+    for (const { path: filePath, format, content } of outputs) {
+      let fileProblems;
+      switch (format) {
+        case 'xmeml':
+          fileProblems = this.validateXMEML(content);
+          break;
+        case 'srt':
+          fileProblems = this.validateSRT(content);
+          break;
+        case 'vtt':
+          fileProblems = this.validateVTT(content);
+          break;
+        case 'edl':
+          fileProblems = this.validateEDL(content, settings.frameRate);
+          break;
+        case 'xml':
+          fileProblems = this.validateWellFormed(content);
+          break;
+        default:
+          fileProblems = [];
+      }
+      problems.push(...fileProblems.map(problem => `${path.basename(filePath)}: ${problem}`));
+    }
+    return problems;
+  }
+
+  /**
+   * XMLとして読み込めるか（タグの対応）のみ検証（FCPXML・TTML向け）
+   */
+  validateWellFormed(xml) {
+    try {
+      this.xmemlParser.parseXML(xml);
+      return [];
+    } catch (error) {
+      return [error.message];
+    }
+  }
+
+  /**
+   * xmeml（FCP7 XML）の構造を検証
+   * - ルートが <xmeml version> で、シーケンスに duration・rate/timebase・media があること
+   * - クリップの in/out/start/end が整数で、長さが一致し、トラック内で重ならないこと
+   * - <file id>・<sequence id> の参照先と、<link> の参照するクリップが存在すること
+   * - <clipitem id> が文書全体で一意で、同じ <file id>・<sequence id> が異なる内容で定義されていないこと
+   *   （Premiereはidを文書全体で解決するため、後の定義が先の定義の参照先になってしまう）
+   */
+  validateXMEML(xml) {
+    let root;
+    try {
+      root = this.xmemlParser.parseXML(xml);
+    } catch (error) {
+      return [error.message];
+    }
+
+    const problems = [];
+    const parser = this.xmemlParser;
+
+    if (root.name !== 'xmeml') {
+      return [`ルート要素が <xmeml> ではありません（<${root.name}>）`];
+    }
+    if (!root.attributes.version) {
+      problems.push('<xmeml> に version 属性がありません');
+    }
+
+    // 整数であるべき要素に NaN・undefined などが入っていないか（要素ごとに件数をまとめる）
+    for (const name of XMEML_INTEGER_ELEMENTS) {
+      const invalid = parser.findAll(root, name).filter(element => !/^-?\d+$/.test(element.text));
+      if (invalid.length > 0) {
+        const values = [...new Set(invalid.map(element => element.text || '空'))].join(', ');
+        problems.push(`<${name}> の値が整数ではありません（${values}、${invalid.length}箇所）`);
+      }
+    }
+
+    // <file id="..."/> と <sequence id="..."/> の参照先
+    for (const name of ['file', 'sequence']) {
+      const defined = new Set(parser.findAll(root, name)
+        .filter(element => element.children.length > 0 && element.attributes.id)
+        .map(element => element.attributes.id));
+      for (const element of parser.findAll(root, name)) {
+        if (element.children.length === 0 && !defined.has(element.attributes.id)) {
+          problems.push(`<${name} id="${element.attributes.id ?? ''}"/> の定義がありません`);
+        }
+      }
+    }
+    // idの重複（<clipitem> は1つだけ、<file>・<sequence> は同じ内容の再定義のみ許可）
+    const clipitemIds = new Map();
+    for (const clipitem of parser.findAll(root, 'clipitem').filter(element => element.attributes.id)) {
+      clipitemIds.set(clipitem.attributes.id, (clipitemIds.get(clipitem.attributes.id) || 0) + 1);
+    }
+    for (const [id, count] of clipitemIds) {
+      if (count > 1) problems.push(`<clipitem id="${id}"> が重複しています（${count}箇所）`);
+    }
+    for (const name of ['file', 'sequence']) {
+      const definitions = new Map();
+      for (const element of parser.findAll(root, name).filter(e => e.children.length > 0 && e.attributes.id)) {
+        const content = JSON.stringify(element);
+        const id = element.attributes.id;
+        if (!definitions.has(id)) {
+          definitions.set(id, content);
+        } else if (definitions.get(id) !== null && definitions.get(id) !== content) {
+          problems.push(`<${name} id="${id}"> が異なる内容で複数回定義されています`);
+          definitions.set(id, null);
+        }
+      }
+    }
+
+    for (const file of parser.findAll(root, 'file').filter(element => element.children.length > 0)) {
+      if (!parser.child(file, 'pathurl') && !parser.child(file, 'mediaSource')) {
+        problems.push(`<file id="${file.attributes.id ?? ''}"> に <pathurl> がありません`);
+      }
+    }
+
+    const sequences = [
+      ...parser.children(root, 'sequence'),
+      ...parser.findAll(root, 'clipitem').flatMap(clipitem => parser.children(clipitem, 'sequence')),
+    ].filter(sequence => sequence.children.length > 0);
+    if (parser.children(root, 'sequence').length === 0) {
+      problems.push('<sequence> がありません');
+    }
+    for (const sequence of sequences) {
+      problems.push(...this.validateXMEMLSequence(sequence));
+    }
+
+    return problems;
+  }
+
+  /**
+   * シーケンス1つ分（トラック・クリップ・リンク・マーカー）を検証
+   */
+  validateXMEMLSequence(sequence) {
+    const parser = this.xmemlParser;
+    const label = `<sequence id="${sequence.attributes.id ?? ''}">`;
+    const problems = [];
+    const integer = (node, name) => {
+      const text = parser.text(node, name);
+      return /^-?\d+$/.test(text) ? Number(text) : null;
+    };
+
+    const duration = integer(sequence, 'duration');
+    if (duration === null || duration < 0) {
+      problems.push(`${label} の <duration> が不正です`);
+    }
+    const timebase = integer(parser.child(sequence, 'rate'), 'timebase');
+    if (timebase === null || timebase <= 0) {
+      problems.push(`${label} の <rate><timebase> が不正です`);
+    }
+    const media = parser.child(sequence, 'media');
+    if (!media) {
+      problems.push(`${label} に <media> がありません`);
+      return problems;
+    }
+
+    const tracksOf = mediaType => parser.children(parser.child(media, mediaType), 'track');
+    for (const [mediaType, prefix] of [['video', 'V'], ['audio', 'A']]) {
+      tracksOf(mediaType).forEach((track, trackIndex) => {
+        let previousEnd = 0;
+        parser.children(track, 'clipitem').forEach((clipitem, clipIndex) => {
+          const where = `${label} ${prefix}${trackIndex + 1} クリップ${clipIndex + 1}`;
+          const [inFrame, outFrame, start, end] = ['in', 'out', 'start', 'end'].map(name => integer(clipitem, name));
+          if ([inFrame, outFrame, start, end].includes(null)) {
+            problems.push(`${where}: in/out/start/end が整数ではありません`);
+            return;
+          }
+          if (!parser.child(clipitem, 'file') && !parser.child(clipitem, 'sequence')) {
+            problems.push(`${where}: <file> または <sequence> がありません`);
+          }
+          if (inFrame < 0 || outFrame <= inFrame) {
+            problems.push(`${where}: in(${inFrame}) / out(${outFrame}) が不正です`);
+          }
+          // トランジションに接するクリップは start/end が -1
+          if (start < 0 || end < 0) return;
+          if (end <= start) {
+            problems.push(`${where}: start(${start}) / end(${end}) が不正です`);
+          } else if (end - start !== outFrame - inFrame) {
+            problems.push(`${where}: シーケンス上の長さ（${end - start}）とソースの長さ（${outFrame - inFrame}）が一致しません`);
+          }
+          if (start < previousEnd) {
+            problems.push(`${where}: 前のクリップ（終了 ${previousEnd}）と重なっているか、順序が逆です`);
+          }
+          previousEnd = Math.max(previousEnd, end);
+
+          for (const link of parser.children(clipitem, 'link')) {
+            const linkedTrack = tracksOf(parser.text(link, 'mediatype'))[integer(link, 'trackindex') - 1];
+            const linkedClip = parser.children(linkedTrack, 'clipitem')[integer(link, 'clipindex') - 1];
+            if (!linkedClip) {
+              problems.push(`${where}: リンク先のクリップがありません（${parser.text(link, 'mediatype')} トラック${parser.text(link, 'trackindex')} クリップ${parser.text(link, 'clipindex')}）`);
+            }
+          }
+        });
+      });
+    }
+
+    for (const marker of parser.children(sequence, 'marker')) {
+      const inFrame = integer(marker, 'in');
+      if (inFrame === null || inFrame < 0) {
+        problems.push(`${label} マーカー「${parser.text(marker, 'name')}」の位置（${parser.text(marker, 'in')}）が不正です`);
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * SRTを検証（連番・タイミング行・テキスト・時間の順序と重なり）
+   */
+  validateSRT(srt) {
+    const problems = [];
+    const cues = [];
+    const blocks = this.splitBlocks(srt);
+
+    blocks.forEach((lines, i) => {
+      const where = `字幕${i + 1}`;
+      if (lines[0] !== String(i + 1)) {
+        problems.push(`${where}: 連番が ${i + 1} ではありません（${lines[0]}）`);
+      }
+      const timing = (lines[1] || '').match(SRT_TIMING);
+      if (!timing) {
+        problems.push(`${where}: タイミング行が不正です（${lines[1] ?? '空'}）`);
+        return;
+      }
+      if (lines.length < 3) {
+        problems.push(`${where}: テキストがありません`);
+      }
+      this.pushCue(cues, problems, where, timing);
+    });
+
+    return [...problems, ...this.validateCueTimes(cues)];
+  }
+
+  /**
+   * WebVTTを検証（WEBVTTヘッダー・タイミング行・テキスト・時間の順序と重なり）
+   */
+  validateVTT(vtt) {
+    const blocks = this.splitBlocks(vtt);
+    if (!blocks[0]?.[0]?.match(/^WEBVTT(?:[ \t].*)?$/)) {
+      return ['先頭が WEBVTT ではありません'];
+    }
+
+    const problems = [];
+    const cues = [];
+    blocks.slice(1).forEach((lines, i) => {
+      if (/^(NOTE|STYLE|REGION)(?:\s|$)/.test(lines[0])) return;
+      const where = `字幕${i + 1}`;
+      const timingIndex = lines[0].includes('-->') ? 0 : 1;
+      const timing = (lines[timingIndex] || '').match(VTT_TIMING);
+      if (!timing) {
+        problems.push(`${where}: タイミング行が不正です（${lines[timingIndex] ?? '空'}）`);
+        return;
+      }
+      if (lines.length <= timingIndex + 1) {
+        problems.push(`${where}: テキストがありません`);
+      }
+      this.pushCue(cues, problems, where, timing);
+    });
+
+    return [...problems, ...this.validateCueTimes(cues)];
+  }
+
+  /**
+   * EDL（CMX3600）を検証
+   * - TITLE / FCM 行、イベント行の書式（イベント番号・リール・トラック・編集種別・4つのタイムコード）、M2（速度変更）行の書式
+   * - タイムコードの値（秒・分が60未満、フレームがタイムベース未満、ドロップフレームの区切り）
+   * - ソースとレコードの長さの一致、トラックごとのレコード側の順序と重なり
+   * @param {FrameRate} frameRate - シーケンスのフレームレート（省略時はタイムコードの値の検証を省く）
+   */
+  validateEDL(edl, frameRate = null) {
+    const problems = [];
+    const lines = edl.replace(/\r\n?/g, '\n').split('\n');
+    const trackEnds = new Map();
+    let previousEvent = 0;
+
+    if (!/^TITLE:/.test(lines[0] || '')) {
+      problems.push('1行目が TITLE: ではありません');
+    }
+    const fcm = lines.find(line => line.startsWith('FCM:'));
+    if (!fcm) {
+      problems.push('FCM: 行がありません');
+    } else if (frameRate && fcm.slice(4).trim() !== frameRate.fcm) {
+      problems.push(`FCM が ${frameRate.fcm} ではありません（${fcm}）`);
+    }
+
+    lines.forEach((line, i) => {
+      const where = `${i + 1}行目`;
+      if (i === 0 || line.trim() === '' || line.startsWith('*') || line.startsWith('FCM:') || line.startsWith('>>>')) return;
+
+      if (line.startsWith('M2')) {
+        if (!EDL_MOTION.test(line)) {
+          problems.push(`${where}: M2 行の書式が不正です（${line}）`);
+        }
+        return;
+      }
+
+      const event = line.match(EDL_EVENT);
+      if (!event) {
+        problems.push(`${where}: 解釈できない行です（${line}）`);
+        return;
+      }
+
+      const eventNumber = Number(event[1]);
+      if (eventNumber !== previousEvent && eventNumber !== previousEvent + 1) {
+        problems.push(`${where}: イベント番号が連続していません（${previousEvent} の次が ${eventNumber}）`);
+      }
+      previousEvent = eventNumber;
+
+      const timecodes = [6, 11, 16, 21].map(offset => event.slice(offset, offset + 5));
+      const frames = timecodes.map(parts => this.edlTimecodeToFrames(parts, frameRate, where, problems));
+      if (frames.includes(null)) return;
+
+      const [sourceIn, sourceOut, recordIn, recordOut] = frames;
+      if (sourceOut <= sourceIn || recordOut <= recordIn) {
+        problems.push(`${where}: イン点がアウト点より後ろか、長さが0です`);
+        return;
+      }
+      if (event[4] === 'C' && sourceOut - sourceIn !== recordOut - recordIn) {
+        problems.push(`${where}: ソースの長さ（${sourceOut - sourceIn}）とレコードの長さ（${recordOut - recordIn}）が一致しません`);
+      }
+      const track = event[3];
+      const previousEnd = trackEnds.get(track) ?? 0;
+      if (recordIn < previousEnd) {
+        problems.push(`${where}: ${track} トラックの前のイベントと重なっているか、順序が逆です`);
+      }
+      trackEnds.set(track, Math.max(previousEnd, recordOut));
+    });
+
+    return problems;
+  }
+
+  /**
+   * EDLのタイムコード（正規表現で分解したもの）をフレーム数に変換
+   * 値が範囲外の場合は problems に追加して null を返す
+   */
+  edlTimecodeToFrames([hours, minutes, seconds, separator, frames], frameRate, where, problems) {
+    const timecode = `${hours}:${minutes}:${seconds}${separator}${frames}`;
+    if (Number(minutes) >= 60 || Number(seconds) >= 60 || (frameRate && Number(frames) >= frameRate.timebase)) {
+      problems.push(`${where}: タイムコードの値が範囲外です（${timecode}）`);
+      return null;
+    }
+    if (!frameRate) {
+      // フレームレートが不明な場合は順序と長さの比較にのみ使う
+      return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 100 + Number(frames);
+    }
+    if ((separator === ';') !== frameRate.dropFrame) {
+      problems.push(`${where}: タイムコードの区切り（${separator}）が FCM と一致しません（${timecode}）`);
+      return null;
+    }
+    return frameRate.timecodeToFrames(timecode);
+  }
+
+  /**
+   * タイミング行（正規表現の結果）の開始・終了を秒にして追加（分・秒が範囲外の場合は problems に追加）
+   */
+  pushCue(cues, problems, where, timing) {
+    const parts = [timing.slice(1, 5), timing.slice(5, 9)];
+    if (parts.some(([, minutes, seconds]) => Number(minutes) >= 60 || Number(seconds) >= 60)) {
+      problems.push(`${where}: 時刻の値が範囲外です（${timing[0]}）`);
+      return;
+    }
+    cues.push({ where, start: this.cueTime(parts[0]), end: this.cueTime(parts[1]) });
+  }
+
+  /**
+   * 字幕の時間（秒）を検証（開始 < 終了、開始時刻の順序、前の字幕との重なり）
+   */
+  validateCueTimes(cues) {
+    const problems = [];
+    let previous = null;
+    for (const cue of cues) {
+      if (cue.end <= cue.start) {
+        problems.push(`${cue.where}: 終了時刻が開始時刻より前か、同じです`);
+      }
+      if (previous && cue.start < previous.start) {
+        problems.push(`${cue.where}: 開始時刻が前の字幕より前です`);
+      } else if (previous && cue.start < previous.end) {
+        problems.push(`${cue.where}: 前の字幕と重なっています`);
+      }
+      previous = cue;
+    }
+    return problems;
+  }
+
+  /**
+   * 空行で区切られたブロック（行の配列）に分割
+   */
+  splitBlocks(text) {
+    return text.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '')
+      .split(/\n[ \t]*\n/)
+      .map(block => block.split('\n').filter(line => line.trim() !== ''))
+      .filter(lines => lines.length > 0);
+  }
+
+  /**
+   * [時, 分, 秒, ミリ秒] を秒に変換（時は省略可）
+   */
+  cueTime([hours, minutes, seconds, millis]) {
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+  }
+}
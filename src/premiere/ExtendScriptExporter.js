@@ -0,0 +1,230 @@
+import path from 'path';
+import { FrameTimeline } from '../timeline/FrameTimeline.js';
+
+// マーカーの種類 → Premiereのマーカー色（Marker.setColorByIndex の番号）
+const MARKER_COLORS = {
+  cut: 1, // 赤
+  chapter: 0, // 緑
+  scene_change: 7, // シアン
+  speed_ramp: 3, // オレンジ
+  default: 4, // 黄
+};
+
+/**
+ * ExtendScript（.jsx）エクスポートクラス
+ * Premiere Proでそのまま実行できる編集スクリプトを生成する。
+ * スクリプトは素材を読み込んでシーケンスを作成し、保持クリップの境界でレーザーカット、
+ * 不要な区間を削除して詰め、マーカーを追加する（xmemlの読み込みを経由しない）。
+ * 編集データはスクリプト内に埋め込むため、生成結果は入力だけで決まるテキストになる。
+ * スクリプトからはクリップの速度を変更できないため、早送りのクリップは等速で置き、speed_ramp マーカーで位置と速度を示す
+ */
+export class ExtendScriptExporter {
+  constructor(config) {
+    this.config = config;
+    this.frameTimeline = new FrameTimeline(config);
+  }
+
+  /**
+   * 編集スクリプトを生成
+   * @param {string} videoPath - 入力動画パス（複数素材の場合は先頭の素材）
+   * @param {Array} keepClips - 保持クリップ（元動画の時間）
+   * @param {Object} settings - PremiereIntegration.resolveSequenceSettings() の結果
+   * @param {Object} options - { markers, sources, name }
+   *   - markers: TimelineMapper.buildMarkers() の結果
+   *   - sources: 複数素材の場合の素材一覧 [{path}]（クリップの sourceIndex で参照）
+   *   - name: シーケンス名（省略時は動画のファイル名）
+   * @returns {string} ExtendScriptのソース
+   */
+  generateJSX(videoPath, keepClips, settings, options = {}) {
+    const { frameRate } = settings;
+    const name = options.name || path.basename(videoPath, path.extname(videoPath));
+    const mediaPaths = (options.sources?.length > 0 ? options.sources.map(source => source.path) : [videoPath])
+      .map(mediaPath => path.resolve(mediaPath));
+
+    // 境界はシーケンスのフレームに量子化した値（秒）で埋め込む（早送りのクリップも等速の長さで配置）
+    const unretimed = keepClips.map(({ speed, ...clip }) => ({ ...clip, duration: clip.end - clip.start }));
+    const timeline = this.frameTimeline.build(unretimed, [], frameRate, options.markers || []);
+    const seconds = frames => Number(frameRate.framesToSeconds(frames).toFixed(6));
+
+    const edit = {
+      name,
+      media: mediaPaths,
+      clips: timeline.clips.map(placed => ({
+        source: placed.clip.sourceIndex ?? 0,
+        in: seconds(placed.in),
+        out: seconds(placed.out),
+      })),
+      markers: timeline.markers.map(placed => ({
+        time: seconds(placed.start),
+        name: placed.marker.name || '',
+        comment: placed.marker.comment || '',
+        color: MARKER_COLORS[placed.marker.type] ?? MARKER_COLORS.default,
+      })),
+    };
+
+    return `/**
+ * ${this.toComment(name)} - Premiere Auto Edit 編集スクリプト
+ * Premiere Proで「ファイル → スクリプト → スクリプトを実行」（またはExtendScriptデバッガー）から実行すると、
+ * 素材の読み込み・シーケンスの作成・保持クリップ境界でのカット・不要区間の削除・マーカーの追加を行います。
+ * 保持クリップ: ${edit.clips.length} / マーカー: ${edit.markers.length}
+ */
+#target premierepro
+
+(function () {
+  var EDIT = ${this.toLiteral(edit)};
+
+${SCRIPT_BODY}})();
+`;
+  }
+
+  /**
+   * 編集データをExtendScript（ES3）の式として書き出す
+   * JSONは式としてそのまま使えるが、行区切り文字（U+2028/U+2029）は文字列リテラルに書けないためエスケープする
+   */
+  toLiteral(value) {
+    return JSON.stringify(value, null, 2)
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029')
+      .split('\n')
+      .join('\n  ');
+  }
+
+  /**
+   * ブロックコメント内に書けるよう改行とコメント終端を除去
+   */
+  toComment(text) {
+    return String(text).replace(/[\r\n]+/g, ' ').replace(/\*\//g, '* /');
+  }
+}
+
+// 生成するスクリプトの処理部分（EDIT を参照する）
+const SCRIPT_BODY = `  function normalizePath(mediaPath) {
+    return String(mediaPath).replace(/\\\\/g, '/').toLowerCase();
+  }
+
+  // プロジェクト内（ビンを含む）から素材を探す
+  function findProjectItem(bin, mediaPath) {
+    for (var i = 0; i < bin.children.numItems; i++) {
+      var item = bin.children[i];
+      if (item.type === ProjectItemType.BIN) {
+        var found = findProjectItem(item, mediaPath);
+        if (found) return found;
+      } else if (item.getMediaPath && normalizePath(item.getMediaPath()) === normalizePath(mediaPath)) {
+        return item;
+      }
+    }
+    return null;
+  }
+
+  function toTime(seconds) {
+    var time = new Time();
+    time.seconds = seconds;
+    return time;
+  }
+
+  function eachTrack(sequence, callback) {
+    var i;
+    for (i = 0; i < sequence.videoTracks.numTracks; i++) callback(sequence.videoTracks[i]);
+    for (i = 0; i < sequence.audioTracks.numTracks; i++) callback(sequence.audioTracks[i]);
+  }
+
+  function trackItems(track) {
+    var items = [];
+    for (var i = 0; i < track.clips.numItems; i++) items.push(track.clips[i]);
+    return items;
+  }
+
+  function center(item) {
+    return (item.start.seconds + item.end.seconds) / 2;
+  }
+
+  function findRange(ranges, time) {
+    for (var i = 0; i < ranges.length; i++) {
+      if (time > ranges[i].start && time < ranges[i].end) return i;
+    }
+    return -1;
+  }
+
+  // 1. 素材の読み込み（読み込み済みの場合はそれを使う）
+  var projectItems = [];
+  for (var m = 0; m < EDIT.media.length; m++) {
+    var projectItem = findProjectItem(app.project.rootItem, EDIT.media[m]);
+    if (!projectItem) {
+      app.project.importFiles([EDIT.media[m]], true, app.project.getInsertionBin(), false);
+      projectItem = findProjectItem(app.project.rootItem, EDIT.media[m]);
+    }
+    if (!projectItem) {
+      alert('素材を読み込めませんでした: ' + EDIT.media[m]);
+      return;
+    }
+    projectItems.push(projectItem);
+  }
+
+  // 2. 素材からシーケンスを作成（素材の設定に合わせたシーケンスに素材が順に並ぶ）
+  var sequence = app.project.createNewSequenceFromClips(EDIT.name, projectItems, app.project.getInsertionBin());
+  if (!sequence) {
+    alert('シーケンスを作成できませんでした');
+    return;
+  }
+  app.project.activeSequence = sequence;
+  sequence.setZeroPoint('0');
+
+  // 素材ごとのV1上の位置から、保持クリップの（カット前の）シーケンス上の範囲を求める
+  var placedMedia = trackItems(sequence.videoTracks[0]);
+  var ranges = [];
+  for (var c = 0; c < EDIT.clips.length; c++) {
+    var clip = EDIT.clips[c];
+    var placed = placedMedia[clip.source];
+    if (!placed) continue;
+    var offset = placed.start.seconds - placed.inPoint.seconds;
+    ranges.push({ start: clip['in'] + offset, end: clip.out + offset });
+  }
+
+  // 3. 保持クリップの境界ですべてのトラックをレーザーカット
+  app.enableQE();
+  var qeSequence = qe.project.getActiveSequence();
+  var sequenceSettings = sequence.getSettings();
+  var razor = function (seconds) {
+    var timecode = toTime(seconds).getFormatted(sequenceSettings.videoFrameRate, sequenceSettings.videoDisplayFormat);
+    var t;
+    for (t = 0; t < qeSequence.numVideoTracks; t++) qeSequence.getVideoTrackAt(t).razor(timecode);
+    for (t = 0; t < qeSequence.numAudioTracks; t++) qeSequence.getAudioTrackAt(t).razor(timecode);
+  };
+  for (var r = 0; r < ranges.length; r++) {
+    razor(ranges[r].start);
+    razor(ranges[r].end);
+  }
+
+  // 4. 保持クリップ以外の区間を削除
+  eachTrack(sequence, function (track) {
+    var items = trackItems(track);
+    for (var i = items.length - 1; i >= 0; i--) {
+      if (findRange(ranges, center(items[i])) < 0) items[i].remove(false, true);
+    }
+  });
+
+  // 5. 保持クリップを先頭から詰める
+  var position = 0;
+  for (var k = 0; k < ranges.length; k++) {
+    var shift = position - ranges[k].start;
+    if (Math.abs(shift) > 0.000001) {
+      eachTrack(sequence, function (track) {
+        var items = trackItems(track);
+        for (var i = 0; i < items.length; i++) {
+          if (findRange(ranges, center(items[i])) === k) items[i].move(toTime(shift));
+        }
+      });
+    }
+    position += ranges[k].end - ranges[k].start;
+  }
+
+  // 6. マーカー（シーン変化・カット理由・チャプター）
+  for (var n = 0; n < EDIT.markers.length; n++) {
+    var marker = sequence.markers.createMarker(EDIT.markers[n].time);
+    marker.name = EDIT.markers[n].name;
+    marker.comments = EDIT.markers[n].comment;
+    if (marker.setColorByIndex) marker.setColorByIndex(EDIT.markers[n].color);
+  }
+
+  alert('編集が完了しました: ' + EDIT.name + '（保持クリップ ' + ranges.length + ' / マーカー ' + EDIT.markers.length + '）');
+`;
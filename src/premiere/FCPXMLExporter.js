@@ -0,0 +1,169 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { FrameTimeline } from '../timeline/FrameTimeline.js';
+
+// Final Cut Pro標準の「ベーシックタイトル」
+const BASIC_TITLE_UID = '.../Titles.localized/Bumper:Opener.localized/Basic Title.localized/Basic Title.moti';
+
+/**
+ * FCPXMLエクスポートクラス
+ * 保持クリップ・テロップ・マーカーを FCPXML 1.9 形式で出力（Final Cut Pro / DaVinci Resolve 向け）。
+ * 時間はすべてフレーム単位の有理数（例: 1001/30000s）で表す
+ */
+export class FCPXMLExporter {
+  constructor(config) {
+    this.config = config;
+    this.frameTimeline = new FrameTimeline(config);
+  }
+
+  /**
+   * FCPXMLを生成
+   * @param {string} videoPath - 入力動画パス
+   * @param {Array} keepClips - 保持クリップ
+   * @param {Array} captions - シーケンス基準のテロップ（TimelineMapper.mapCaptions() の結果）
+   * @param {Object} settings - PremiereIntegration.resolveSequenceSettings() の結果
+   * @param {Object} options - { markers: TimelineMapper.buildMarkers() の結果, sourceDuration: 元動画の長さ（秒） }
+   * @returns {string} FCPXML文字列
+   */
+  generateFCPXML(videoPath, keepClips, captions, settings, options = {}) {
+    const { frameRate } = settings;
+    const videoName = path.basename(videoPath);
+    const projectName = path.basename(videoPath, path.extname(videoPath));
+    const timeline = this.frameTimeline.build(keepClips, captions, frameRate, options.markers || []);
+    const t = frames => frameRate.framesToRationalTime(frames);
+    const tcFormat = frameRate.dropFrame ? 'DF' : 'NDF';
+
+    const lastOut = timeline.clips.length > 0 ? Math.max(...timeline.clips.map(c => c.out)) : 0;
+    const assetDuration = Math.max(lastOut, frameRate.secondsToFrames(options.sourceDuration || 0));
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE fcpxml>
+<fcpxml version="1.9">
+  <resources>
+    <format id="r1" frameDuration="${t(1)}" width="${settings.width}" height="${settings.height}"/>
+    <asset id="r2" name="${this.escapeXml(projectName)}" start="0s" duration="${t(assetDuration)}" hasVideo="1" hasAudio="1" format="r1" audioSources="1" audioChannels="${settings.audio.channels}" audioRate="${settings.audio.sampleRate}">
+      <media-rep kind="original-media" src="${this.escapeXml(pathToFileURL(path.resolve(videoPath)).href)}"/>
+    </asset>
+    <effect id="r3" name="Basic Title" uid="${BASIC_TITLE_UID}"/>
+  </resources>
+  <library>
+    <event name="Auto Edit">
+      <project name="${this.escapeXml(projectName)}">
+        <sequence format="r1" duration="${t(timeline.duration)}" tcStart="0s" tcFormat="${tcFormat}" audioLayout="${this.getAudioLayout(settings.audio.channels)}" audioRate="${this.getAudioRate(settings.audio.sampleRate)}">
+          <spine>
+`;
+
+    let textStyleIndex = 0;
+    for (const clip of timeline.clips) {
+      // クリップ内の要素（タイトル・マーカー）の位置はクリップのローカル時間で表す
+      // （速度を変えていないクリップではソース時間と同じ、早送りのクリップは timeMap でソース時間に対応付ける）
+      // DTDの順序に従い、timeMap・接続タイトル・マーカーの順に出力する
+      const toLocal = recordFrame => clip.in + (recordFrame - clip.start);
+
+      xml += `            <asset-clip ref="r2" name="${this.escapeXml(videoName)}" offset="${t(clip.start)}" start="${t(clip.in)}" duration="${t(clip.duration)}" tcFormat="${tcFormat}">
+`;
+      if (clip.speed !== 1) {
+        xml += `              <timeMap>
+                <timept time="${t(clip.in)}" value="${t(clip.in)}" interp="linear"/>
+                <timept time="${t(clip.in + clip.duration)}" value="${t(clip.out)}" interp="linear"/>
+              </timeMap>
+`;
+      }
+
+      const clipCaptions = timeline.captions.filter(c => c.start >= clip.start && c.start < clip.end);
+      for (const placed of clipCaptions) {
+        textStyleIndex++;
+        const styleId = `ts${textStyleIndex}`;
+        const duration = Math.min(placed.duration, clip.end - placed.start);
+
+        xml += `              <title ref="r3" lane="1" offset="${t(toLocal(placed.start))}" duration="${t(duration)}" name="${this.escapeXml(placed.caption.text)}">
+                <text>
+                  <text-style ref="${styleId}">${this.escapeXml(placed.caption.text)}</text-style>
+                </text>
+                <text-style-def id="${styleId}">
+                  ${this.generateTextStyle(placed.caption.style)}
+                </text-style-def>
+              </title>
+`;
+      }
+
+      for (const placed of timeline.markers.filter(m => m.clipIndex === clip.index)) {
+        const element = placed.marker.type === 'chapter' ? 'chapter-marker' : 'marker';
+        xml += `              <${element} start="${t(toLocal(placed.start))}" duration="${t(1)}" value="${this.escapeXml(placed.marker.name || '')}" note="${this.escapeXml(placed.marker.comment || '')}"/>
+`;
+      }
+
+      xml += `            </asset-clip>
+`;
+    }
+
+    xml += `          </spine>
+        </sequence>
+      </project>
+    </event>
+  </library>
+</fcpxml>
+`;
+
+    return xml;
+  }
+
+  /**
+   * テロップのスタイルを<text-style>に変換
+   */
+  generateTextStyle(style = {}) {
+    const base = this.config.caption.defaultStyle || {};
+    const fontFamily = style.fontFamily || base.fontFamily || 'Helvetica';
+    const fontSize = style.fontSize || base.fontSize || 48;
+    const fontColor = this.toFCPColor(style.color || style.fontColor || base.color || '#FFFFFF');
+    const strokeColor = this.toFCPColor(style.strokeColor || base.strokeColor || '#000000');
+    const strokeWidth = style.strokeWidth ?? base.strokeWidth ?? 0;
+
+    let attributes = `font="${this.escapeXml(fontFamily)}" fontSize="${fontSize}" fontColor="${fontColor}" alignment="center"`;
+    if (strokeWidth > 0) {
+      attributes += ` strokeColor="${strokeColor}" strokeWidth="${strokeWidth}"`;
+    }
+    return `<text-style ${attributes}/>`;
+  }
+
+  /**
+   * '#RRGGBB' や 'white' を FCPXML の色表記（"r g b a"、各0〜1）に変換
+   */
+  toFCPColor(color) {
+    const named = { white: '#FFFFFF', black: '#000000', yellow: '#FFFF00', red: '#FF0000' };
+    const hex = (named[String(color).toLowerCase()] || color).replace('#', '');
+    if (!/^[0-9a-fA-F]{6}$/.test(hex)) return '1 1 1 1';
+
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    return `${+r.toFixed(4)} ${+g.toFixed(4)} ${+b.toFixed(4)} 1`;
+  }
+
+  /**
+   * チャンネル数から audioLayout を決定
+   */
+  getAudioLayout(channels) {
+    if (channels === 1) return 'mono';
+    if (channels === 2) return 'stereo';
+    return 'surround';
+  }
+
+  /**
+   * サンプルレートから audioRate（'48k' など）を決定
+   */
+  getAudioRate(sampleRate) {
+    const rates = { 32000: '32k', 44100: '44.1k', 48000: '48k', 88200: '88.2k', 96000: '96k', 176400: '176.4k', 192000: '192k' };
+    return rates[sampleRate] || '48k';
+  }
+
+  /**
+   * XML特殊文字をエスケープ
+   */
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
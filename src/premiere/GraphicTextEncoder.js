@@ -0,0 +1,422 @@
+// Essential Graphicsのテキスト（ソーステキスト）データ先頭のマジックナンバー
+const MAGIC = 0x11223344;
+// 先頭の固定部分（データ長 4バイト + 予約 4バイト + マジックナンバー 4バイト）
+const PREFIX_SIZE = 12;
+
+// テキストデータのテーブル内のフィールド番号（用途が分かっているもの）
+// それ以外のフィールドはPremiereが書き出す既定のテキストデータと同じ値で出力する
+const SLOTS = {
+  // ルート → テキストレイヤー
+  root: { layer: 0 },
+  // テキストレイヤー: テキストラン一覧、フォント名一覧
+  layer: { runs: 0, fonts: 1 },
+  // テキストラン（同じスタイルの文字列）: テキスト、文字スタイル
+  run: { text: 0, style: 1 },
+  // 文字スタイル: フォントサイズ、塗り、境界線
+  style: { fontSize: 1, fill: 10, stroke: 11 },
+  // 境界線: 色、幅（ピクセル）
+  stroke: { color: 0, width: 1 },
+  // 色: RGBA（各0〜1）
+  color: { r: 0, g: 1, b: 2, a: 3 },
+};
+
+// 色名 → '#RRGGBB'
+const NAMED_COLORS = {
+  white: '#FFFFFF',
+  black: '#000000',
+  red: '#FF0000',
+  green: '#00FF00',
+  blue: '#0000FF',
+  yellow: '#FFFF00',
+};
+
+// よく使うフォント名 → PostScript名
+const POSTSCRIPT_NAMES = {
+  'Arial': 'ArialMT',
+  'Arial Bold': 'Arial-BoldMT',
+  'Helvetica': 'Helvetica',
+  'Impact': 'Impact',
+  'Yu Gothic': 'YuGothic-Medium',
+  'Yu Gothic Bold': 'YuGothic-Bold',
+  '游ゴシック': 'YuGothic-Medium',
+  '游ゴシック Bold': 'YuGothic-Bold',
+  'ヒラギノ角ゴシック': 'HiraginoSans-W3',
+  'ヒラギノ角ゴシック W6': 'HiraginoSans-W6',
+  'Noto Sans JP': 'NotoSansJP-Regular',
+};
+
+/**
+ * Essential Graphicsテキストエンコーダークラス
+ * xmemlのGraphicAndTypeエフェクト「ソーステキスト」に入るテキストデータ（FlatBuffers形式）を
+ * テロップのテキストとスタイルから組み立てる。テキスト長に上限はない
+ */
+export class GraphicTextEncoder {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * テキストとスタイルをBase64のテキストデータに変換
+   * @param {string} text - テロップのテキスト
+   * @param {Object} style - テロップのスタイル（fontFamily, fontSize, color/fontColor, strokeColor, strokeWidth）
+   * @returns {string} Base64文字列
+   */
+  encode(text, style = {}) {
+    const base = this.config.caption.defaultStyle || {};
+    const fontName = this.toPostScriptName(style.fontFamily || base.fontFamily || 'YuGothic-Bold');
+    const fontSize = Number(style.fontSize || base.fontSize || 72);
+    const fill = this.toRGBA(style.color || style.fontColor || base.color || '#FFFFFF');
+    const strokeWidth = Number(style.strokeWidth ?? base.strokeWidth ?? 0);
+    const strokeColor = this.toRGBA(style.strokeColor || base.strokeColor || '#000000');
+
+    const w = new BlobWriter();
+    w.uint32(0); // データ長（最後に書き込む）
+    w.uint32(0);
+    w.uint32(MAGIC);
+
+    // 空テーブル（共通のvtableは末尾に置く）
+    const emptyTables = [];
+    const emptyTable = () => {
+      const position = w.length;
+      w.int32(0);
+      emptyTables.push(position);
+      return position;
+    };
+
+    // ルート
+    const rootRef = w.reserve();
+    const root = w.table(1, 10, [{ slot: SLOTS.root.layer, offset: 4, type: 'ref' }]);
+    w.patch(rootRef, root.position);
+
+    // テキストレイヤー
+    const layer = w.table(45, 36, [
+      { slot: 44, offset: 7, type: 'uint8', value: 1 },
+      { slot: 40, offset: 8, type: 'ref' },
+      { slot: 38, offset: 15, type: 'uint8', value: 1 },
+      { slot: SLOTS.layer.fonts, offset: 16, type: 'ref' },
+      { slot: SLOTS.layer.runs, offset: 20, type: 'ref' },
+      { slot: 43, offset: 27, type: 'uint8', value: 0 },
+      { slot: 5, offset: 28, type: 'uint32', value: 2 },
+      { slot: 4, offset: 32, type: 'uint32', value: 2 },
+    ]);
+    w.patch(root.refs[SLOTS.root.layer], layer.position);
+    w.patch(layer.refs[40], emptyTable());
+    for (let i = 0; i < 3; i++) emptyTable();
+
+    // フォント名一覧
+    w.patch(layer.refs[SLOTS.layer.fonts], w.length);
+    w.uint32(1);
+    const fontRef = w.reserve();
+    w.patch(fontRef, w.length);
+    w.string(fontName);
+
+    // テキストラン
+    w.pad(4);
+    w.patch(layer.refs[SLOTS.layer.runs], w.length);
+    w.uint32(1);
+    const runRef = w.reserve();
+    const run = w.table(2, 12, [
+      { slot: SLOTS.run.text, offset: 4, type: 'ref' },
+      { slot: SLOTS.run.style, offset: 8, type: 'ref' },
+    ]);
+    w.patch(runRef, run.position);
+    w.patch(run.refs[SLOTS.run.text], w.length);
+    w.string(text);
+
+    // 文字スタイル（境界線は幅が0より大きい場合のみ）
+    const characterStyle = w.table(25, 40, [
+      { slot: 24, offset: 4, type: 'uint32', value: 2 },
+      { slot: 23, offset: 8, type: 'ref' },
+      { slot: 21, offset: 12, type: 'ref' },
+      { slot: 6, offset: 16, type: 'float32', value: 2.25 },
+      { slot: 5, offset: 23, type: 'uint8', value: 1 },
+      { slot: 4, offset: 24, type: 'uint32', value: 32 },
+      { slot: SLOTS.style.fontSize, offset: 28, type: 'float32', value: fontSize },
+      { slot: SLOTS.style.fill, offset: 32, type: 'ref' },
+      ...(strokeWidth > 0 ? [{ slot: SLOTS.style.stroke, offset: 36, type: 'ref' }] : []),
+    ]);
+    w.patch(run.refs[SLOTS.run.style], characterStyle.position);
+    w.patch(characterStyle.refs[23], emptyTable());
+    w.patch(characterStyle.refs[21], w.table(0, 6, []).position);
+    w.patch(characterStyle.refs[SLOTS.style.fill], this.writeColor(w, fill));
+    if (strokeWidth > 0) {
+      const stroke = w.table(2, 12, [
+        { slot: SLOTS.stroke.color, offset: 4, type: 'ref' },
+        { slot: SLOTS.stroke.width, offset: 8, type: 'float32', value: strokeWidth },
+      ]);
+      w.patch(characterStyle.refs[SLOTS.style.stroke], stroke.position);
+      w.patch(stroke.refs[SLOTS.stroke.color], this.writeColor(w, strokeColor));
+    }
+    w.table(3, 8, [
+      { slot: 0, offset: 5, type: 'uint8', value: 0 },
+      { slot: 1, offset: 6, type: 'uint8', value: 0 },
+      { slot: 2, offset: 7, type: 'uint8', value: 0 },
+    ]);
+
+    // 空テーブル共通のvtable
+    const emptyVTable = w.length;
+    w.uint16(4);
+    w.uint16(4);
+    emptyTable();
+    for (const position of emptyTables) {
+      w.setInt32(position, position - emptyVTable);
+    }
+
+    w.setUint32(0, w.length - PREFIX_SIZE);
+    return w.toBuffer().toString('base64');
+  }
+
+  /**
+   * Base64のテキストデータからテキストとスタイルを読み取る（encodeの逆）
+   * Premiereで編集・書き出したXMLのテロップを読み込むために使う
+   * @returns {Object|null} {text, fontFamily, fontSize, color, strokeColor, strokeWidth}
+   *   （読み取れない場合はnull、旧形式など塗り・境界線のないデータでは color・strokeColor は null、strokeWidth は 0）
+   */
+  decode(base64) {
+    try {
+      const buffer = Buffer.from(base64, 'base64');
+      if (buffer.readUInt32LE(8) !== MAGIC) return null;
+
+      const reader = new BlobReader(buffer);
+      const root = reader.ref(PREFIX_SIZE);
+      const layer = reader.ref(reader.field(root, SLOTS.root.layer));
+      const fonts = reader.vector(reader.field(layer, SLOTS.layer.fonts));
+      const runs = reader.vector(reader.field(layer, SLOTS.layer.runs));
+
+      const text = runs.map(run => reader.string(reader.ref(reader.field(run, SLOTS.run.text)))).join('');
+      const style = runs.length > 0 ? reader.ref(reader.field(runs[0], SLOTS.run.style)) : null;
+      const styleField = slot => (style !== null ? reader.field(style, slot) : null);
+      const fontSizeField = styleField(SLOTS.style.fontSize);
+      const fillField = styleField(SLOTS.style.fill);
+      const strokeField = styleField(SLOTS.style.stroke);
+      const stroke = strokeField !== null ? reader.ref(strokeField) : null;
+      const strokeColorField = stroke !== null ? reader.field(stroke, SLOTS.stroke.color) : null;
+      const strokeWidthField = stroke !== null ? reader.field(stroke, SLOTS.stroke.width) : null;
+
+      return {
+        // 固定長の旧形式は末尾がNULで埋められている
+        text: text.replace(/\0+$/, ''),
+        fontFamily: fonts.length > 0 ? reader.string(fonts[0]) : null,
+        fontSize: fontSizeField !== null ? buffer.readFloatLE(fontSizeField) : null,
+        color: fillField !== null ? this.readColor(reader, reader.ref(fillField)) : null,
+        strokeColor: strokeColorField !== null ? this.readColor(reader, reader.ref(strokeColorField)) : null,
+        strokeWidth: strokeWidthField !== null ? buffer.readFloatLE(strokeWidthField) : 0,
+      };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 色のテーブルを書き込んで位置を返す
+   * @param {Array} rgba - [r, g, b, a]（各0〜1）
+   */
+  writeColor(w, [r, g, b, a]) {
+    return w.table(4, 20, [
+      { slot: SLOTS.color.r, offset: 4, type: 'float32', value: r },
+      { slot: SLOTS.color.g, offset: 8, type: 'float32', value: g },
+      { slot: SLOTS.color.b, offset: 12, type: 'float32', value: b },
+      { slot: SLOTS.color.a, offset: 16, type: 'float32', value: a },
+    ]).position;
+  }
+
+  /**
+   * 色のテーブルを '#RRGGBB' として読み取る
+   */
+  readColor(reader, table) {
+    const channel = slot => {
+      const field = reader.field(table, slot);
+      const value = field !== null ? reader.buffer.readFloatLE(field) : 0;
+      return Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0');
+    };
+    return `#${[SLOTS.color.r, SLOTS.color.g, SLOTS.color.b].map(channel).join('')}`.toUpperCase();
+  }
+
+  /**
+   * '#RRGGBB'・'#RGB'・'white' などの色名・'rgba(r,g,b,a)' を [r, g, b, a]（各0〜1）に変換
+   * 解釈できない色は白
+   */
+  toRGBA(color) {
+    const value = String(color).trim().toLowerCase();
+    const rgba = value.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+    if (rgba) {
+      const [r, g, b] = rgba.slice(1, 4).map(channel => Math.min(255, Number(channel)) / 255);
+      return [r, g, b, rgba[4] !== undefined ? Math.min(1, Number(rgba[4])) : 1];
+    }
+
+    let hex = (NAMED_COLORS[value] || value).replace('#', '');
+    if (/^[0-9a-f]{3}$/.test(hex)) hex = hex.split('').map(c => c + c).join('');
+    if (!/^[0-9a-f]{6}$/.test(hex)) return [1, 1, 1, 1];
+    return [...[0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255), 1];
+  }
+
+  /**
+   * フォント名をPremiereが参照するPostScript名に変換
+   */
+  toPostScriptName(fontFamily) {
+    return POSTSCRIPT_NAMES[fontFamily] || String(fontFamily).replace(/\s+/g, '');
+  }
+}
+
+/**
+ * FlatBuffersのデータを先頭から順に書き込むライター
+ * オフセットは後から patch() で書き込む
+ */
+class BlobWriter {
+  constructor() {
+    this.buffer = Buffer.alloc(1024);
+    this.length = 0;
+  }
+
+  ensure(size) {
+    if (this.length + size <= this.buffer.length) return;
+    const grown = Buffer.alloc(Math.max(this.buffer.length * 2, this.length + size));
+    this.buffer.copy(grown, 0, 0, this.length);
+    this.buffer = grown;
+  }
+
+  pad(alignment, extra = 0) {
+    while ((this.length + extra) % alignment !== 0) this.uint8(0);
+  }
+
+  uint8(value) {
+    this.ensure(1);
+    this.buffer.writeUInt8(value, this.length);
+    this.length += 1;
+  }
+
+  uint16(value) {
+    this.ensure(2);
+    this.buffer.writeUInt16LE(value, this.length);
+    this.length += 2;
+  }
+
+  uint32(value) {
+    this.ensure(4);
+    this.buffer.writeUInt32LE(value, this.length);
+    this.length += 4;
+  }
+
+  int32(value) {
+    this.ensure(4);
+    this.buffer.writeInt32LE(value, this.length);
+    this.length += 4;
+  }
+
+  setUint32(position, value) {
+    this.buffer.writeUInt32LE(value, position);
+  }
+
+  setInt32(position, value) {
+    this.buffer.writeInt32LE(value, position);
+  }
+
+  /**
+   * オフセット用の4バイトを確保して位置を返す
+   */
+  reserve() {
+    const position = this.length;
+    this.uint32(0);
+    return position;
+  }
+
+  /**
+   * 確保した位置に、そこから target までの相対オフセットを書き込む
+   */
+  patch(position, target) {
+    this.setUint32(position, target - position);
+  }
+
+  /**
+   * 文字列（長さ + UTF-8 + NUL終端）
+   */
+  string(text) {
+    const bytes = Buffer.from(text, 'utf-8');
+    this.uint32(bytes.length);
+    this.ensure(bytes.length);
+    bytes.copy(this.buffer, this.length);
+    this.length += bytes.length;
+    this.uint8(0);
+  }
+
+  /**
+   * vtableとテーブルを書き込む（テーブルの先頭が4バイト境界になるようにvtableの前を埋める）
+   * @param {number} slotCount - vtableのフィールド数
+   * @param {number} size - テーブルのサイズ（soffsetを含む）
+   * @param {Array} fields - [{slot, offset, type, value}]（type: 'ref' は後で patch() する）
+   * @returns {Object} {position, refs: {slot: オフセットを書き込む位置}}
+   */
+  table(slotCount, size, fields) {
+    const vtableSize = 4 + slotCount * 2;
+    this.pad(4, vtableSize);
+
+    const vtable = this.length;
+    this.uint16(vtableSize);
+    this.uint16(size);
+    const offsets = new Array(slotCount).fill(0);
+    for (const field of fields) offsets[field.slot] = field.offset;
+    offsets.forEach(offset => this.uint16(offset));
+
+    const position = this.length;
+    this.ensure(size);
+    this.buffer.fill(0, position, position + size);
+    this.length += size;
+    this.setInt32(position, position - vtable);
+
+    const refs = {};
+    for (const field of fields) {
+      const at = position + field.offset;
+      if (field.type === 'ref') refs[field.slot] = at;
+      else if (field.type === 'uint8') this.buffer.writeUInt8(field.value, at);
+      else if (field.type === 'uint32') this.buffer.writeUInt32LE(field.value, at);
+      else if (field.type === 'float32') this.buffer.writeFloatLE(field.value, at);
+    }
+    return { position, refs };
+  }
+
+  toBuffer() {
+    return this.buffer.subarray(0, this.length);
+  }
+}
+
+/**
+ * FlatBuffersのデータを読むリーダー（decode用）
+ */
+class BlobReader {
+  constructor(buffer) {
+    this.buffer = buffer;
+  }
+
+  /**
+   * オフセットを辿った先の位置
+   */
+  ref(position) {
+    return position + this.buffer.readUInt32LE(position);
+  }
+
+  /**
+   * テーブルのフィールド位置（フィールドがない場合はnull）
+   */
+  field(table, slot) {
+    const vtable = table - this.buffer.readInt32LE(table);
+    const vtableSize = this.buffer.readUInt16LE(vtable);
+    if (4 + slot * 2 >= vtableSize) return null;
+    const offset = this.buffer.readUInt16LE(vtable + 4 + slot * 2);
+    return offset === 0 ? null : table + offset;
+  }
+
+  /**
+   * テーブルのベクター（各要素の参照先の位置）
+   */
+  vector(field) {
+    if (field === null) return [];
+    const position = this.ref(field);
+    const length = this.buffer.readUInt32LE(position);
+    return Array.from({ length }, (_, i) => this.ref(position + 4 + i * 4));
+  }
+
+  string(position) {
+    const length = this.buffer.readUInt32LE(position);
+    return this.buffer.toString('utf-8', position + 4, position + 4 + length);
+  }
+}
@@ -0,0 +1,322 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { FrameTimeline } from '../timeline/FrameTimeline.js';
+import { FrameRate } from '../timeline/FrameRate.js';
+import { TimelineMapper } from '../timeline/TimelineMapper.js';
+
+// このツール固有の情報を格納するメタデータのキー
+const METADATA_KEY = 'premiere_auto_edit';
+
+/**
+ * OpenTimelineIOアダプタークラス
+ * 保持クリップ・テロップ・カット理由を OTIO (JSON) タイムラインとして書き出し、
+ * 編集済みの .otio から保持クリップとテロップを復元する
+ */
+export class OTIOAdapter {
+  constructor(config) {
+    this.config = config;
+    this.frameTimeline = new FrameTimeline(config);
+    this.timelineMapper = new TimelineMapper(config);
+  }
+
+  /**
+   * OTIOタイムラインを生成
+   * - V1: 保持クリップ（カット理由・シーン変化・チャプターはクリップのマーカー、早送りのクリップは LinearTimeWarp）
+   * - A1: V1と同じ保持クリップ
+   * - Subtitles: テロップ（テキストとスタイルはメタデータに格納）
+   * @param {string} videoPath - 入力動画パス
+   * @param {Array} keepClips - 保持クリップ
+   * @param {Array} captions - シーケンス基準のテロップ（TimelineMapper.mapCaptions() の結果）
+   * @param {Object} settings - PremiereIntegration.resolveSequenceSettings() の結果
+   * @param {Object} options - { markers, cutCandidates, sourceDuration }
+   * @returns {Object} OTIO Timeline（JSON.stringifyでそのまま .otio になる）
+   */
+  generateOTIO(videoPath, keepClips, captions, settings, options = {}) {
+    const { frameRate } = settings;
+    const rate = frameRate.fps;
+    const name = path.basename(videoPath, path.extname(videoPath));
+    const timeline = this.frameTimeline.build(keepClips, captions, frameRate, options.markers || []);
+    const actualCuts = (options.cutCandidates || []).filter(c => !c.isMarker && c.disposition !== 'speed');
+
+    const lastOut = timeline.clips.length > 0 ? Math.max(...timeline.clips.map(c => c.out)) : 0;
+    const availableFrames = Math.max(lastOut, frameRate.secondsToFrames(options.sourceDuration || 0));
+    const mediaReference = () => ({
+      OTIO_SCHEMA: 'ExternalReference.1',
+      name: path.basename(videoPath),
+      target_url: pathToFileURL(path.resolve(videoPath)).href,
+      available_range: this.timeRange(0, availableFrames, rate),
+      metadata: {},
+    });
+
+    const videoClips = timeline.clips.map((clip, i) => {
+      // このクリップの直前で削除された区間のカット候補（再読み込み時にカット理由を復元するため）
+      const gapStart = i > 0 ? timeline.clips[i - 1].clip.end : 0;
+      const gapCuts = actualCuts
+        .filter(cut => cut.end > gapStart && cut.start < clip.clip.start)
+        .map(({ start, end, duration, type, reason, confidence }) => ({ start, end, duration, type, reason, confidence }));
+
+      return {
+        ...this.clip(path.basename(videoPath), clip.in, clip.duration, rate, mediaReference(), clip.speed),
+        markers: timeline.markers
+          .filter(m => m.clipIndex === clip.index)
+          .map(placed => this.marker(placed, gapCuts, rate)),
+      };
+    });
+    const audioClips = timeline.clips.map(clip =>
+      this.clip(path.basename(videoPath), clip.in, clip.duration, rate, mediaReference(), clip.speed)
+    );
+
+    // テロップトラック: テロップの間はギャップで埋める
+    const subtitleItems = [];
+    let position = 0;
+    for (const placed of timeline.captions) {
+      if (placed.start > position) {
+        subtitleItems.push(this.gap(placed.start - position, rate));
+      }
+      subtitleItems.push({
+        ...this.clip(placed.caption.text, 0, placed.duration, rate, {
+          OTIO_SCHEMA: 'GeneratorReference.1',
+          name: 'Caption',
+          generator_kind: 'Caption',
+          parameters: {},
+          available_range: null,
+          metadata: {},
+        }),
+        metadata: {
+          [METADATA_KEY]: {
+            text: placed.caption.text,
+            style: placed.caption.style || null,
+          },
+        },
+      });
+      position = placed.end;
+    }
+
+    return {
+      OTIO_SCHEMA: 'Timeline.1',
+      name,
+      global_start_time: this.rationalTime(0, rate),
+      metadata: {
+        [METADATA_KEY]: {
+          sourceVideo: path.resolve(videoPath),
+          sourceDuration: options.sourceDuration || null,
+          createdAt: new Date().toISOString(),
+        },
+      },
+      tracks: {
+        OTIO_SCHEMA: 'Stack.1',
+        name: 'tracks',
+        source_range: null,
+        effects: [],
+        markers: [],
+        metadata: {},
+        children: [
+          this.track('V1', 'Video', videoClips),
+          this.track('A1', 'Audio', audioClips),
+          { ...this.track('Subtitles', 'Video', subtitleItems), metadata: { [METADATA_KEY]: { role: 'subtitles' } } },
+        ],
+      },
+    };
+  }
+
+  /**
+   * 編集済みの .otio ファイルを読み込み、保持クリップ・テロップ・カット情報を復元
+   * @param {string} otioPath - .otioファイルのパス
+   * @returns {Promise<Object>} {videoPath, frameRate, keepClips, captions, cutCandidates, chapters, sourceDuration}
+   */
+  async readOTIO(otioPath) {
+    const otio = await fs.readJson(otioPath);
+    return this.parseOTIO(otio);
+  }
+
+  /**
+   * OTIOタイムライン（JSON）から保持クリップ・テロップ・カット情報を復元
+   * テロップはシーケンス基準の時間で、対応する保持クリップの元動画の時間（sourceStart/sourceEnd）も付与する
+   */
+  parseOTIO(otio) {
+    if (otio?.OTIO_SCHEMA?.split('.')[0] !== 'Timeline') {
+      throw new Error('OTIOタイムラインではありません');
+    }
+
+    const tracks = otio.tracks?.children || [];
+    const isSubtitleTrack = track =>
+      track.metadata?.[METADATA_KEY]?.role === 'subtitles' || track.kind === 'Subtitle';
+    const videoTrack = tracks.find(t => t.kind === 'Video' && !isSubtitleTrack(t));
+    const subtitleTrack = tracks.find(isSubtitleTrack);
+
+    if (!videoTrack) {
+      throw new Error('OTIOにビデオトラックがありません');
+    }
+
+    const keepClips = [];
+    const cutCandidates = [];
+    const chapters = [];
+    let videoPath = otio.metadata?.[METADATA_KEY]?.sourceVideo || null;
+    let sourceDuration = otio.metadata?.[METADATA_KEY]?.sourceDuration || null;
+    let rate = null;
+
+    for (const item of videoTrack.children || []) {
+      if (!this.isClip(item)) continue;
+
+      const range = item.source_range;
+      rate = rate || range.start_time.rate;
+      const start = range.start_time.value / range.start_time.rate;
+      const duration = range.duration.value / range.duration.rate;
+      // LinearTimeWarp のクリップは source_range の長さがトラック上の長さで、素材はその time_scalar 倍使う
+      const timeWarp = (item.effects || []).find(effect => effect.OTIO_SCHEMA?.split('.')[0] === 'LinearTimeWarp');
+      const speed = timeWarp?.time_scalar > 0 ? timeWarp.time_scalar : 1;
+      keepClips.push({ start, end: start + duration * speed, duration, ...(speed !== 1 ? { speed } : {}) });
+
+      const reference = item.media_reference;
+      if (!videoPath && reference?.target_url) {
+        videoPath = reference.target_url.startsWith('file:') ? fileURLToPath(reference.target_url) : reference.target_url;
+      }
+      if (!sourceDuration && reference?.available_range) {
+        sourceDuration = reference.available_range.duration.value / reference.available_range.duration.rate;
+      }
+
+      for (const marker of item.markers || []) {
+        const data = marker.metadata?.[METADATA_KEY] || {};
+        const markerTime = marker.marked_range.start_time.value / marker.marked_range.start_time.rate;
+
+        if (data.type === 'chapter') {
+          chapters.push({ start: markerTime, name: marker.name, comment: marker.comment });
+        } else if (data.type === 'cut') {
+          cutCandidates.push(...(data.cuts || []));
+        } else if (data.type && data.type !== 'speed_ramp') {
+          cutCandidates.push({
+            start: markerTime,
+            end: markerTime,
+            duration: 0,
+            type: data.type,
+            reason: marker.name,
+            confidence: data.confidence ?? 0.6,
+            isMarker: true,
+          });
+        }
+      }
+    }
+
+    // テロップ: シーケンス上の位置を保持クリップの元動画の時間に対応付ける
+    const map = this.timelineMapper.buildMap(keepClips);
+    const captions = [];
+    let position = 0;
+    for (const item of subtitleTrack?.children || []) {
+      const range = item.source_range;
+      const duration = range ? range.duration.value / range.duration.rate : 0;
+
+      if (this.isClip(item)) {
+        const data = item.metadata?.[METADATA_KEY] || {};
+        const source = this.timelineMapper.toSourceTime(position, map);
+        const caption = {
+          id: captions.length + 1,
+          text: data.text ?? item.name,
+          start: position,
+          end: position + duration,
+          duration,
+          style: data.style || undefined,
+        };
+        if (source) {
+          caption.clipIndex = source.entry.clipIndex;
+          caption.sourceStart = source.sourceTime;
+          caption.sourceEnd = Math.min(source.entry.sourceEnd, source.sourceTime + duration * source.entry.speed);
+        }
+        captions.push(caption);
+      }
+      position += duration;
+    }
+
+    // 編集で復元された区間（保持クリップ内に戻ったカット）はカット候補から除く
+    const remainingCuts = cutCandidates.filter(cut => {
+      if (cut.isMarker) return true;
+      const middle = (cut.start + cut.end) / 2;
+      return !keepClips.some(clip => middle > clip.start && middle < clip.end);
+    });
+
+    return {
+      videoPath,
+      frameRate: rate ? FrameRate.from(rate) : null,
+      keepClips,
+      captions,
+      cutCandidates: remainingCuts.sort((a, b) => a.start - b.start),
+      chapters,
+      sourceDuration,
+    };
+  }
+
+  /**
+   * マーカーを Marker.2 に変換（カット理由の詳細はメタデータに格納）
+   */
+  marker(placed, gapCuts, rate) {
+    const { marker } = placed;
+    const data = marker.type === 'cut' ? { type: marker.type, cuts: gapCuts } : { type: marker.type };
+
+    const colors = { cut: 'RED', chapter: 'GREEN', scene_change: 'CYAN', speed_ramp: 'ORANGE' };
+    return {
+      OTIO_SCHEMA: 'Marker.2',
+      name: marker.name || '',
+      color: colors[marker.type] || 'YELLOW',
+      comment: marker.comment || '',
+      marked_range: this.timeRange(placed.sourceFrame, 0, rate),
+      metadata: { [METADATA_KEY]: data },
+    };
+  }
+
+  isClip(item) {
+    return item?.OTIO_SCHEMA?.split('.')[0] === 'Clip' && item.source_range;
+  }
+
+  track(name, kind, children) {
+    return {
+      OTIO_SCHEMA: 'Track.1',
+      name,
+      kind,
+      source_range: null,
+      effects: [],
+      markers: [],
+      metadata: {},
+      children,
+    };
+  }
+
+  /**
+   * Clip.1 を生成（speed が 1 以外の場合は LinearTimeWarp を付ける）
+   */
+  clip(name, startFrame, durationFrames, rate, mediaReference, speed = 1) {
+    return {
+      OTIO_SCHEMA: 'Clip.1',
+      name,
+      source_range: this.timeRange(startFrame, durationFrames, rate),
+      media_reference: mediaReference,
+      effects: speed !== 1
+        ? [{ OTIO_SCHEMA: 'LinearTimeWarp.1', name: '', effect_name: 'LinearTimeWarp', time_scalar: speed, metadata: {} }]
+        : [],
+      markers: [],
+      metadata: {},
+    };
+  }
+
+  gap(durationFrames, rate) {
+    return {
+      OTIO_SCHEMA: 'Gap.1',
+      name: '',
+      source_range: this.timeRange(0, durationFrames, rate),
+      effects: [],
+      markers: [],
+      metadata: {},
+    };
+  }
+
+  timeRange(startFrame, durationFrames, rate) {
+    return {
+      OTIO_SCHEMA: 'TimeRange.1',
+      start_time: this.rationalTime(startFrame, rate),
+      duration: this.rationalTime(durationFrames, rate),
+    };
+  }
+
+  rationalTime(value, rate) {
+    return { OTIO_SCHEMA: 'RationalTime.1', rate, value };
+  }
+}
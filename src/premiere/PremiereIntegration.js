@@ -1,5 +1,15 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { FrameTimeline } from '../timeline/FrameTimeline.js';
+import { FrameRate } from '../timeline/FrameRate.js';
+import { TimelineMapper } from '../timeline/TimelineMapper.js';
+import { FCPXMLExporter } from './FCPXMLExporter.js';
+import { OTIOAdapter } from './OTIOAdapter.js';
+import { XMEMLParser } from './XMEMLParser.js';
+import { GraphicTextEncoder } from './GraphicTextEncoder.js';
+import { CaptionFileExporter } from './CaptionFileExporter.js';
+import { ExtendScriptExporter } from './ExtendScriptExporter.js';
+import { ExportValidator } from './ExportValidator.js';
 
 /**
  * Premiere Pro統合クラス
@@ -8,163 +18,890 @@ import path from 'path';
 export class PremiereIntegration {
   constructor(config) {
     this.config = config;
+    this.frameTimeline = new FrameTimeline(config);
+    this.timelineMapper = new TimelineMapper(config);
+    this.fcpxmlExporter = new FCPXMLExporter(config);
+    this.otioAdapter = new OTIOAdapter(config);
+    this.xmemlParser = new XMEMLParser(config);
+    this.graphicTextEncoder = new GraphicTextEncoder(config);
+    this.captionFileExporter = new CaptionFileExporter(config);
+    this.extendScriptExporter = new ExtendScriptExporter(config);
+    this.exportValidator = new ExportValidator(config);
+  }
+
+  /**
+   * シーケンス設定を決定
+   * ffprobeで取得した映像・音声ストリームの値を基本とし、config.premiere.project に
+   * 値が設定されている項目のみ上書きする。どちらも無い場合は project.fallback を使用
+   * @param {Object} metadata - VideoAnalyzer.getMetadata() の結果（省略可）
+   * @returns {Object} {width, height, anamorphic, pixelAspectRatio, frameRate, audio: {sampleRate, depth, channels}}
+   */
+  resolveSequenceSettings(metadata = null) {
+    const project = this.config.premiere.project;
+    const fallback = project.fallback || {};
+    const streams = metadata?.streams || [];
+    const videoStream = streams.find(s => s.codec_type === 'video');
+    const audioStream = streams.find(s => s.codec_type === 'audio');
+
+    // 映像サイズ（縦向きで記録されたスマホ動画は回転情報を反映して縦横を入れ替える）
+    let probedWidth = videoStream?.width;
+    let probedHeight = videoStream?.height;
+    if (videoStream && Math.abs(this.getStreamRotation(videoStream)) % 180 === 90) {
+      [probedWidth, probedHeight] = [probedHeight, probedWidth];
+    }
+
+    // フレームレート（可変フレームレートの端末映像では r_frame_rate が不正確なため avg_frame_rate を優先）
+    const probedFrameRate = [videoStream?.avg_frame_rate, videoStream?.r_frame_rate]
+      .find(rate => rate && !rate.startsWith('0'));
+
+    const pixelAspect = this.resolvePixelAspect(videoStream);
+
+    return {
+      width: project.width ?? probedWidth ?? fallback.width,
+      height: project.height ?? probedHeight ?? fallback.height,
+      anamorphic: project.pixelAspectRatio ? project.pixelAspectRatio !== 'square' : pixelAspect.anamorphic,
+      pixelAspectRatio: project.pixelAspectRatio ?? pixelAspect.pixelAspectRatio,
+      frameRate: FrameRate.from(project.frameRate ?? probedFrameRate ?? fallback.frameRate, {
+        dropFrame: project.dropFrame,
+      }),
+      audio: {
+        sampleRate: project.audioSampleRate ?? (Number(audioStream?.sample_rate) || fallback.audioSampleRate),
+        depth: project.audioDepth ?? (audioStream?.bits_per_sample || fallback.audioDepth),
+        channels: project.audioChannels ?? audioStream?.channels ?? fallback.audioChannels,
+      },
+    };
+  }
+
+  /**
+   * 映像ストリームの回転角度（度）を取得
+   */
+  getStreamRotation(videoStream) {
+    if (videoStream.tags?.rotate) {
+      return Number(videoStream.tags.rotate) || 0;
+    }
+    const displayMatrix = (videoStream.side_data_list || []).find(d => d.rotation !== undefined);
+    return displayMatrix ? Number(displayMatrix.rotation) || 0 : 0;
+  }
+
+  /**
+   * sample_aspect_ratio から xmeml の pixelaspectratio を決定
+   */
+  resolvePixelAspect(videoStream) {
+    const sar = videoStream?.sample_aspect_ratio;
+    if (!sar || sar === '1:1' || sar === '0:1') {
+      return { pixelAspectRatio: 'square', anamorphic: false };
+    }
+
+    const [num, den] = sar.split(':').map(Number);
+    const ratio = num / den;
+    const known = [
+      { ratio: 4 / 3, pixelAspectRatio: 'HD-(1440x1080)', anamorphic: false },
+      { ratio: 10 / 11, pixelAspectRatio: 'NTSC-601', anamorphic: false },
+      { ratio: 40 / 33, pixelAspectRatio: 'NTSC-601', anamorphic: true },
+      { ratio: 12 / 11, pixelAspectRatio: 'PAL-601', anamorphic: false },
+      { ratio: 16 / 11, pixelAspectRatio: 'PAL-601', anamorphic: true },
+      { ratio: 3 / 2, pixelAspectRatio: 'HD-(960x720)', anamorphic: false },
+    ];
+    const match = known.find(k => Math.abs(k.ratio - ratio) < 0.01);
+
+    return match
+      ? { pixelAspectRatio: match.pixelAspectRatio, anamorphic: match.anamorphic }
+      : { pixelAspectRatio: 'square', anamorphic: false };
   }
 
   /**
    * プロジェクトXMLを生成（テスト7.xmlと同じ構造）
+   * <in>/<out>/<start>/<end>/<duration>はすべてシーケンスのタイムベースでの整数フレーム数
+   * @param {Object} settings - resolveSequenceSettings() の結果
+   * @param {Object} options - 出力オプション
+   *   - xmlDir: XMLの出力先
+   *   - relativeMedia: メディアパスをXMLからの相対パスにするか
+   *   - markers: TimelineMapper.buildMarkers() の結果（シーケンスマーカーとして出力）
+   *   - reviewTrack: 削除区間を無効化したクリップとしてレビュー用トラックに配置するか
+   *   - cutCandidates: カット候補（レビュー用トラックの区間の種類の判定に使用）
+   *   - sourceDuration: 元動画の長さ（秒、複数素材の場合は素材ごとの配列）
+   *   - captionFile: {path, format} 字幕ファイル（TTML/SCC/SRT）をシーケンス全体に置くトラックとしてリンク
+   *   - sources: 複数素材の場合の素材一覧 [{path, reel, metadata}]（クリップの sourceIndex で参照）
+   *   - metadata: 単一素材の場合の入力動画のffprobeメタデータ（開始タイムコードの取得に使用）
+   *   - name: シーケンス名（省略時は動画のファイル名）
+   *   - clipLabels: 保持クリップごとのラベル色 resolveClipLabels() の結果（省略時は以下から決定）
+   *   - labelPolicy: ラベル色の付け方（省略時は config.premiere.clipLabels.policy）
+   *   - chapters: チャプター [{start, name}]（labelPolicy が 'chapter' の場合に使用）
+   *   - chapterSequences: resolveChapterSequences() の結果（指定するとチャプターごとのシーケンスをマスターシーケンスにネスト）
    */
-  generateProjectXML(videoPath, keepClips, captions) {
-    const { width, height, frameRate } = this.config.premiere.project;
-    const videoName = path.basename(videoPath);
-    const fileId = path.basename(videoPath, path.extname(videoPath));
+  generateProjectXML(videoPath, keepClips, captions, settings = this.resolveSequenceSettings(), options = {}) {
+    const { frameRate } = settings;
+    const sequenceName = options.name || path.basename(videoPath, path.extname(videoPath));
+    const reviewTrack = options.reviewTrack ?? this.config.premiere.reviewTrack?.enabled ?? false;
 
-    // 総秒数を計算
-    const totalDuration = keepClips.reduce((sum, clip) => sum + clip.duration, 0);
+    // フレーム単位のタイムラインを構築
+    const timeline = this.frameTimeline.build(keepClips, captions, frameRate, options.markers || []);
+    const mediaList = this.buildMediaList(videoPath, settings, options);
+    const clipLabels = options.clipLabels || this.resolveClipLabels(keepClips, options.cutCandidates, captions, {
+      policy: options.labelPolicy,
+      chapters: options.chapters,
+    });
 
-    let xml = `<?xml version='1.0' encoding='utf-8'?>
+    // 削除区間のレビュー用クリップ
+    const removedClips = reviewTrack
+      ? this.frameTimeline.buildRemovedClips(options.cutCandidates || [], timeline.clips, frameRate, options.sourceDuration)
+      : [];
+
+    // チャプターごとのシーケンスに分ける場合はマスターシーケンスにネストする
+    const sequenceOptions = { ...options, clipLabels };
+    const sequenceXML = options.chapterSequences?.length > 0
+      ? this.generateMasterSequenceXML(sequenceName, timeline, removedClips, mediaList, settings, sequenceOptions)
+      : this.generateSequenceXML('video', sequenceName, timeline, removedClips, mediaList, settings, sequenceOptions);
+
+    return `<?xml version='1.0' encoding='utf-8'?>
 <xmeml version="5">
-  <sequence id="video">
-    <duration>${totalDuration.toFixed(3)}</duration>
-    <name>${this.escapeXml(fileId)}</name>
-    <rate>
-      <timebase>${frameRate.toFixed(1)}</timebase>
-      <ntsc>false</ntsc>
-      </rate>
+${sequenceXML}  </xmeml>`;
+  }
+
+  /**
+   * 1つのシーケンス（<sequence>〜</sequence>）を生成
+   * - V1: 保持クリップ / V2: テロップ / V3以降: レビュー用トラック・字幕ファイル
+   * - オーディオ: 保持クリップ（素材の音声構成ごと）とレビュー用トラック
+   * @param {string} id - シーケンスのid
+   * @param {Object} timeline - FrameTimeline.build() の結果（チャプターの場合はその範囲）
+   * @param {Array} removedClips - FrameTimeline.buildRemovedClips() の結果
+   * @param {Array} mediaList - buildMediaList() の結果
+   * @param {Object} options - generateProjectXML() のオプション（clipLabels は決定済みのもの）
+   */
+  generateSequenceXML(id, name, timeline, removedClips, mediaList, settings, options = {}) {
+    const { frameRate } = settings;
+    const markersOnClips = this.config.premiere.markers?.onClips ?? false;
+    const clipLabels = options.clipLabels || [];
+
+    // 削除区間はレーンごとにトラックを分ける
+    const reviewLanes = [];
+    for (const removed of removedClips) {
+      (reviewLanes[removed.lane] ||= []).push(removed);
+    }
+
+    let xml = `  <sequence id="${id}">
+    <duration>${timeline.duration}</duration>
+    <name>${this.escapeXml(name)}</name>
+${this.generateRateXML(frameRate, '    ')}
     <media>
       <video>
         <format>
-          <samplecharacteristics>
-            <width>${width}</width>
-            <height>${height}</height>
-            <anamorphic>false</anamorphic>
-            <pixelaspectratio>square</pixelaspectratio>
-            <fielddominance>none</fielddominance>
-            </samplecharacteristics>
+${this.generateVideoCharacteristicsXML(settings, '          ')}
           </format>
         <track>
 `;
 
-    // ビデオトラック: すべてのクリップ
+    // オーディオトラック数（素材ごとに構成が異なる場合は最も多い素材に合わせる）
+    const audioTrackCount = this.getAudioTrackCount(mediaList);
+    const keepLinks = this.buildClipLinks(timeline.clips, mediaList, 1, 1);
+    const mediaOf = item => mediaList[item.clip?.sourceIndex ?? item.sourceIndex ?? 0];
+
+    // ビデオトラック: すべてのクリップ（設定によりクリップマーカーも付与）
+    timeline.clips.forEach((placed, i) => {
+      const clipMarkers = markersOnClips
+        ? timeline.markers.filter(m => m.clipIndex === placed.index)
+        : [];
+      xml += this.generateClipItemXML(placed, i, mediaOf(placed), frameRate, {
+        markers: clipMarkers,
+        label: clipLabels[placed.index]?.label,
+        links: keepLinks[i],
+        sourceTrack: { mediatype: 'video', trackindex: 1 },
+      });
+    });
+
+    xml += `          </track>
+        <track>
+`;
+
+    // Second video track: Captions with GraphicAndType effect
+    timeline.captions.forEach((placed, i) => {
+      xml += this.generateCaptionClipXML(placed, i, mediaList[0], frameRate, id);
+    });
+
+    xml += `          </track>
+`;
+
+    // レビュー用ビデオトラック（V3以降）: 削除された区間
+    // 対応するオーディオは保持クリップのオーディオトラックの後にレーンごとに同じ構成で置く
+    const reviewLinks = reviewLanes.map((lane, laneIndex) =>
+      this.buildClipLinks(lane, mediaList, 3 + laneIndex, 1 + audioTrackCount * (laneIndex + 1))
+    );
+    reviewLanes.forEach((lane, laneIndex) => {
+      xml += this.generateReviewTrackXML(lane, reviewLinks[laneIndex], mediaList, frameRate);
+    });
+
+    // 字幕ファイルのトラック（レビュー用トラックの上）
+    if (options.captionFile) {
+      xml += this.generateCaptionFileTrackXML(options.captionFile, timeline.duration, frameRate, options);
+    }
+
+    xml += `        </video>
+      <audio>
+        <format>
+${this.generateAudioCharacteristicsXML(settings, '          ')}
+          </format>
+        <channelcount>${settings.audio.channels}</channelcount>
+`;
+
+    // オーディオトラック: 素材の音声チャンネル（またはストリーム）ごとにビデオトラックと同じクリップを並べる
+    for (let t = 0; t < audioTrackCount; t++) {
+      xml += `        <track>
+`;
+      timeline.clips.forEach((placed, i) => {
+        const audioTrack = mediaOf(placed).audio.tracks[t];
+        if (!audioTrack) return;
+        xml += this.generateClipItemXML(placed, i, mediaOf(placed), frameRate, {
+          label: clipLabels[placed.index]?.label,
+          links: keepLinks[i],
+          sourceTrack: { mediatype: 'audio', trackindex: audioTrack.sourceTrack },
+        });
+      });
+      xml += `          </track>
+`;
+    }
+
+    // レビュー用オーディオトラック（保持クリップのオーディオトラックの後）
+    reviewLanes.forEach((lane, laneIndex) => {
+      for (let t = 0; t < audioTrackCount; t++) {
+        xml += this.generateReviewTrackXML(lane, reviewLinks[laneIndex], mediaList, frameRate, t);
+      }
+    });
+
+    xml += `        </audio>
+      </media>
+`;
+
+    // シーケンスマーカー: シーン変化・カット理由・チャプター
+    for (const placed of timeline.markers) {
+      xml += this.generateMarkerXML(placed.marker, placed.start, '    ') + '\n';
+    }
+
+    xml += `    </sequence>
+`;
+
+    return xml;
+  }
+
+  /**
+   * マスターシーケンスを生成（チャプターごとのシーケンスをネストして並べる）
+   * チャプターのシーケンスはV1のクリップ内に定義し、オーディオトラックのクリップからはidで参照する。
+   * マスターシーケンスにはチャプターの開始位置にマーカーを置く
+   * @param {Object} options - generateProjectXML() のオプション（chapterSequences: resolveChapterSequences() の結果）
+   */
+  generateMasterSequenceXML(name, timeline, removedClips, mediaList, settings, options = {}) {
+    const { frameRate } = settings;
+    const audioTrackCount = this.getAudioTrackCount(mediaList);
+    const colors = this.config.premiere.clipLabels?.chapter || ['Cerulean', 'Forest'];
+
+    // チャプターの範囲（フレーム）: 最初の保持クリップの配置位置から次のチャプターの開始まで
+    const starts = options.chapterSequences.map(chapter => {
+      const first = timeline.clips.find(placed => placed.index >= chapter.firstClip);
+      return first ? first.start : timeline.duration;
+    });
+    const nests = options.chapterSequences.map((chapter, n) => {
+      const start = starts[n];
+      const end = n + 1 < starts.length ? starts[n + 1] : timeline.duration;
+      const isLast = n === starts.length - 1;
+      const slice = this.sliceTimeline(timeline, removedClips, start, end, isLast);
+      // チャプターのシーケンスにはマスターの字幕ファイルを置かない
+      const sequenceXML = this.generateSequenceXML(`chapter-${n + 1}`, chapter.name, slice.timeline, slice.removedClips, mediaList, settings, {
+        ...options,
+        captionFile: null,
+      });
+      return { chapter, start, end, sequenceXML };
+    }).filter(nest => nest.end > nest.start);
+
+    const links = nests.map((nest, n) => [
+      { mediatype: 'video', trackindex: 1, clipindex: n + 1 },
+      ...Array.from({ length: audioTrackCount }, (_, t) => ({ mediatype: 'audio', trackindex: t + 1, clipindex: n + 1, groupindex: 1 })),
+    ]);
+
+    let xml = `  <sequence id="video">
+    <duration>${timeline.duration}</duration>
+    <name>${this.escapeXml(name)}</name>
+${this.generateRateXML(frameRate, '    ')}
+    <media>
+      <video>
+        <format>
+${this.generateVideoCharacteristicsXML(settings, '          ')}
+          </format>
+        <track>
+`;
+
+    nests.forEach((nest, n) => {
+      xml += this.generateNestedSequenceClipXML(nest, frameRate, {
+        label: colors[n % colors.length],
+        sequenceXML: nest.sequenceXML,
+        links: links[n],
+        sourceTrack: { mediatype: 'video', trackindex: 1 },
+      });
+    });
+
+    xml += `          </track>
+`;
+
+    // 字幕ファイルのトラック（シーケンス全体）
+    if (options.captionFile) {
+      xml += this.generateCaptionFileTrackXML(options.captionFile, timeline.duration, frameRate, options);
+    }
+
+    xml += `        </video>
+      <audio>
+        <format>
+${this.generateAudioCharacteristicsXML(settings, '          ')}
+          </format>
+        <channelcount>${settings.audio.channels}</channelcount>
+`;
+
+    // オーディオトラック: チャプターのシーケンスの同じ番号のオーディオトラック
+    for (let t = 0; t < audioTrackCount; t++) {
+      xml += `        <track>
+`;
+      nests.forEach((nest, n) => {
+        xml += this.generateNestedSequenceClipXML(nest, frameRate, {
+          label: colors[n % colors.length],
+          links: links[n],
+          sourceTrack: { mediatype: 'audio', trackindex: t + 1 },
+        });
+      });
+      xml += `          </track>
+`;
+    }
+
+    xml += `        </audio>
+      </media>
+`;
+
+    // チャプターの開始位置のマーカー
+    for (const nest of nests) {
+      xml += this.generateMarkerXML({ name: nest.chapter.name, comment: `チャプター: ${nest.chapter.name}` }, nest.start, '    ') + '\n';
+    }
+
+    xml += `    </sequence>
+`;
+
+    return xml;
+  }
+
+  /**
+   * ネストしたシーケンス（チャプター）の<clipitem>を生成
+   * @param {Object} nest - {chapter, start, end}（マスターシーケンス上のフレーム）
+   * @param {Object} options - { label, sequenceXML: 定義を埋め込む場合のシーケンス, links, sourceTrack }
+   */
+  generateNestedSequenceClipXML(nest, frameRate, options = {}) {
+    const duration = nest.end - nest.start;
+    const sequenceId = `chapter-${nest.chapter.index + 1}`;
+    // 最初の参照（V1）にシーケンスの定義を置き、以降はidで参照する
+    const sequenceXML = options.sequenceXML
+      ? options.sequenceXML.replace(/\n$/, '').split('\n').map(line => `          ${line}`).join('\n')
+      : `            <sequence id="${sequenceId}"/>`;
+
+    return `          <clipitem>
+            <labels>
+              <label2>${options.label}</label2>
+              </labels>
+            <name>${this.escapeXml(nest.chapter.name)}</name>
+            <enabled>true</enabled>
+            <duration>${duration}</duration>
+${this.generateRateXML(frameRate, '            ')}
+            <in>0</in>
+            <out>${duration}</out>
+            <start>${nest.start}</start>
+            <end>${nest.end}</end>
+${sequenceXML}
+${this.generateSourceTrackXML(options.sourceTrack)}
+${this.generateLinksXML(options.links || [])}
+            </clipitem>
+`;
+  }
+
+  /**
+   * フレーム単位のタイムラインのうち [start, end) の範囲を、範囲の先頭を0として切り出す
+   * テロップ・マーカー・削除区間は開始位置で振り分ける（最後のチャプターは末尾の位置のものも含む）
+   * @returns {Object} {timeline, removedClips}
+   */
+  sliceTimeline(timeline, removedClips, start, end, isLast = false) {
+    const inRange = frame => frame >= start && (frame < end || (isLast && frame === end));
+    const shift = item => ({ ...item, start: item.start - start, end: Math.min(item.end, end) - start });
+
+    // 削除区間のレーンは範囲内で詰め直す
+    const removed = removedClips.filter(item => inRange(item.start));
+    const lanes = [...new Set(removed.map(item => item.lane))].sort((a, b) => a - b);
+
+    return {
+      timeline: {
+        ...timeline,
+        duration: end - start,
+        clips: timeline.clips.filter(placed => placed.start >= start && placed.start < end).map(shift),
+        captions: timeline.captions.filter(placed => placed.start >= start && placed.start < end).map(shift),
+        markers: timeline.markers.filter(placed => inRange(placed.start)).map(placed => ({ ...placed, start: placed.start - start })),
+      },
+      removedClips: removed.map(item => ({
+        ...item,
+        start: item.start - start,
+        end: item.end - start,
+        lane: lanes.indexOf(item.lane),
+      })),
+    };
+  }
+
+  /**
+   * オーディオトラック数（素材ごとに構成が異なる場合は最も多い素材に合わせる）
+   */
+  getAudioTrackCount(mediaList) {
+    return Math.max(0, ...mediaList.map(media => media.audio.tracks.length));
+  }
+
+  /**
+   * 保持クリップをチャプターに分ける（config.premiere.chapterSequences）
+   * チャプターの区切りは保持クリップの境界に合わせる
+   * - markers: 指定したチャプター（開始位置に最も近い保持クリップの境界）
+   * - silence: 長い無音のカット（minSilence秒以上）の直後
+   * - scene_change: シーン変化（カット・マーカーの位置に最も近い保持クリップの境界）
+   * 自動で見つけた区切りは、編集後の長さが minDuration 秒未満のチャプターができる場合は使わない
+   * @param {Array} keepClips - 保持クリップ
+   * @param {Array} cutCandidates - カット候補
+   * @param {Array} chapters - 指定したチャプター [{start, name}]（元動画の時間）
+   * @param {Object} options - config.premiere.chapterSequences の上書き
+   * @returns {Array} [{index, name, boundary, firstClip, lastClip}]（firstClip/lastClip は保持クリップの番号）
+   */
+  resolveChapterSequences(keepClips, cutCandidates = [], chapters = [], options = {}) {
+    const chapterConfig = { ...this.config.premiere.chapterSequences, ...options };
+    const boundarySources = chapterConfig.sources || ['markers', 'silence'];
+    const minSilence = chapterConfig.minSilence ?? 5.0;
+    const minDuration = chapterConfig.minDuration ?? 60;
+    if (keepClips.length === 0) return [];
+
+    const sourceOf = item => item.sourceIndex ?? 0;
+    const epsilon = 0.001;
+    // 元動画の時刻に最も近い保持クリップの境界（クリップの開始）
+    const nearestClip = (time, sourceIndex) => {
+      let nearest = -1;
+      keepClips.forEach((clip, i) => {
+        if (sourceOf(clip) !== sourceIndex) return;
+        if (nearest === -1 || Math.abs(clip.start - time) < Math.abs(keepClips[nearest].start - time)) nearest = i;
+      });
+      return nearest;
+    };
+
+    // 区切りの候補（保持クリップの番号 → {boundary, name}）
+    const boundaries = new Map([[0, { boundary: 'start', name: null }]]);
+    const add = (clipIndex, boundary, name = null) => {
+      if (clipIndex < 0) return;
+      const existing = boundaries.get(clipIndex);
+      if (!existing || (name && !existing.name)) boundaries.set(clipIndex, { boundary, name: name || existing?.name || null });
+    };
+
+    if (boundarySources.includes('markers')) {
+      for (const chapter of chapters) {
+        add(nearestClip(chapter.start, sourceOf(chapter)), 'marker', chapter.name);
+      }
+    }
+    if (boundarySources.includes('silence')) {
+      for (const cut of cutCandidates.filter(c => !c.isMarker && c.type === 'silence' && c.duration >= minSilence)) {
+        add(keepClips.findIndex(clip => sourceOf(clip) === sourceOf(cut) && clip.start >= cut.end - epsilon), 'silence');
+      }
+    }
+    if (boundarySources.includes('scene_change')) {
+      for (const cut of cutCandidates.filter(c => c.type === 'scene_change')) {
+        add(nearestClip(cut.isMarker ? cut.start : cut.end, sourceOf(cut)), 'scene_change');
+      }
+    }
+
+    // 編集後の長さで短すぎるチャプターを作る自動の区切りを除く
+    const sequenceStarts = [];
     let sequenceTime = 0;
-    for (let i = 0; i < keepClips.length; i++) {
-      const clip = keepClips[i];
-      const label = i % 2 === 0 ? 'Rose' : 'Cerulean';
+    for (const clip of keepClips) {
+      sequenceStarts.push(sequenceTime);
+      sequenceTime += clip.duration;
+    }
+    const sorted = [...boundaries].sort((a, b) => a[0] - b[0]);
+    const selected = [];
+    sorted.forEach(([clipIndex, boundary], i) => {
+      const isAutomatic = boundary.boundary === 'silence' || boundary.boundary === 'scene_change';
+      const previous = selected[selected.length - 1];
+      const nextExplicit = sorted.slice(i + 1).find(([, b]) => b.boundary === 'marker');
+      const nextStart = nextExplicit ? sequenceStarts[nextExplicit[0]] : sequenceTime;
+      if (isAutomatic && previous && (
+        sequenceStarts[clipIndex] - sequenceStarts[previous[0]] < minDuration ||
+        nextStart - sequenceStarts[clipIndex] < minDuration
+      )) {
+        return;
+      }
+      selected.push([clipIndex, boundary]);
+    });
 
-      xml += `          <clipitem>
+    return selected.map(([firstClip, boundary], n) => ({
+      index: n,
+      name: boundary.name || `チャプター ${n + 1}`,
+      boundary: boundary.boundary,
+      firstClip,
+      lastClip: n + 1 < selected.length ? selected[n + 1][0] - 1 : keepClips.length - 1,
+    }));
+  }
+
+  /**
+   * クリップが参照する素材（<file>）の一覧を生成
+   * 単一素材の場合は videoPath のみ。複数素材の場合は素材ごとに別の<file>として定義し、
+   * ファイル名が重複する場合はidに番号を付けて区別する
+   * @returns {Array} [{videoName, fileId, pathUrl, settings, timecode, audio}]（sourceIndex順）
+   */
+  buildMediaList(videoPath, settings, options = {}) {
+    const sources = options.sources?.length > 0 ? options.sources : [{ path: videoPath }];
+    const usedIds = new Set();
+
+    return sources.map(source => {
+      const baseId = path.basename(source.path, path.extname(source.path));
+      let fileId = baseId;
+      for (let n = 2; usedIds.has(fileId); n++) {
+        fileId = `${baseId}-${n}`;
+      }
+      usedIds.add(fileId);
+
+      // 素材ごとの解像度・音声はそれぞれのメタデータから（無い場合はシーケンス設定）
+      const mediaSettings = source.metadata ? this.resolveSequenceSettings(source.metadata) : settings;
+      const metadata = source.metadata ?? options.metadata;
+      const timecode = this.getSourceTimecode(metadata);
+
+      return {
+        videoName: path.basename(source.path),
+        fileId,
+        pathUrl: this.toPathURL(source.path, options),
+        settings: mediaSettings,
+        // 素材の開始タイムコード（フレーム数、素材のフレームレート）
+        timecode: timecode ? mediaSettings.frameRate.timecodeToFrames(timecode) : null,
+        audio: this.resolveAudioLayout(metadata, mediaSettings),
+      };
+    });
+  }
+
+  /**
+   * 素材の音声ストリームからオーディオトラック構成を決定（premiere.audioTracks.layout）
+   * - 'channel': チャンネルごとに1トラック。<sourcetrack>は素材全体での通しチャンネル番号
+   * - 'stream': 音声ストリームごとに1トラック。<sourcetrack>はストリーム番号
+   * 同じストリームのトラックは同じリンクグループにまとめる。
+   * メタデータが無い場合はシーケンス設定のチャンネル数のストリームが1つあるものとする
+   * @param {Object} metadata - VideoAnalyzer.getMetadata() の結果
+   * @returns {Object} {streams: [{channels}], tracks: [{sourceTrack, stream, channel, group}]}
+   */
+  resolveAudioLayout(metadata, settings) {
+    const layout = this.config.premiere.audioTracks?.layout || 'channel';
+    const streams = metadata?.streams
+      ? metadata.streams
+        .filter(s => s.codec_type === 'audio')
+        .map(s => ({ channels: s.channels || 1 }))
+      : [{ channels: settings.audio.channels }];
+
+    const tracks = [];
+    let channelNumber = 0;
+    streams.forEach((stream, streamIndex) => {
+      if (layout === 'stream') {
+        tracks.push({ sourceTrack: streamIndex + 1, stream: streamIndex, channel: null, group: streamIndex + 1 });
+        return;
+      }
+      for (let channel = 1; channel <= stream.channels; channel++) {
+        channelNumber++;
+        tracks.push({ sourceTrack: channelNumber, stream: streamIndex, channel, group: streamIndex + 1 });
+      }
+    });
+
+    return { streams, tracks };
+  }
+
+  /**
+   * クリップごとの<link>の対象（同じ位置のビデオクリップと各オーディオトラックのクリップ）を求める
+   * クリップの無いオーディオトラック（音声の少ない素材）があるため、クリップ番号はトラックごとに数える
+   * @param {Array} items - 同じビデオトラックに並ぶクリップ（FrameTimelineの結果）
+   * @param {number} videoTrackIndex - ビデオトラック番号
+   * @param {number} firstAudioTrackIndex - 最初のオーディオトラック番号
+   * @returns {Array} クリップごとの [{mediatype, trackindex, clipindex, groupindex}]
+   */
+  buildClipLinks(items, mediaList, videoTrackIndex, firstAudioTrackIndex) {
+    const audioClipCounts = [];
+
+    return items.map((item, i) => {
+      const media = mediaList[item.clip?.sourceIndex ?? item.sourceIndex ?? 0];
+      const links = [{ mediatype: 'video', trackindex: videoTrackIndex, clipindex: i + 1 }];
+
+      media.audio.tracks.forEach((track, t) => {
+        audioClipCounts[t] = (audioClipCounts[t] || 0) + 1;
+        links.push({
+          mediatype: 'audio',
+          trackindex: firstAudioTrackIndex + t,
+          clipindex: audioClipCounts[t],
+          groupindex: track.group,
+        });
+      });
+
+      return links;
+    });
+  }
+
+  /**
+   * 素材に記録された開始タイムコードを取得
+   * 業務用カメラは開始タイムコード（例: 10:00:00:00）をコンテナに書き込む。
+   * ffprobeでは映像ストリーム・タイムコードトラック（tmcd）・フォーマットの tags.timecode に現れる
+   * @param {Object} metadata - VideoAnalyzer.getMetadata() の結果
+   * @returns {string|null} タイムコード（記録されていない場合はnull）
+   */
+  getSourceTimecode(metadata) {
+    const streams = metadata?.streams || [];
+    const candidates = [
+      streams.find(s => s.codec_type === 'video')?.tags?.timecode,
+      ...streams.map(s => s.tags?.timecode),
+      metadata?.format?.tags?.timecode,
+    ];
+    return candidates.find(timecode => /^\d{1,2}[:;.]\d{2}[:;.]\d{2}[:;.,]\d{2,3}$/.test(String(timecode ?? '').trim()))?.trim() || null;
+  }
+
+  /**
+   * メディアファイルのパスを<pathurl>用のURLに変換
+   * 通常は file://localhost/... の絶対URL、relativeMediaの場合はXMLの場所からの相対URL。
+   * 日本語やスペースを含むパスは各要素をパーセントエンコードする
+   * @param {string} mediaPath - メディアファイルのパス
+   * @param {Object} options - { xmlDir, relativeMedia }
+   */
+  toPathURL(mediaPath, options = {}) {
+    const relativeMedia = options.relativeMedia ?? this.config.premiere.relativeMediaPaths ?? false;
+    const absolutePath = path.resolve(mediaPath);
+    const encode = segments => segments.map(segment => encodeURIComponent(segment)).join('/');
+
+    if (relativeMedia) {
+      const xmlDir = path.resolve(options.xmlDir || '.');
+      const relativePath = path.relative(xmlDir, absolutePath);
+      return encode(relativePath.split(path.sep));
+    }
+
+    // Windowsのドライブレター（C:）はエンコードせずに残す
+    const segments = absolutePath.split(path.sep).filter(Boolean);
+    if (/^[A-Za-z]:$/.test(segments[0])) {
+      return `file://localhost/${segments[0]}/${encode(segments.slice(1))}`;
+    }
+    return `file://localhost/${encode(segments)}`;
+  }
+
+  /**
+   * <rate>ブロックを生成（29.97なら timebase=30, ntsc=TRUE）
+   * @param {FrameRate} frameRate
+   */
+  generateRateXML(frameRate, indent) {
+    return `${indent}<rate>
+${indent}  <timebase>${frameRate.timebase}</timebase>
+${indent}  <ntsc>${frameRate.ntsc ? 'TRUE' : 'FALSE'}</ntsc>
+${indent}  </rate>`;
+  }
+
+  /**
+   * 素材の開始タイムコードの<timecode>ブロックを生成
+   * xmemlのクリップの<in>/<out>は素材の先頭からのフレーム数のため、
+   * 素材の開始タイムコードを<file>に記録することで元素材・プロキシとのコンフォームに使えるようにする
+   * @param {number} frames - 開始タイムコード（フレーム数）
+   * @param {FrameRate} frameRate - 素材のフレームレート
+   */
+  generateSourceTimecodeXML(frames, frameRate, indent) {
+    return `${indent}<timecode>
+${this.generateRateXML(frameRate, indent + '  ')}
+${indent}  <string>${frameRate.framesToTimecode(frames)}</string>
+${indent}  <frame>${frames}</frame>
+${indent}  <displayformat>${frameRate.displayFormat}</displayformat>
+${indent}  <source>source</source>
+${indent}  </timecode>`;
+  }
+
+  /**
+   * 映像の<samplecharacteristics>ブロックを生成
+   */
+  generateVideoCharacteristicsXML(settings, indent) {
+    return `${indent}<samplecharacteristics>
+${indent}  <width>${settings.width}</width>
+${indent}  <height>${settings.height}</height>
+${indent}  <anamorphic>${settings.anamorphic}</anamorphic>
+${indent}  <pixelaspectratio>${settings.pixelAspectRatio}</pixelaspectratio>
+${indent}  <fielddominance>none</fielddominance>
+${indent}  </samplecharacteristics>`;
+  }
+
+  /**
+   * 音声の<samplecharacteristics>ブロックを生成
+   */
+  generateAudioCharacteristicsXML(settings, indent) {
+    return `${indent}<samplecharacteristics>
+${indent}  <depth>${settings.audio.depth}</depth>
+${indent}  <samplerate>${settings.audio.sampleRate}</samplerate>
+${indent}  </samplecharacteristics>`;
+  }
+
+  /**
+   * <marker>ブロックを生成
+   * @param {Object} marker - {name, comment}
+   * @param {number} frame - マーカー位置（フレーム数）
+   */
+  generateMarkerXML(marker, frame, indent) {
+    return `${indent}<marker>
+${indent}  <comment>${this.escapeXml(marker.comment || '')}</comment>
+${indent}  <name>${this.escapeXml(marker.name || '')}</name>
+${indent}  <in>${frame}</in>
+${indent}  <out>-1</out>
+${indent}  </marker>`;
+  }
+
+  /**
+   * レビュー用トラックを生成
+   * 削除区間を無効化したクリップとしてカット位置に置き、ラベル色でカットの種類を示す。
+   * Premiere上でクリップを有効化すれば削除内容を確認・復元できる
+   * @param {Array} lane - buildRemovedClips() の結果のうち同じレーンのもの
+   * @param {Array} links - buildClipLinks() の結果
+   * @param {Array} mediaList - buildMediaList() の結果
+   * @param {number|null} audioTrack - オーディオトラック構成の番号（nullはビデオトラック）
+   */
+  generateReviewTrackXML(lane, links, mediaList, frameRate, audioTrack = null) {
+    const labels = this.config.premiere.reviewTrack?.labels || {};
+    let xml = `        <track>
+`;
+
+    lane.forEach((removed, i) => {
+      const media = mediaList[removed.sourceIndex ?? 0];
+      const track = audioTrack === null ? null : media.audio.tracks[audioTrack];
+      if (audioTrack !== null && !track) return;
+
+      xml += this.generateClipItemXML(removed, i, media, frameRate, {
+        name: `[削除] ${removed.reasons.join(' / ')}`,
+        label: labels[removed.type] || labels.default || 'Tan',
+        enabled: false,
+        links: links[i],
+        sourceTrack: track
+          ? { mediatype: 'audio', trackindex: track.sourceTrack }
+          : { mediatype: 'video', trackindex: 1 },
+      });
+    });
+
+    xml += `          </track>
+`;
+    return xml;
+  }
+
+  /**
+   * 字幕ファイル（TTML/SCC/SRT）をシーケンスの先頭から末尾まで置くトラックを生成
+   * 字幕ファイルはシーケンスの時間で書き出しているため、in/out はシーケンスと一致する
+   * @param {Object} captionFile - {path, format}
+   * @param {number} duration - シーケンスの長さ（フレーム数）
+   * @param {Object} options - { xmlDir, relativeMedia }
+   */
+  generateCaptionFileTrackXML(captionFile, duration, frameRate, options = {}) {
+    const name = path.basename(captionFile.path);
+
+    return `        <track>
+          <clipitem id="caption-track-1">
+            <name>${this.escapeXml(name)}</name>
+            <duration>${duration}</duration>
+${this.generateRateXML(frameRate, '            ')}
+            <start>0</start>
+            <end>${duration}</end>
+            <in>0</in>
+            <out>${duration}</out>
+            <enabled>true</enabled>
+            <file id="caption-track-file-1">
+              <name>${this.escapeXml(name)}</name>
+              <pathurl>${this.escapeXml(this.toPathURL(captionFile.path, options))}</pathurl>
+              <duration>${duration}</duration>
+${this.generateRateXML(frameRate, '              ')}
+              </file>
+            <sourcetrack>
+              <mediatype>video</mediatype>
+              </sourcetrack>
+            </clipitem>
+          </track>
+`;
+  }
+
+  /**
+   * 保持クリップの<clipitem>を生成（ビデオ・オーディオ共通）
+   * @param {Object} placed - FrameTimelineで量子化済みのクリップ
+   * @param {Object} options - 追加オプション
+   *   - markers: クリップに付与するマーカー（位置は元動画上のフレーム）
+   *   - name: クリップ名（省略時はファイル名）
+   *   - label: ラベル色（省略時は交互にRose/Cerulean、通常は resolveClipLabels() の結果を渡す）
+   *   - enabled: クリップを有効にするか
+   *   - links: リンク先 buildClipLinks() の結果のうちこのクリップのもの
+   *   - sourceTrack: {mediatype, trackindex} 素材のどのトラック（音声はチャンネル/ストリーム）を使うか
+   * 早送りのクリップ（placed.speed）は Time Remap フィルターを付け、in/out・クリップマーカーの位置を速度変更後のフレームで表す。
+   * 速度変更後のフレームは整数に丸めるため、元動画のフレーム（placed.in / placed.out）を Time Remap のパラメーターにも書き出す
+   */
+  generateClipItemXML(placed, i, media, frameRate, options = {}) {
+    const { videoName, fileId, pathUrl, settings, timecode } = media;
+    const label = options.label || (i % 2 === 0 ? 'Rose' : 'Cerulean');
+    const clipMarkers = options.markers || [];
+    const speed = placed.speed || 1;
+    const inFrame = speed === 1 ? placed.in : Math.round(placed.in / speed);
+    const outFrame = speed === 1 ? placed.out : inFrame + (placed.end - placed.start);
+
+    return `          <clipitem>
             <labels>
               <label2>${label}</label2>
               </labels>
-            <name>${this.escapeXml(videoName)}</name>
-            <enabled>true</enabled>
-            <rate>
-              <timebase>${frameRate.toFixed(1)}</timebase>
-              <ntsc>false</ntsc>
-              </rate>
-            <in>${clip.start.toFixed(3)}</in>
-            <out>${clip.end.toFixed(3)}</out>
-            <start>${sequenceTime.toFixed(3)}</start>
-            <end>${(sequenceTime + clip.duration).toFixed(3)}</end>
+            <name>${this.escapeXml(options.name || videoName)}</name>
+            <enabled>${options.enabled ?? true}</enabled>
+${this.generateRateXML(frameRate, '            ')}
+            <in>${inFrame}</in>
+            <out>${outFrame}</out>
+            <start>${placed.start}</start>
+            <end>${placed.end}</end>
             <file id="${fileId}">
               <name>${this.escapeXml(videoName)}</name>
-              <pathurl>${videoName}</pathurl>
-              <media>
+              <pathurl>${this.escapeXml(pathUrl)}</pathurl>
+${timecode !== null && timecode !== undefined ? this.generateSourceTimecodeXML(timecode, settings.frameRate, '              ') + '\n' : ''}              <media>
                 <video>
-                  <samplecharacteristics>
-                    <width>${width}</width>
-                    <height>${height}</height>
-                    <anamorphic>false</anamorphic>
-                    <pixelaspectratio>square</pixelaspectratio>
-                    <fielddominance>none</fielddominance>
-                    </samplecharacteristics>
+${this.generateVideoCharacteristicsXML(settings, '                  ')}
                   </video>
-                <audio>
-                  <samplecharacteristics />
-                  <channelcount>2</channelcount>
+${media.audio.streams.map(stream => `                <audio>
+${this.generateAudioCharacteristicsXML(settings, '                  ')}
+                  <channelcount>${stream.channels}</channelcount>
                   </audio>
-                </media>
+`).join('')}                </media>
               </file>
-            <link>
-              <mediatype>video</mediatype>
-              <trackindex>1</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>audio</mediatype>
-              <trackindex>1</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>audio</mediatype>
-              <trackindex>2</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>text</mediatype>
-              <trackindex>3</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
+${speed !== 1 ? this.generateTimeRemapXML(speed, options.sourceTrack?.mediatype || 'video', placed) + '\n' : ''}${options.sourceTrack ? this.generateSourceTrackXML(options.sourceTrack) + '\n' : ''}${clipMarkers.map(m => this.generateMarkerXML(m.marker, inFrame + Math.round((m.sourceFrame - placed.in) / speed), '            ') + '\n').join('')}${this.generateLinksXML(options.links || [])}
             </clipitem>
 `;
+  }
 
-      sequenceTime += clip.duration;
-    }
-
-    xml += `          </track>
-        <track>
-`;
-
-    // Second video track: Captions with GraphicAndType effect
-    for (let i = 0; i < captions.length; i++) {
-      const caption = captions[i];
-      const captionId = `caption-${i + 1}`;
+  /**
+   * テロップ（GraphicAndType）の<clipitem>を生成
+   * @param {Object} placed - FrameTimelineで量子化済みのテロップ
+   * @param {string} sequenceId - テロップを置くシーケンスのid（チャプターごとのシーケンスでもidが重複しないよう先頭に付ける）
+   */
+  generateCaptionClipXML(placed, i, media, frameRate, sequenceId) {
+    const { settings } = media;
+    const caption = placed.caption;
+    const captionId = `${sequenceId}-caption-${i + 1}`;
 
-      // Generate Base64 encoded caption data
-      const captionData = this.generateCaptionBase64(caption.text);
+    // Generate Base64 encoded caption data
+    const captionData = this.generateCaptionBase64(caption.text, caption.style);
 
-      xml += `          <clipitem id="${captionId}">
+    return `          <clipitem id="${captionId}">
             <name>${this.escapeXml(caption.text)}</name>
-            <duration>${(caption.duration * frameRate).toFixed(6)}</duration>
-            <rate>
-              <timebase>${frameRate.toFixed(1)}</timebase>
-              <ntsc>false</ntsc>
-              </rate>
-            <start>${caption.start.toFixed(3)}</start>
-            <end>${caption.end.toFixed(3)}</end>
-            <in>${caption.start.toFixed(3)}</in>
-            <out>${caption.end.toFixed(3)}</out>
+            <duration>${placed.duration}</duration>
+${this.generateRateXML(frameRate, '            ')}
+            <start>${placed.start}</start>
+            <end>${placed.end}</end>
+            <in>0</in>
+            <out>${placed.duration}</out>
             <enabled>true</enabled>
             <anamorphic>false</anamorphic>
             <alphatype>black</alphatype>
             <masterclipid>${captionId}</masterclipid>
-            <file id="caption-file-${i + 1}">
+            <file id="${captionId}-file">
               <name>Graphic</name>
               <mediaSource>GraphicAndType</mediaSource>
-              <rate>
-                <timebase>${frameRate.toFixed(1)}</timebase>
-                <ntsc>false</ntsc>
-                </rate>
+${this.generateRateXML(frameRate, '              ')}
               <timecode>
-                <rate>
-                  <timebase>${frameRate.toFixed(1)}</timebase>
-                  <ntsc>false</ntsc>
-                  </rate>
-                <string>00:00:00:00</string>
-                <frame />
-                <displayformat>NDF</displayformat>
+${this.generateRateXML(frameRate, '                ')}
+                <string>${frameRate.framesToTimecode(0)}</string>
+                <frame>0</frame>
+                <displayformat>${frameRate.displayFormat}</displayformat>
                 </timecode>
               <media>
                 <video>
-                  <samplecharacteristics>
-                    <width>${width}</width>
-                    <height>${height}</height>
-                    <anamorphic>false</anamorphic>
-                    <pixelaspectratio>square</pixelaspectratio>
-                    <fielddominance>none</fielddominance>
-                    </samplecharacteristics>
+${this.generateVideoCharacteristicsXML(settings, '                  ')}
                   </video>
                 </media>
               </file>
@@ -193,140 +930,202 @@ export class PremiereIntegration {
                   <parameterid>3</parameterid>
                   <name>位置</name>
                   <IsTimeVarying>false</IsTimeVarying>
-                  <value>-91445760000000000,0.5:0.95569800000000005,0,0,0,0,0,0,5,4,0,0,0,0</value>
+                  <value>-91445760000000000,${this.getCaptionPosition(caption.style, settings)},0,0,0,0,0,0,5,4,0,0,0,0</value>
                   </parameter>
                 </effect>
               </filter>
             <sourcetrack>
               <mediatype>video</mediatype>
               </sourcetrack>
-            <link>
-              <mediatype>video</mediatype>
-              <trackindex>1</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>audio</mediatype>
-              <trackindex>1</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>audio</mediatype>
-              <trackindex>2</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>text</mediatype>
-              <trackindex>3</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
             </clipitem>
 `;
-    }
+  }
 
-    xml += `          </track>
-        </video>
-      <audio>
-        <channelcount>2</channelcount>
-        <track>
-`;
+  /**
+   * 速度変更（Time Remap）の<filter>を生成
+   * @param {number} speed - 速度（倍、speed パラメーターは%で書き出す）
+   * @param {Object} source - {in, out} 元動画のフレーム（sourcein / sourceout パラメーターに書き出し、XMEMLParserが正確な範囲に戻すのに使う）
+   */
+  generateTimeRemapXML(speed, mediatype, source = null) {
+    const parameter = (id, value, range = null) => `                <parameter authoringApp="PremierePro">
+                  <parameterid>${id}</parameterid>
+                  <name>${id}</name>
+${range ? `                  <valuemin>${range[0]}</valuemin>
+                  <valuemax>${range[1]}</valuemax>
+` : ''}                  <value>${value}</value>
+                  </parameter>`;
 
-    // オーディオトラック: ビデオトラックと同じクリップを繰り返す
-    sequenceTime = 0;
-    for (let i = 0; i < keepClips.length; i++) {
-      const clip = keepClips[i];
-      const label = i % 2 === 0 ? 'Rose' : 'Cerulean';
+    return `            <filter>
+              <effect>
+                <name>Time Remap</name>
+                <effectid>timeremap</effectid>
+                <effectcategory>motion</effectcategory>
+                <effecttype>motion</effecttype>
+                <mediatype>${mediatype}</mediatype>
+${parameter('variablespeed', 0, [0, 1])}
+${parameter('speed', Math.round(speed * 100), [-100000, 100000])}
+${parameter('reverse', 'FALSE')}
+${parameter('frameblending', 'FALSE')}
+${source ? `${parameter('sourcein', source.in)}
+${parameter('sourceout', source.out)}
+` : ''}                </effect>
+              </filter>`;
+  }
 
-      xml += `          <clipitem>
-            <labels>
-              <label2>${label}</label2>
-              </labels>
-            <name>${this.escapeXml(videoName)}</name>
-            <enabled>true</enabled>
-            <rate>
-              <timebase>${frameRate.toFixed(1)}</timebase>
-              <ntsc>false</ntsc>
-              </rate>
-            <in>${clip.start.toFixed(3)}</in>
-            <out>${clip.end.toFixed(3)}</out>
-            <start>${sequenceTime.toFixed(3)}</start>
-            <end>${(sequenceTime + clip.duration).toFixed(3)}</end>
-            <file id="${fileId}">
-              <name>${this.escapeXml(videoName)}</name>
-              <pathurl>${videoName}</pathurl>
-              <media>
-                <video>
-                  <samplecharacteristics>
-                    <width>${width}</width>
-                    <height>${height}</height>
-                    <anamorphic>false</anamorphic>
-                    <pixelaspectratio>square</pixelaspectratio>
-                    <fielddominance>none</fielddominance>
-                    </samplecharacteristics>
-                  </video>
-                <audio>
-                  <samplecharacteristics />
-                  <channelcount>2</channelcount>
-                  </audio>
-                </media>
-              </file>
-            <link>
-              <mediatype>video</mediatype>
-              <trackindex>1</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>audio</mediatype>
-              <trackindex>1</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>audio</mediatype>
-              <trackindex>2</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            <link>
-              <mediatype>text</mediatype>
-              <trackindex>3</trackindex>
-              <clipindex>${i + 1}</clipindex>
-              <groupindex>${i + 1}</groupindex>
-              </link>
-            </clipitem>
-`;
+  /**
+   * <sourcetrack>ブロックを生成
+   * @param {Object} sourceTrack - {mediatype, trackindex}
+   */
+  generateSourceTrackXML(sourceTrack) {
+    return `            <sourcetrack>
+              <mediatype>${sourceTrack.mediatype}</mediatype>
+              <trackindex>${sourceTrack.trackindex}</trackindex>
+              </sourcetrack>`;
+  }
 
-      sequenceTime += clip.duration;
+  /**
+   * <link>ブロックを生成
+   * @param {Array} links - リンク先 [{mediatype, trackindex, clipindex, groupindex}]（buildClipLinks() の結果）
+   */
+  generateLinksXML(links) {
+    return links.map(link => `            <link>
+              <mediatype>${link.mediatype}</mediatype>
+              <trackindex>${link.trackindex}</trackindex>
+              <clipindex>${link.clipindex}</clipindex>${link.groupindex ? `
+              <groupindex>${link.groupindex}</groupindex>` : ''}
+              </link>`).join('\n');
+  }
+
+  /**
+   * 保持クリップのラベル色を決定（config.premiere.clipLabels）
+   * - alternate: 交互に色を付ける
+   * - boundary: クリップの直前で削除された区間の種類（直前に削除区間がなければ start、早送りのクリップは speed_ramp）
+   * - speaker: クリップと重なるテロップの speaker のうち最も長いもの
+   * - chapter: クリップの開始位置が属するチャプター
+   * - confidence: クリップの前後のカットのうち最も低い信頼度
+   * @param {Array} keepClips - 保持クリップ（元動画の時間）
+   * @param {Array} cutCandidates - カット候補
+   * @param {Array} captions - テロップ（sourceStart/sourceEnd があれば元動画の時間として使う）
+   * @param {Object} options - { policy, chapters }
+   * @returns {Array} 保持クリップごとの {label, basis}（basis: 色の根拠、CSVレポートに出力）
+   */
+  resolveClipLabels(keepClips, cutCandidates = [], captions = [], options = {}) {
+    const labelConfig = this.config.premiere.clipLabels || {};
+    const policy = options.policy || labelConfig.policy || 'alternate';
+    const sourceOf = item => item.sourceIndex ?? 0;
+    const actualCuts = cutCandidates.filter(c => !c.isMarker && c.disposition !== 'speed');
+    const pick = (colors, n) => colors[n % colors.length];
+
+    switch (policy) {
+      case 'alternate': {
+        const colors = labelConfig.alternate || ['Rose', 'Cerulean'];
+        return keepClips.map((clip, i) => ({ label: pick(colors, i), basis: '' }));
+      }
+
+      case 'boundary': {
+        const colors = labelConfig.boundary || {};
+        return keepClips.map((clip, i) => {
+          // 直前のカット（元動画上でクリップの開始に最も近いもの）
+          const [cut] = this.findBoundaryCuts(keepClips, i, actualCuts).before.sort((a, b) => b.end - a.end);
+          const type = clip.speed ? 'speed_ramp' : cut ? cut.type : 'start';
+          return { label: colors[type] || colors.default || 'Tan', basis: type };
+        });
+      }
+
+      case 'speaker': {
+        const { colors = ['Cerulean', 'Rose'], unknown = 'Tan' } = labelConfig.speaker || {};
+        const speakers = [];
+        return keepClips.map(clip => {
+          const spoken = new Map();
+          for (const caption of captions) {
+            if (!caption.speaker || sourceOf(caption) !== sourceOf(clip)) continue;
+            const start = Math.max(clip.start, caption.sourceStart ?? caption.start);
+            const end = Math.min(clip.end, caption.sourceEnd ?? caption.end);
+            if (end > start) spoken.set(caption.speaker, (spoken.get(caption.speaker) || 0) + (end - start));
+          }
+          const [speaker] = [...spoken].sort((a, b) => b[1] - a[1])[0] || [];
+          if (!speaker) return { label: unknown, basis: 'unknown' };
+
+          if (!speakers.includes(speaker)) speakers.push(speaker);
+          return { label: pick(colors, speakers.indexOf(speaker)), basis: speaker };
+        });
+      }
+
+      case 'chapter': {
+        const colors = labelConfig.chapter || ['Cerulean', 'Forest'];
+        const chapters = [...(options.chapters || [])].sort((a, b) => sourceOf(a) - sourceOf(b) || a.start - b.start);
+        return keepClips.map(clip => {
+          // クリップの開始までに始まっているチャプターの数（最初のチャプターより前は冒頭として0）
+          const started = chapters.filter(chapter =>
+            sourceOf(chapter) < sourceOf(clip) || (sourceOf(chapter) === sourceOf(clip) && chapter.start <= clip.start + 0.001)
+          );
+          const chapter = started[started.length - 1];
+          return { label: pick(colors, started.length), basis: chapter ? chapter.name : '' };
+        });
+      }
+
+      case 'confidence': {
+        const { highThreshold = 0.8, lowThreshold = 0.6, high = 'Forest', medium = 'Yellow', low = 'Rose', none = 'Tan' } = labelConfig.confidence || {};
+        return keepClips.map((clip, i) => {
+          const { before, after } = this.findBoundaryCuts(keepClips, i, actualCuts);
+          const boundaryCuts = [...before, ...after];
+          if (boundaryCuts.length === 0) return { label: none, basis: 'none' };
+
+          const confidence = Math.min(...boundaryCuts.map(cut => cut.confidence ?? 0));
+          const level = confidence >= highThreshold ? 'high' : confidence < lowThreshold ? 'low' : 'medium';
+          return { label: { high, medium, low }[level], basis: `${level} ${confidence.toFixed(2)}` };
+        });
+      }
+
+      default:
+        throw new Error(`不明なラベルの付け方です: ${policy}（alternate, boundary, speaker, chapter, confidence のいずれか）`);
     }
+  }
 
-    xml += `          </track>
-        </audio>
-      </media>
-    </sequence>
-  </xmeml>`;
+  /**
+   * 保持クリップの前後（同じ素材の隣の保持クリップまで）で削除されたカットを取得
+   * @returns {Object} {before, after}
+   */
+  findBoundaryCuts(keepClips, index, cuts) {
+    const clip = keepClips[index];
+    const sourceIndex = clip.sourceIndex ?? 0;
+    const sameSource = keepClips.filter(c => (c.sourceIndex ?? 0) === sourceIndex);
+    const previousEnd = Math.max(0, ...sameSource.filter(c => c.end <= clip.start).map(c => c.end));
+    const nextStart = Math.min(Infinity, ...sameSource.filter(c => c.start >= clip.end).map(c => c.start));
+    const epsilon = 0.001;
+    const sourceCuts = cuts.filter(cut => (cut.sourceIndex ?? 0) === sourceIndex);
 
-    return xml;
+    return {
+      before: sourceCuts.filter(cut => cut.end > previousEnd - epsilon && cut.start < clip.start + epsilon && cut.end <= clip.start + epsilon),
+      after: sourceCuts.filter(cut => cut.start < nextStart + epsilon && cut.end > clip.end - epsilon && cut.start >= clip.end - epsilon),
+    };
   }
 
   /**
    * SRT字幕ファイルを生成（Premiere Proで別途インポート可能）
+   * XMLのテロップと同じくFrameTimelineのフレーム配置（シーケンス範囲内に収め、前のテロップとの重なりを除去）を使う。
+   * テキストが空のテロップと、フレーム単位にすると長さが0になるテロップは出力しない
+   * @param {Array} keepClips - 保持クリップ
+   * @param {Array} captions - シーケンス基準のテロップ（TimelineMapper.mapCaptions() の結果）
    */
-  generateSRT(captions) {
+  generateSRT(keepClips, captions, settings = this.resolveSequenceSettings()) {
+    const { frameRate } = settings;
+    const clips = this.frameTimeline.buildClips(keepClips, frameRate);
     let srt = '';
+    let cueNumber = 0;
+
+    for (const placed of this.frameTimeline.buildCaptions(captions, clips, frameRate)) {
+      // 空行はSRTのブロック区切りになるため詰める
+      const text = String(placed.caption.text ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('\n');
+      if (!text) continue;
 
-    for (let i = 0; i < captions.length; i++) {
-      const caption = captions[i];
-      const startTime = this.secondsToSRTTime(caption.start || 0);
-      const endTime = this.secondsToSRTTime(caption.end || 0);
+      const startTime = this.secondsToSRTTime(frameRate.framesToSeconds(placed.start));
+      const endTime = this.secondsToSRTTime(frameRate.framesToSeconds(placed.end));
 
-      srt += `${i + 1}\n`;
+      cueNumber++;
+      srt += `${cueNumber}\n`;
       srt += `${startTime} --> ${endTime}\n`;
-      srt += `${caption.text}\n\n`;
+      srt += `${text}\n\n`;
     }
 
     return srt;
@@ -336,70 +1135,246 @@ export class PremiereIntegration {
    * 秒をSRT形式のタイムコードに変換 (HH:MM:SS,mmm)
    */
   secondsToSRTTime(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.floor(seconds % 60);
-    const millis = Math.floor((seconds % 1) * 1000);
+    // 浮動小数点誤差で1ms欠けないよう、ミリ秒単位の整数に丸めてから分解
+    const totalMillis = Math.round(seconds * 1000);
+    const hours = Math.floor(totalMillis / 3600000);
+    const minutes = Math.floor((totalMillis % 3600000) / 60000);
+    const secs = Math.floor((totalMillis % 60000) / 1000);
+    const millis = totalMillis % 1000;
 
     return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')},${String(millis).padStart(3, '0')}`;
   }
 
   /**
-   * EDL (Edit Decision List) 形式でエクスポート
+   * EDL (Edit Decision List) 形式でエクスポート（CMX3600）
+   * レコード側はフレーム量子化済みクリップ長の累積で求め、映像(V)と音声(A/A2)を別イベントとして出力
+   * クリップが reel を持つ場合（複数素材）はクリップごとのリール名・クリップ名を使う
+   * @param {Array} keepClips - 保持クリップ
+   * @param {string} videoName - リール名の元になる名前
+   * @param {Object} settings - resolveSequenceSettings() の結果
+   * ソース側のタイムコードは素材の開始タイムコード（getSourceTimecode()）からのオフセットで出力する。
+   * 早送りのクリップはソース側の長さをレコード側に合わせ、実際の速度は M2（モーション）行で示す
+   * @param {Object} options - { clipName, cutCandidates, cutReasonLocators, sourceTimecodeOffset, metadata, sources }
    */
-  generateEDL(keepClips, videoName = 'SOURCE') {
-    const frameRate = this.config.premiere.project.frameRate;
+  generateEDL(keepClips, videoName = 'SOURCE', settings = this.resolveSequenceSettings(), options = {}) {
+    const { frameRate } = settings;
+    const edlConfig = this.config.premiere.edl || {};
+    const clipName = options.clipName || videoName;
+    const reelName = this.toReelName(edlConfig.reelName || videoName);
+    const cutReasonLocators = options.cutReasonLocators ?? edlConfig.cutReasonLocators ?? false;
+    // 明示的な指定 > 素材の開始タイムコード（複数素材は素材ごと）> 00:00:00:00
+    const fixedOffset = options.sourceTimecodeOffset || edlConfig.sourceTimecodeOffset;
+    const sourceOffsetOf = sourceIndex => {
+      const metadata = options.sources?.[sourceIndex]?.metadata ?? options.metadata;
+      return frameRate.timecodeToFrames(fixedOffset || this.getSourceTimecode(metadata) || '00:00:00:00');
+    };
+
+    // 音声チャンネル数に応じて A / A2 のイベントを出力
+    const tracks = ['V'];
+    if (edlConfig.includeAudio !== false) {
+      tracks.push('A');
+      if (settings.audio.channels >= 2) tracks.push('A2');
+    }
+
+    const clips = this.frameTimeline.buildClips(keepClips, frameRate);
+    const actualCuts = (options.cutCandidates || []).filter(c => !c.isMarker && c.disposition !== 'speed');
+    const tc = frames => frameRate.framesToTimecode(frames);
+
     let edl = `TITLE: Auto Edited Sequence\n`;
-    edl += `FCM: NON-DROP FRAME\n\n`;
+    edl += `FCM: ${frameRate.fcm}\n\n`;
 
-    for (let i = 0; i < keepClips.length; i++) {
-      const clip = keepClips[i];
-      const editNumber = String(i + 1).padStart(3, '0');
+    let eventNumber = 0;
+    clips.forEach((placed, i) => {
+      const sourceIndex = placed.clip.sourceIndex ?? 0;
+      const source = options.sources?.[sourceIndex];
+      const clipReel = placed.clip.reel ? this.toReelName(placed.clip.reel) : reelName;
+      const clipFileName = source ? path.basename(source.path) : clipName;
+      const sourceOffset = sourceOffsetOf(sourceIndex);
+      const sourceIn = tc(placed.in + sourceOffset);
+      const sourceOut = tc(placed.in + placed.duration + sourceOffset);
+      const recordIn = tc(placed.start);
+      const recordOut = tc(placed.end);
 
-      const sourceIn = this.framesToTimecode(Math.floor(clip.start * frameRate), frameRate);
-      const sourceOut = this.framesToTimecode(Math.floor(clip.end * frameRate), frameRate);
+      // 直前のクリップ（同じ素材）との間で削除された区間の理由
+      const previous = clips[i - 1];
+      const sameSource = previous && (previous.clip.sourceIndex ?? 0) === sourceIndex;
+      const sourceCuts = actualCuts.filter(cut => (cut.sourceIndex ?? 0) === sourceIndex);
+      const reasons = cutReasonLocators
+        ? this.findCutReasonsBetween(sourceCuts, sameSource ? previous.clip.end : 0, placed.clip.start)
+        : [];
 
-      const recordIn = this.framesToTimecode(Math.floor(i * clip.duration * frameRate), frameRate);
-      const recordOut = this.framesToTimecode(Math.floor((i + 1) * clip.duration * frameRate), frameRate);
+      for (const track of tracks) {
+        eventNumber++;
+        const editNumber = String(eventNumber).padStart(3, '0');
 
-      edl += `${editNumber}  ${videoName}       V     C        ${sourceIn} ${sourceOut} ${recordIn} ${recordOut}\n`;
-    }
+        edl += `${editNumber}  ${clipReel.padEnd(8)} ${track.padEnd(5)} C        ${sourceIn} ${sourceOut} ${recordIn} ${recordOut}\n`;
+        if (placed.speed !== 1) {
+          const motionRate = (frameRate.fps * placed.speed).toFixed(1).padStart(5, '0');
+          edl += `M2   ${clipReel.padEnd(8)}       ${motionRate}                ${sourceIn}\n`;
+        }
+        edl += `* FROM CLIP NAME: ${clipFileName}\n`;
+        if (track === 'V' && reasons.length > 0) {
+          edl += `* LOC: ${recordIn} RED     ${this.toEDLComment(reasons.join(' / '))}\n`;
+        }
+        edl += '\n';
+      }
+    });
 
     return edl;
   }
 
   /**
-   * フレーム数をタイムコードに変換 (HH:MM:SS:FF)
+   * 2つの保持クリップの間（元動画の時間）に含まれるカットの理由を取得
+   */
+  findCutReasonsBetween(cuts, gapStart, gapEnd) {
+    const epsilon = 0.001;
+    return cuts
+      .filter(cut => cut.end > gapStart - epsilon && cut.start < gapEnd + epsilon)
+      .map(cut => cut.reason)
+      .filter(Boolean);
+  }
+
+  /**
+   * CMX3600のリール名（英数字8文字以内）に変換
+   */
+  toReelName(name) {
+    const reel = String(name).toUpperCase().replace(/[^A-Z0-9_]/g, '').slice(0, 8);
+    return reel || 'AX';
+  }
+
+  /**
+   * 複数素材それぞれに重複しないリール名を割り当てる（重複する場合は末尾に番号）
+   * @param {Array<string>} videoPaths - 素材のパス（シーケンス順）
+   * @returns {Array<string>} リール名
    */
-  framesToTimecode(frames, frameRate) {
-    const hours = Math.floor(frames / (frameRate * 3600));
-    const minutes = Math.floor((frames % (frameRate * 3600)) / (frameRate * 60));
-    const seconds = Math.floor((frames % (frameRate * 60)) / frameRate);
-    const remainingFrames = frames % frameRate;
+  toReelNames(videoPaths) {
+    const used = new Set();
+    return videoPaths.map(videoPath => {
+      const base = this.toReelName(path.basename(videoPath, path.extname(videoPath)));
+      let reel = base;
+      for (let n = 2; used.has(reel); n++) {
+        reel = base.slice(0, 8 - String(n).length) + n;
+      }
+      used.add(reel);
+      return reel;
+    });
+  }
 
-    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}:${String(Math.floor(remainingFrames)).padStart(2, '0')}`;
+  /**
+   * EDLコメント行に書けるよう改行を除去
+   */
+  toEDLComment(text) {
+    return String(text).replace(/[\r\n]+/g, ' ');
+  }
+
+  /**
+   * フレーム数をタイムコードに変換 (HH:MM:SS:FF、ドロップフレームは HH:MM:SS;FF)
+   * @param {number} frames - フレーム数
+   * @param {number|string|FrameRate} frameRate - フレームレート（省略時はシーケンス設定）
+   */
+  framesToTimecode(frames, frameRate = this.resolveSequenceSettings().frameRate) {
+    return FrameRate.from(frameRate, { dropFrame: this.config.premiere.project.dropFrame }).framesToTimecode(frames);
   }
 
   /**
    * CSVレポートを生成（編集ログ）
+   * Start/Endは元動画の時間、SeqStart/SeqEndは編集後シーケンス上の時間、Reelは素材のリール名
+   * Label/LabelBasisは保持クリップのラベル色とその根拠（カットの種類・話者・チャプター・信頼度）
+   * @param {string} defaultReel - reel を持たない項目（単一素材）のリール名
+   * @param {Array} clipLabels - 保持クリップごとのラベル色 resolveClipLabels() の結果
    */
-  generateEditReport(keepClips, cutCandidates, captions) {
-    let csv = 'Type,Start,End,Duration,Text/Reason\n';
+  generateEditReport(keepClips, cutCandidates, captions, defaultReel = '', clipLabels = []) {
+    let csv = 'Type,Start,End,Duration,SeqStart,SeqEnd,Text/Reason,Reel,Label,LabelBasis\n';
+    const reel = item => item.reel || defaultReel;
 
-    // カットされた部分
-    const actualCuts = cutCandidates.filter(c => !c.isMarker);
+    // カットされた部分（早送りにした区間は保持クリップに含める）
+    const actualCuts = cutCandidates.filter(c => !c.isMarker && c.disposition !== 'speed');
     for (const cut of actualCuts) {
-      csv += `Cut,${cut.start.toFixed(2)},${cut.end.toFixed(2)},${cut.duration.toFixed(2)},"${cut.reason}"\n`;
+      csv += `Cut,${cut.start.toFixed(2)},${cut.end.toFixed(2)},${cut.duration.toFixed(2)},,,"${cut.reason}",${reel(cut)},,\n`;
     }
 
     // 保持されたクリップ
-    for (const clip of keepClips) {
-      csv += `Keep,${clip.start.toFixed(2)},${clip.end.toFixed(2)},${clip.duration.toFixed(2)},Kept Clip\n`;
+    let sequenceTime = 0;
+    keepClips.forEach((clip, i) => {
+      const seqEnd = sequenceTime + clip.duration;
+      const { label = '', basis = '' } = clipLabels[i] || {};
+      const text = clip.speed ? `"Speed x${clip.speed}: ${clip.reason || ''}"` : 'Kept Clip';
+      csv += `Keep,${clip.start.toFixed(2)},${clip.end.toFixed(2)},${clip.duration.toFixed(2)},${sequenceTime.toFixed(2)},${seqEnd.toFixed(2)},${text},${reel(clip)},${label},"${basis}"\n`;
+      sequenceTime = seqEnd;
+    });
+
+    // テロップ（シーケンス上の時間に載せ替え済み）
+    for (const caption of captions) {
+      const sourceStart = caption.sourceStart ?? caption.start;
+      const sourceEnd = caption.sourceEnd ?? caption.end;
+      csv += `Caption,${sourceStart.toFixed(2)},${sourceEnd.toFixed(2)},${caption.duration.toFixed(2)},${caption.start.toFixed(2)},${caption.end.toFixed(2)},"${caption.text}",${reel(caption)},,\n`;
     }
 
-    // テロップ
+    return csv;
+  }
+
+  /**
+   * チャプターごとの統計レポート (CSV)
+   * SeqStart/SeqEndは編集後シーケンス上の時間、SourceStart/SourceEndは最初と最後の保持クリップの元動画の時間。
+   * カットは直後の保持クリップ（素材の末尾のカットは直前の保持クリップ）と同じチャプターに数える
+   * @param {Array} chapterSequences - resolveChapterSequences() の結果
+   */
+  generateChapterReport(chapterSequences, keepClips, cutCandidates, captions) {
+    let csv = 'Chapter,Name,Boundary,SeqStart,SeqEnd,Duration,SourceStart,SourceEnd,Clips,Cuts,CutDuration,Captions\n';
+    const sourceOf = item => item.sourceIndex ?? 0;
+    const chapterOf = clipIndex => chapterSequences.find(c => clipIndex >= c.firstClip && clipIndex <= c.lastClip);
+    const epsilon = 0.001;
+
+    const stats = new Map(chapterSequences.map(chapter => [chapter, { cuts: 0, cutDuration: 0, captions: 0 }]));
+    for (const cut of cutCandidates.filter(c => !c.isMarker && c.disposition !== 'speed')) {
+      let clipIndex = keepClips.findIndex(clip => sourceOf(clip) === sourceOf(cut) && clip.start >= cut.end - epsilon);
+      if (clipIndex === -1) {
+        clipIndex = keepClips.findLastIndex(clip => sourceOf(clip) === sourceOf(cut));
+      }
+      const chapter = chapterOf(clipIndex);
+      if (!chapter) continue;
+      stats.get(chapter).cuts++;
+      stats.get(chapter).cutDuration += cut.duration;
+    }
+
+    const sequenceStarts = [];
+    let sequenceTime = 0;
+    for (const clip of keepClips) {
+      sequenceStarts.push(sequenceTime);
+      sequenceTime += clip.duration;
+    }
     for (const caption of captions) {
-      csv += `Caption,${caption.start.toFixed(2)},${caption.end.toFixed(2)},${caption.duration.toFixed(2)},"${caption.text}"\n`;
+      const clipIndex = caption.clipIndex ?? sequenceStarts.findLastIndex(start => start <= caption.start + epsilon);
+      const chapter = chapterOf(clipIndex);
+      if (chapter) stats.get(chapter).captions++;
+    }
+
+    for (const chapter of chapterSequences) {
+      const first = keepClips[chapter.firstClip];
+      const last = keepClips[chapter.lastClip];
+      const seqStart = sequenceStarts[chapter.firstClip];
+      const seqEnd = sequenceStarts[chapter.lastClip] + last.duration;
+      const { cuts, cutDuration, captions: captionCount } = stats.get(chapter);
+      csv += `${chapter.index + 1},"${chapter.name}",${chapter.boundary},${seqStart.toFixed(2)},${seqEnd.toFixed(2)},${(seqEnd - seqStart).toFixed(2)},${first.start.toFixed(2)},${last.end.toFixed(2)},${chapter.lastClip - chapter.firstClip + 1},${cuts},${cutDuration.toFixed(2)},${captionCount}\n`;
+    }
+
+    return csv;
+  }
+
+  /**
+   * 編集済みXMLと自動カットの比較レポート (CSV)
+   * 復元されたカットは元のカット候補の種類・信頼度とともに出力（閾値調整用）
+   * @param {Object} comparison - EditComparator.compare() の結果
+   */
+  generateRoundTripReport(comparison) {
+    let csv = 'Change,Start,End,Duration,CutType,Confidence,RestoredRatio,Reason\n';
+
+    for (const cut of comparison.restoredCuts) {
+      csv += `Restored,${cut.start.toFixed(2)},${cut.end.toFixed(2)},${cut.duration.toFixed(2)},${cut.type},${(cut.confidence ?? 0).toFixed(2)},${cut.restoredRatio.toFixed(2)},"${cut.reason}"\n`;
+    }
+
+    for (const cut of comparison.addedCuts) {
+      csv += `Added,${cut.start.toFixed(2)},${cut.end.toFixed(2)},${cut.duration.toFixed(2)},${cut.type},,,"${cut.reason}"\n`;
     }
 
     return csv;
@@ -407,12 +1382,14 @@ export class PremiereIntegration {
 
   /**
    * JSONプロジェクトファイルを生成
+   * @param {Array} sources - 複数素材の場合の素材一覧 [{path, reel, duration}]（クリップの sourceIndex で参照）
    */
-  generateProjectJSON(videoPath, keepClips, cutCandidates, captions, stats) {
+  generateProjectJSON(videoPath, keepClips, cutCandidates, captions, stats, sources = null) {
     return {
       project: {
         name: 'Auto Edited Project',
         sourceVideo: videoPath,
+        ...(sources ? { sources: sources.map(({ path: sourcePath, reel, duration }) => ({ path: sourcePath, reel, duration })) } : {}),
         createdAt: new Date().toISOString(),
         settings: this.config.premiere,
       },
@@ -427,88 +1404,246 @@ export class PremiereIntegration {
 
   /**
    * すべてのファイルをエクスポート
+   * @param {Object} options - 出力オプション
+   *   - metadata: 入力動画のffprobeメタデータ（シーケンス設定の決定に使用）
+   *   - cutReasonLocators: EDLにカット理由をロケーターコメントとして出力するか
+   *   - relativeMedia: XML内のメディアパスをXMLからの相対パスにするか
+   *   - chapters: チャプター [{start, name}]（元動画の時間、XMLマーカーとして出力）
+   *   - reviewTrack: 削除区間をレビュー用トラックに配置するか
+   *   - formats: 追加で出力する形式（'fcpxml', 'otio', 'ttml', 'scc', 'jsx'）
+   *   - linkCaptions: XMLにリンクする字幕ファイルの形式（'ttml', 'scc', 'srt'）
+   *   - sources: 複数素材の場合の素材一覧 [{path, reel, duration, metadata}]（videoPathは先頭の素材）
+   *   - name: 出力ファイル名・シーケンス名（省略時は動画のファイル名）
+   *   - labelPolicy: 保持クリップのラベル色の付け方（'alternate', 'boundary', 'speaker', 'chapter', 'confidence'）
+   *   - chapterSequences: チャプターごとのシーケンスに分けてマスターシーケンスにネストするか
    */
-  async exportAll(outputDir, videoPath, keepClips, cutCandidates, captions, stats) {
-    await fs.ensureDir(outputDir);
-
-    const baseName = path.basename(videoPath, path.extname(videoPath));
+  async exportAll(outputDir, videoPath, keepClips, cutCandidates, captions, stats, options = {}) {
+    const baseName = options.name || path.basename(videoPath, path.extname(videoPath));
     const files = {};
+    const outputs = [];
+    const formats = options.formats || this.config.premiere.additionalFormats || [];
+    const sources = options.sources?.length > 0 ? options.sources : null;
+    const sourceDuration = sources
+      ? sources.map(source => source.duration || 0)
+      : parseFloat(stats?.totalDuration) || 0;
+    const defaultReel = this.toReelName(this.config.premiere.edl?.reelName || baseName);
+
+    const settings = this.resolveSequenceSettings(options.metadata);
+    const linkCaptions = options.linkCaptions ?? this.config.premiere.captionFiles?.linkInXML ?? null;
+    const captionPaths = {
+      srt: path.join(outputDir, `${baseName}_captions.srt`),
+      ttml: path.join(outputDir, `${baseName}_captions.dfxp`),
+      scc: path.join(outputDir, `${baseName}_captions.scc`),
+    };
+    if (linkCaptions && !captionPaths[linkCaptions]) {
+      throw new Error(`XMLにリンクできない字幕形式です: ${linkCaptions}（ttml, scc, srt のいずれか）`);
+    }
+    console.log(`   シーケンス設定: ${settings.width}x${settings.height} @ ${settings.frameRate}fps, ${settings.audio.sampleRate}Hz ${settings.audio.channels}ch`);
+
+    // 保持クリップのラベル色（XMLとCSVレポートで共通）
+    const clipLabels = this.resolveClipLabels(keepClips, cutCandidates, captions, {
+      policy: options.labelPolicy,
+      chapters: options.chapters,
+    });
+
+    // チャプターごとのシーケンス（長尺の動画向け）
+    const chapterSequences = (options.chapterSequences ?? this.config.premiere.chapterSequences?.enabled)
+      ? this.resolveChapterSequences(keepClips, cutCandidates, options.chapters)
+      : null;
 
     // 1. Premiere Pro XML
-    const xml = this.generateProjectXML(videoPath, keepClips, captions);
+    const markers = this.timelineMapper.buildMarkers(cutCandidates, keepClips, options.chapters);
+    const xml = this.generateProjectXML(videoPath, keepClips, captions, settings, {
+      xmlDir: outputDir,
+      relativeMedia: options.relativeMedia,
+      markers,
+      reviewTrack: options.reviewTrack,
+      cutCandidates,
+      sourceDuration,
+      metadata: options.metadata,
+      captionFile: linkCaptions ? { path: captionPaths[linkCaptions], format: linkCaptions } : null,
+      sources,
+      name: baseName,
+      clipLabels,
+      chapterSequences,
+    });
     const xmlPath = path.join(outputDir, `${baseName}_project.xml`);
-    await fs.writeFile(xmlPath, xml, 'utf-8');
+    outputs.push({ path: xmlPath, format: 'xmeml', content: xml });
     files.xml = xmlPath;
 
     // 2. EDL
-    const edl = this.generateEDL(keepClips, baseName);
+    const edl = this.generateEDL(keepClips, baseName, settings, {
+      clipName: path.basename(videoPath),
+      cutCandidates,
+      cutReasonLocators: options.cutReasonLocators,
+      metadata: options.metadata,
+      sources,
+    });
     const edlPath = path.join(outputDir, `${baseName}_edl.edl`);
-    await fs.writeFile(edlPath, edl, 'utf-8');
+    outputs.push({ path: edlPath, format: 'edl', content: edl });
     files.edl = edlPath;
 
     // 3. JSONプロジェクト
-    const json = this.generateProjectJSON(videoPath, keepClips, cutCandidates, captions, stats);
+    const reelClips = keepClips.map(clip => ({ ...clip, reel: clip.reel || defaultReel }));
+    const json = this.generateProjectJSON(videoPath, reelClips, cutCandidates, captions, stats, sources);
     const jsonPath = path.join(outputDir, `${baseName}_project.json`);
-    await fs.writeJson(jsonPath, json, { spaces: 2 });
+    outputs.push({ path: jsonPath, format: 'json', content: json });
     files.json = jsonPath;
 
     // 4. SRT字幕ファイル
-    const srt = this.generateSRT(captions);
-    const srtPath = path.join(outputDir, `${baseName}_captions.srt`);
-    await fs.writeFile(srtPath, srt, 'utf-8');
+    const srt = this.generateSRT(keepClips, captions, settings);
+    const srtPath = captionPaths.srt;
+    outputs.push({ path: srtPath, format: 'srt', content: srt });
     files.srt = srtPath;
 
     // 5. 編集レポート (CSV)
-    const csv = this.generateEditReport(keepClips, cutCandidates, captions);
+    const csv = this.generateEditReport(keepClips, cutCandidates, captions, defaultReel, clipLabels);
     const csvPath = path.join(outputDir, `${baseName}_report.csv`);
-    await fs.writeFile(csvPath, csv, 'utf-8');
+    outputs.push({ path: csvPath, format: 'csv', content: csv });
     files.csv = csvPath;
 
+    // チャプターごとの統計レポート (CSV)
+    if (chapterSequences) {
+      const chapterCsv = this.generateChapterReport(chapterSequences, keepClips, cutCandidates, captions);
+      const chapterCsvPath = path.join(outputDir, `${baseName}_chapters.csv`);
+      outputs.push({ path: chapterCsvPath, format: 'csv', content: chapterCsv });
+      files.chapters = chapterCsvPath;
+      console.log(`   チャプター: ${chapterSequences.length}（チャプターごとのシーケンスをマスターシーケンスにネスト）`);
+    }
+
+    // FCPXML・OTIOは単一素材のみ対応
+    if (sources && sources.length > 1 && formats.some(format => format === 'fcpxml' || format === 'otio')) {
+      console.log('   ⚠️ 複数素材のプロジェクトでは FCPXML / OTIO を出力しません（XML・EDLを使用してください）');
+    }
+    const singleSource = !sources || sources.length === 1;
+
+    // 6. FCPXML（Final Cut Pro / DaVinci Resolve 向け、オプション）
+    if (formats.includes('fcpxml') && singleSource) {
+      const fcpxml = this.fcpxmlExporter.generateFCPXML(videoPath, keepClips, captions, settings, {
+        markers,
+        sourceDuration,
+      });
+      const fcpxmlPath = path.join(outputDir, `${baseName}_project.fcpxml`);
+      outputs.push({ path: fcpxmlPath, format: 'xml', content: fcpxml });
+      files.fcpxml = fcpxmlPath;
+    }
+
+    // 7. OpenTimelineIO（オプション）
+    if (formats.includes('otio') && singleSource) {
+      const otio = this.otioAdapter.generateOTIO(videoPath, keepClips, captions, settings, {
+        markers,
+        cutCandidates,
+        sourceDuration,
+      });
+      const otioPath = path.join(outputDir, `${baseName}_timeline.otio`);
+      outputs.push({ path: otioPath, format: 'json', content: otio });
+      files.otio = otioPath;
+    }
+
+    // 8. TTML/DFXP 字幕ファイル（Premiereのキャプショントラック向け、オプション）
+    if (formats.includes('ttml') || linkCaptions === 'ttml') {
+      const ttml = this.captionFileExporter.generateTTML(captions, settings);
+      outputs.push({ path: captionPaths.ttml, format: 'xml', content: ttml });
+      files.ttml = captionPaths.ttml;
+    }
+
+    // 9. SCC 字幕ファイル（CEA-608、オプション）
+    if (formats.includes('scc') || linkCaptions === 'scc') {
+      const { scc, unsupportedCaptions } = this.captionFileExporter.generateSCC(captions);
+      outputs.push({ path: captionPaths.scc, format: 'scc', content: scc });
+      files.scc = captionPaths.scc;
+      if (unsupportedCaptions > 0) {
+        console.log(`   ⚠️ SCCで表現できない文字を含むテロップ: ${unsupportedCaptions}件（該当文字は省略）`);
+      }
+    }
+
+    // 10. ExtendScript 編集スクリプト（Premiere上でシーケンスを組み立てる、オプション）
+    if (formats.includes('jsx')) {
+      const jsx = this.extendScriptExporter.generateJSX(videoPath, keepClips, settings, {
+        markers,
+        sources,
+        name: baseName,
+      });
+      const jsxPath = path.join(outputDir, `${baseName}_edit.jsx`);
+      outputs.push({ path: jsxPath, format: 'jsx', content: jsx });
+      files.jsx = jsxPath;
+    }
+
+    // 書き出す前にすべての出力ファイルの構造を検証（問題があれば1つも書き出さずにエラー）
+    if (this.config.premiere.validation?.enabled !== false) {
+      this.exportValidator.assertValid(outputs, settings);
+    }
+    await fs.ensureDir(outputDir);
+    for (const output of outputs) {
+      if (output.format === 'json') {
+        await fs.writeJson(output.path, output.content, { spaces: 2 });
+      } else {
+        await fs.writeFile(output.path, output.content, 'utf-8');
+      }
+    }
+
     console.log('\n📦 エクスポート完了:');
     console.log(`   - XML: ${xmlPath}`);
     console.log(`   - EDL: ${edlPath}`);
     console.log(`   - SRT: ${srtPath}`);
     console.log(`   - JSON: ${jsonPath}`);
     console.log(`   - CSV Report: ${csvPath}`);
+    if (files.chapters) {
+      console.log(`   - Chapter Report: ${files.chapters}`);
+    }
+    if (files.fcpxml) {
+      console.log(`   - FCPXML: ${files.fcpxml}`);
+    }
+    if (files.otio) {
+      console.log(`   - OTIO: ${files.otio}`);
+    }
+    if (files.ttml) {
+      console.log(`   - TTML: ${files.ttml}`);
+    }
+    if (files.scc) {
+      console.log(`   - SCC: ${files.scc}`);
+    }
+    if (files.jsx) {
+      console.log(`   - ExtendScript: ${files.jsx}`);
+    }
+    if (linkCaptions) {
+      console.log(`   字幕ファイル（${linkCaptions}）をXMLの最上位ビデオトラックにリンクしました`);
+    }
 
     return files;
   }
 
   /**
-   * Generate Base64 encoded caption data for GraphicAndType effect
-   * Based on exact binary structure from working Premiere Pro XML files
-   *
-   * Structure (total 668 bytes):
-   * - Header: 240 bytes (font metadata, YuGothic-Bold)
-   * - Text section: 302 bytes (UTF-8 text + zero padding)
-   * - Footer: 126 bytes (effect parameters)
+   * Generate Base64 encoded caption data for Premiere Pro
+   * テロップのスタイル（フォント・サイズ）をEssential Graphicsのテキストデータに反映する
    */
-  generateCaptionBase64(text) {
-    // Fixed header (240 bytes) - includes font styling metadata for YuGothic-Bold
-    const headerBase64 = 'kAIAAAAAAABEMyIRDAAAAAAABgAKAAQABgAAAGQAAAAAAF4AJAAUABAAAAAAACAAHAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADwAAAAgAAAAAABsABwBeAAAAAAAAARwAAAAAAAABJAAAADwAAAAAAAAAAgAAAAIAAAAQ/v//FP7//xj+//8c/v//AQAAAAQAAAANAAAAWXVHb3RoaWMtQm9sZAAAAAEAAAAMAAAACAAMAAQACAAIAAAACAAAAGwBAAAsAQAA';
-
-    // Fixed footer (126 bytes) - effect parameters
-    const footerBase64 = 'NgAgAAAAHAAAAAAAGAAXABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwAAAAIAAQANgAAAAIAAAAYAAAAHAAAAAAAEEAAAAABIAAAAAAAkELg////BAAGAAQAAAAAAAoACAAFAAYABwAKAAAAAAAAAAQABAAEAAAA';
-
-    // Convert header and footer to buffers
-    const headerBuffer = Buffer.from(headerBase64, 'base64');
-    const footerBuffer = Buffer.from(footerBase64, 'base64');
-
-    // Encode text to UTF-8
-    const textBuffer = Buffer.from(text, 'utf-8');
+  generateCaptionBase64(text, style = {}) {
+    return this.graphicTextEncoder.encode(text, style);
+  }
 
-    // Text section must be exactly 302 bytes (text + zero padding)
-    const TEXT_SECTION_SIZE = 302;
-    const textSection = Buffer.alloc(TEXT_SECTION_SIZE);
-    textBuffer.copy(textSection, 0);
-    // Remaining bytes are already zeros (from Buffer.alloc)
+  /**
+   * テロップの表示位置を「位置」パラメータの値（画面に対する割合 x:y）に変換
+   * style.position（top / middle / bottom）と yOffset・xOffset（ピクセル）から求める
+   */
+  getCaptionPosition(style = {}, settings) {
+    const base = this.config.caption.defaultStyle || {};
+    const position = style.position || base.position || 'bottom';
+    const yOffset = style.yOffset ?? base.yOffset ?? 48;
+    const xOffset = style.xOffset ?? base.xOffset;
 
-    // Combine all parts: header (240) + text section (302) + footer (126) = 668 bytes total
-    const finalBuffer = Buffer.concat([headerBuffer, textSection, footerBuffer]);
+    let y = 1 - yOffset / settings.height;
+    if (position === 'top') {
+      y = yOffset / settings.height;
+    } else if (position === 'middle' || position === 'center') {
+      y = 0.5;
+    }
+    const x = xOffset !== undefined && xOffset !== null ? xOffset / settings.width : 0.5;
 
-    return finalBuffer.toString('base64');
+    const clamp = value => Math.min(1, Math.max(0, value));
+    return `${+clamp(x).toFixed(6)}:${+clamp(y).toFixed(6)}`;
   }
 
+
   /**
    * XML特殊文字をエスケープ
    */
@@ -0,0 +1,395 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FrameRate } from '../timeline/FrameRate.js';
+import { TimelineMapper } from '../timeline/TimelineMapper.js';
+import { GraphicTextEncoder } from './GraphicTextEncoder.js';
+
+/**
+ * xmemlパーサークラス
+ * PremiereIntegrationが出力した（またはPremiereで編集して書き出した）FCP7 XMLを読み込み、
+ * 保持クリップ・テロップ・マーカーをプロジェクトのモデルに戻す
+ */
+export class XMEMLParser {
+  constructor(config) {
+    this.config = config;
+    this.timelineMapper = new TimelineMapper(config);
+    this.graphicTextEncoder = new GraphicTextEncoder(config);
+  }
+
+  /**
+   * xmemlからシーケンスを読み込む
+   * - 保持クリップ: V1の有効なクリップ（GraphicAndTypeを除く）を元動画の時間で
+   * - テロップ: GraphicAndTypeのクリップをシーケンスの時間で（元動画の時間も付与）
+   * - マーカー: シーケンスマーカーとクリップマーカー
+   * ネストしたシーケンス（チャプターごとのシーケンス）は中のクリップ・マーカーをマスターシーケンス上の位置に展開する。
+   * 速度を変えたクリップ（Time Remap）は in/out を元動画のフレームに戻し、保持クリップの speed にする。
+   * 複数の素材を参照する場合は、クリップの <file> の素材を options.sources の順（無い素材はXMLで最初に使われた順に追加）で
+   * sourceIndex にする
+   * @param {string} xml - xmeml文字列
+   * @param {Object} options - { xmlDir: 相対パスのメディアを解決する基準ディレクトリ, sources: 元のプロジェクトの素材のパス一覧 }
+   * @returns {Object} {name, sourceVideo, sources, frameRate, keepClips, captions, markers}
+   */
+  parseXMEML(xml, options = {}) {
+    const root = this.parseXML(xml);
+    const sequence = this.find(root, 'sequence');
+    if (root.name !== 'xmeml' || !sequence) {
+      throw new Error('xmemlのシーケンスが見つかりません');
+    }
+
+    const frameRate = this.readRate(sequence) || FrameRate.from(30);
+    const videoTracks = this.children(this.child(this.child(sequence, 'media'), 'video'), 'track');
+
+    // <file id="..."/> のみの参照を解決するため、定義済みのファイルを集める
+    const files = new Map();
+    for (const file of this.findAll(sequence, 'file')) {
+      const id = file.attributes.id;
+      if (id && file.children.length > 0 && !files.has(id)) {
+        files.set(id, file);
+      }
+    }
+    const resolveFile = clipitem => {
+      const file = this.child(clipitem, 'file');
+      if (!file) return null;
+      return files.get(file.attributes.id) || file;
+    };
+    const isGraphic = clipitem => {
+      const file = resolveFile(clipitem);
+      return this.text(file, 'mediaSource') === 'GraphicAndType' ||
+        this.findAll(clipitem, 'effectid').some(e => e.text === 'GraphicAndType');
+    };
+    const isEnabled = clipitem => (this.text(clipitem, 'enabled') || 'true').toLowerCase() !== 'false';
+
+    // 素材のパス → sourceIndex（パスが一致しない場合はファイル名で対応付ける）
+    const sources = (options.sources || []).map(sourcePath => path.resolve(sourcePath));
+    const sourceIndexOf = clipitem => {
+      const file = resolveFile(clipitem);
+      const mediaPath = this.resolveMediaPath(this.text(file, 'pathurl'), options.xmlDir) ||
+        path.resolve(options.xmlDir || '.', this.text(file, 'name') || file?.attributes.id || 'media');
+      let index = sources.indexOf(mediaPath);
+      if (index === -1) index = sources.findIndex(source => path.basename(source) === path.basename(mediaPath));
+      if (index === -1) index = sources.push(mediaPath) - 1;
+      return index;
+    };
+
+    // ネストしたシーケンスの定義（2回目以降の参照は <sequence id="..."/> のみ）
+    const sequences = new Map();
+    for (const nested of this.findAll(sequence, 'sequence')) {
+      const id = nested.attributes.id;
+      if (id && nested.children.length > 0 && !sequences.has(id)) {
+        sequences.set(id, nested);
+      }
+    }
+    const resolveSequence = clipitem => {
+      const nested = this.child(clipitem, 'sequence');
+      if (!nested) return null;
+      return sequences.get(nested.attributes.id) || nested;
+    };
+
+    // トラックのクリップを {clipitem, offset} で列挙（ネストしたシーケンスは中のクリップに展開）
+    // offset はクリップのシーケンス上の位置に加えるフレーム数
+    const nestedSequences = [{ sequence, offset: 0 }];
+    const expandTracks = (tracks, offset, firstTrackOnly) => {
+      const items = [];
+      for (const track of firstTrackOnly ? tracks.slice(0, 1) : tracks) {
+        for (const clipitem of this.children(track, 'clipitem')) {
+          const nested = resolveSequence(clipitem);
+          if (!nested) {
+            items.push({ clipitem, offset });
+            continue;
+          }
+          if (!isEnabled(clipitem)) continue;
+          const nestedOffset = offset + this.number(clipitem, 'start') - this.number(clipitem, 'in');
+          if (firstTrackOnly) nestedSequences.push({ sequence: nested, offset: nestedOffset });
+          const nestedTracks = this.children(this.child(this.child(nested, 'media'), 'video'), 'track');
+          items.push(...expandTracks(nestedTracks, nestedOffset, firstTrackOnly));
+        }
+      }
+      return items;
+    };
+
+    // 保持クリップ（V1）
+    const keepClips = [];
+    const clipMarkers = [];
+    let sourceFile = null;
+    let previousEnd = 0;
+    for (const { clipitem, offset } of expandTracks(videoTracks, 0, true)) {
+      if (!isEnabled(clipitem) || isGraphic(clipitem)) continue;
+
+      const clipRate = this.readRate(clipitem) || frameRate;
+      const speed = this.readSpeed(clipitem);
+      const inFrame = this.number(clipitem, 'in');
+      const outFrame = this.number(clipitem, 'out');
+      // トランジションに接するクリップは start/end が -1 になる
+      let startFrame = this.number(clipitem, 'start');
+      startFrame = startFrame < 0 ? previousEnd : startFrame + offset;
+      previousEnd = startFrame + (outFrame - inFrame);
+
+      const source = this.readSourceRange(clipitem, speed, inFrame, outFrame);
+      const start = clipRate.framesToSeconds(source.in);
+      const end = clipRate.framesToSeconds(source.out);
+      if (end <= start) continue;
+
+      keepClips.push({
+        start,
+        end,
+        duration: (end - start) / speed,
+        sequenceStart: frameRate.framesToSeconds(startFrame),
+        sourceIndex: sourceIndexOf(clipitem),
+        ...(speed !== 1 ? { speed } : {}),
+      });
+      sourceFile = sourceFile || resolveFile(clipitem);
+
+      for (const marker of this.children(clipitem, 'marker')) {
+        clipMarkers.push({
+          marker,
+          sourceTime: clipRate.framesToSeconds(source.in + (this.number(marker, 'in') - inFrame) * speed),
+          sourceIndex: keepClips[keepClips.length - 1].sourceIndex,
+        });
+      }
+    }
+
+    // 単一素材の場合は sourceIndex を付けない（自動カットの保持クリップと同じ形式）
+    const multiSource = sources.length > 1;
+    keepClips.sort((a, b) => a.sequenceStart - b.sequenceStart);
+    const editedClips = keepClips.map(({ sequenceStart, sourceIndex, ...clip }) =>
+      (multiSource ? { ...clip, sourceIndex } : clip)
+    );
+    const withSource = entry => (multiSource && entry ? { sourceIndex: entry.sourceIndex } : {});
+    const map = this.timelineMapper.buildMap(editedClips);
+
+    // テロップ（すべてのビデオトラックのGraphicAndType）
+    const captions = [];
+    for (const { clipitem, offset } of expandTracks(videoTracks, 0, false)) {
+      if (!isEnabled(clipitem) || !isGraphic(clipitem)) continue;
+
+      const start = frameRate.framesToSeconds(this.number(clipitem, 'start') + offset);
+      const end = frameRate.framesToSeconds(this.number(clipitem, 'end') + offset);
+      if (end <= start) continue;
+
+      // テキストとフォントは「ソーステキスト」のテキストデータから読み取る（Premiereで書き換えた場合に対応）
+      const effect = this.findAll(clipitem, 'effect').find(e => this.text(e, 'effectid') === 'GraphicAndType');
+      const sourceText = this.children(effect, 'parameter').find(p => this.text(p, 'parameterid') === '1');
+      const decoded = sourceText ? this.graphicTextEncoder.decode(this.text(sourceText, 'value')) : null;
+      const caption = {
+        text: decoded?.text || this.text(effect, 'name') || this.text(clipitem, 'name'),
+        start,
+        end,
+        duration: end - start,
+      };
+      if (decoded?.fontFamily || decoded?.fontSize) {
+        caption.style = { fontFamily: decoded.fontFamily, fontSize: decoded.fontSize };
+        if (decoded.color) caption.style.color = decoded.color;
+        if (decoded.strokeWidth > 0) {
+          Object.assign(caption.style, { strokeColor: decoded.strokeColor, strokeWidth: decoded.strokeWidth });
+        }
+      }
+      const source = this.timelineMapper.toSourceTime(start, map);
+      if (source) {
+        caption.clipIndex = source.entry.clipIndex;
+        caption.sourceStart = source.sourceTime;
+        caption.sourceEnd = Math.min(source.entry.sourceEnd, source.sourceTime + caption.duration);
+        Object.assign(caption, withSource(source.entry));
+      }
+      captions.push(caption);
+    }
+    captions.sort((a, b) => a.start - b.start);
+
+    // マーカー（シーケンスマーカーはシーケンスの時間、クリップマーカーは元動画の時間）
+    // ネストしたシーケンスのマーカーはマスター上の位置に移し、マスターと重複するものは除く
+    const markers = [];
+    const seen = new Set();
+    for (const { sequence: markerSequence, offset } of nestedSequences) {
+      for (const marker of this.children(markerSequence, 'marker')) {
+        const frame = this.number(marker, 'in') + offset;
+        const key = `${frame}:${this.text(marker, 'name')}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const start = frameRate.framesToSeconds(frame);
+        const source = this.timelineMapper.toSourceTime(start, map);
+        markers.push({
+          name: this.text(marker, 'name'),
+          comment: this.text(marker, 'comment'),
+          start,
+          sourceTime: source ? source.sourceTime : null,
+          clipIndex: source ? source.entry.clipIndex : null,
+          ...withSource(source?.entry),
+        });
+      }
+    }
+    for (const { marker, sourceTime, sourceIndex } of clipMarkers) {
+      const entry = map.find(e => e.sourceIndex === sourceIndex && sourceTime >= e.sourceStart && sourceTime <= e.sourceEnd);
+      markers.push({
+        name: this.text(marker, 'name'),
+        comment: this.text(marker, 'comment'),
+        start: this.timelineMapper.toSequenceTime(sourceTime, map, sourceIndex),
+        sourceTime,
+        clipIndex: entry?.clipIndex ?? null,
+        ...(multiSource ? { sourceIndex } : {}),
+      });
+    }
+    markers.sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+
+    return {
+      name: this.text(sequence, 'name'),
+      sourceVideo: this.resolveMediaPath(this.text(sourceFile, 'pathurl'), options.xmlDir),
+      sources,
+      frameRate,
+      keepClips: editedClips,
+      captions: captions.map((caption, index) => ({ id: index + 1, ...caption })),
+      markers,
+    };
+  }
+
+  /**
+   * <pathurl> をファイルパスに戻す（file://localhost/... と相対パスに対応）
+   */
+  resolveMediaPath(pathUrl, xmlDir = '.') {
+    if (!pathUrl) return null;
+
+    if (pathUrl.startsWith('file:')) {
+      const url = pathUrl.replace(/^file:\/\/localhost\//i, 'file:///');
+      try {
+        return fileURLToPath(url);
+      } catch {
+        return decodeURIComponent(url.replace(/^file:\/\//i, ''));
+      }
+    }
+
+    const segments = pathUrl.split('/').map(segment => decodeURIComponent(segment));
+    return path.resolve(xmlDir, ...segments);
+  }
+
+  /**
+   * <rate> を読み取ってFrameRateに変換
+   */
+  readRate(node) {
+    const rate = this.child(node, 'rate');
+    const timebase = Number(this.text(rate, 'timebase'));
+    if (!timebase) return null;
+
+    const ntsc = (this.text(rate, 'ntsc') || '').toLowerCase() === 'true';
+    const dropFrame = this.config.premiere.project?.dropFrame ?? true;
+    return new FrameRate(timebase, ntsc, dropFrame);
+  }
+
+  /**
+   * クリップの速度（Time Remap フィルターの speed、%を倍に変換）を読み取る
+   * 逆再生・可変速度は扱わず、速度を変えていないクリップは 1
+   */
+  readSpeed(clipitem) {
+    const effect = this.findAll(clipitem, 'effect').find(e => this.text(e, 'effectid') === 'timeremap');
+    const parameter = this.children(effect, 'parameter').find(p => this.text(p, 'parameterid') === 'speed');
+    const speed = Number(this.text(parameter, 'value')) / 100;
+    return speed > 0 ? speed : 1;
+  }
+
+  /**
+   * クリップの元動画上の範囲（フレーム）を求める
+   * 速度を変えたクリップは in/out が速度変更後のフレームのため、in/out に速度を掛けて元動画のフレームに戻す。
+   * 書き出し時の Time Remap の sourcein / sourceout パラメーター（丸める前の元動画のフレーム）があり、
+   * in/out と対応している（Premiereでトリムされていない）場合はそちらを使う
+   * @returns {Object} {in, out}
+   */
+  readSourceRange(clipitem, speed, inFrame, outFrame) {
+    const scaled = { in: inFrame * speed, out: outFrame * speed };
+    if (speed === 1) return scaled;
+
+    const effect = this.findAll(clipitem, 'effect').find(e => this.text(e, 'effectid') === 'timeremap');
+    const value = id => {
+      const parameter = this.children(effect, 'parameter').find(p => this.text(p, 'parameterid') === id);
+      const text = this.text(parameter, 'value');
+      return /^\d+$/.test(text) ? Number(text) : null;
+    };
+    const sourceIn = value('sourcein');
+    const sourceOut = value('sourceout');
+    if (sourceIn === null || sourceOut === null || sourceOut <= sourceIn) return scaled;
+
+    const matches = Math.round(sourceIn / speed) === inFrame &&
+      Math.round((sourceOut - sourceIn) / speed) === outFrame - inFrame;
+    return matches ? { in: sourceIn, out: sourceOut } : scaled;
+  }
+
+  /**
+   * XMLを要素ツリー {name, attributes, children, text} に変換
+   * xmemlの読み込みに必要な範囲（要素・属性・テキスト・CDATA・コメント）のみ扱う
+   */
+  parseXML(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+      const [, cdata, closeName, openName, attributeText, selfClosing, text] = match;
+      const current = stack[stack.length - 1];
+
+      if (cdata !== undefined) {
+        current.text += cdata;
+      } else if (closeName) {
+        if (current.name !== closeName) {
+          throw new Error(`XMLの構造が不正です: </${closeName}>（<${current.name}> が閉じられていません）`);
+        }
+        current.text = current.text.trim();
+        stack.pop();
+      } else if (openName) {
+        const element = { name: openName, attributes: this.parseAttributes(attributeText), children: [], text: '' };
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+      } else if (text !== undefined) {
+        current.text += this.decodeEntities(text);
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`XMLの構造が不正です: <${stack[stack.length - 1].name}> が閉じられていません`);
+    }
+    return root.children[0] || root;
+  }
+
+  parseAttributes(text = '') {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted] of text.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+      attributes[name] = this.decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (_, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity];
+    });
+  }
+
+  child(node, name) {
+    return node?.children.find(c => c.name === name) || null;
+  }
+
+  children(node, name) {
+    return node ? node.children.filter(c => c.name === name) : [];
+  }
+
+  find(node, name) {
+    return this.findAll(node, name)[0] || null;
+  }
+
+  findAll(node, name, result = []) {
+    for (const child of node?.children || []) {
+      if (child.name === name) result.push(child);
+      this.findAll(child, name, result);
+    }
+    return result;
+  }
+
+  text(node, name) {
+    return this.child(node, name)?.text ?? '';
+  }
+
+  number(node, name) {
+    return Number(this.text(node, name)) || 0;
+  }
+}
@@ -18,7 +18,7 @@ export class VideoRenderer {
   /**
    * プレビュー動画を生成
    * @param {string} videoPath - 元動画のパス
-   * @param {Array} keepClips - 保持するクリップ [{start, end, duration}]
+   * @param {Array} keepClips - 保持するクリップ [{start, end, duration, speed}]（speed があるクリップは早送り）
    * @param {Object} options - オプション
    * @returns {Promise<string>} 生成された動画のパス
    */
@@ -125,16 +125,27 @@ export class VideoRenderer {
 
   /**
    * 1つのセグメントをカット
+   * 早送りのセグメント（speed）は映像を setpts、音声を atempo で速め、出力の長さを 1/speed にする
    * @param {string} inputPath - 入力動画のパス
-   * @param {Object} segment - セグメント {start, end}
+   * @param {Object} segment - セグメント {start, end, speed}
    * @param {string} outputPath - 出力パス
    * @returns {Promise<void>}
    */
   cutSegment(inputPath, segment, outputPath) {
+    const speed = segment.speed || 1;
+
     return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
+      const command = ffmpeg(inputPath)
         .setStartTime(segment.start)
-        .setDuration(segment.duration || segment.end - segment.start)
+        .setDuration((segment.end - segment.start) / speed);
+
+      if (speed !== 1) {
+        command
+          .videoFilters(`setpts=(PTS-STARTPTS)/${speed}`)
+          .audioFilters(this.buildAtempoFilters(speed));
+      }
+
+      command
         .outputOptions([
           '-c:v', 'libx264',    // ビデオコーデック
           '-c:a', 'aac',        // オーディオコーデック
@@ -148,6 +159,21 @@ export class VideoRenderer {
     });
   }
 
+  /**
+   * 音声を speed 倍速にする atempo フィルターの列
+   * atempo は1段で 0.5〜2.0 倍までのため、2倍を超える速度は複数段に分ける
+   */
+  buildAtempoFilters(speed) {
+    const filters = [];
+    let remaining = speed;
+    while (remaining > 2) {
+      filters.push('atempo=2');
+      remaining /= 2;
+    }
+    filters.push(`atempo=${Number(remaining.toFixed(6))}`);
+    return filters;
+  }
+
   /**
    * 複数セグメントを結合
    * @param {Array<string>} segmentPaths - セグメントファイルパス配列
@@ -0,0 +1,173 @@
+/**
+ * 編集比較クラス
+ * 自動カットの保持クリップと、人が編集した後の保持クリップを元動画の時間で比較し、
+ * 復元されたカット（自動で削除したが人が戻した区間）と追加されたカット（人が新たに削除した区間）を求める。
+ * 閾値の調整に使うため、復元されたカットは元のカット候補（種類・信頼度）と対応付ける。
+ * 複数素材の場合はクリップ・カット候補の sourceIndex（省略時は0）ごとに比較する
+ */
+export class EditComparator {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * 自動カットと編集後の保持クリップを比較
+   * @param {Array} originalKeepClips - 自動カットの保持クリップ
+   * @param {Array} cutCandidates - 自動カットのカット候補
+   * @param {Array} editedKeepClips - 編集後の保持クリップ（元動画の時間）
+   * @param {number|Array} totalDuration - 元動画の長さ（秒、複数素材の場合は素材ごとの配列）
+   * @returns {Object} {restoredRanges, restoredCuts, addedCuts, byType, summary}（複数素材の場合、区間とカットは sourceIndex を持つ）
+   */
+  compare(originalKeepClips, cutCandidates, editedKeepClips, totalDuration) {
+    const roundTripConfig = this.config.premiere.roundTrip || {};
+    const minDifference = roundTripConfig.minDifference ?? 0.1;
+    const restoredRatio = roundTripConfig.restoredRatio ?? 0.5;
+    const isSignificant = range => range.end - range.start >= minDifference;
+
+    const sourceOf = item => item.sourceIndex ?? 0;
+    const sourceIndexes = [...new Set([...originalKeepClips, ...editedKeepClips].map(sourceOf))].sort((a, b) => a - b);
+    const multiSource = Array.isArray(totalDuration) || sourceIndexes.some(index => index !== 0);
+    const tag = (ranges, sourceIndex) => (multiSource ? ranges.map(range => ({ ...range, sourceIndex })) : ranges);
+
+    const originalKept = [];
+    const editedKept = [];
+    const restoredRanges = [];
+    const addedRanges = [];
+    for (const sourceIndex of sourceIndexes) {
+      const original = this.normalize(originalKeepClips.filter(clip => sourceOf(clip) === sourceIndex));
+      const edited = this.normalize(editedKeepClips.filter(clip => sourceOf(clip) === sourceIndex));
+      const duration = Array.isArray(totalDuration) ? totalDuration[sourceIndex] : totalDuration;
+      originalKept.push(...original);
+      editedKept.push(...edited);
+
+      // 自動で削除 → 編集後に保持
+      restoredRanges.push(...tag(this.intersect(this.complement(original, duration), edited).filter(isSignificant), sourceIndex));
+      // 自動で保持 → 編集後に削除
+      addedRanges.push(...tag(this.intersect(original, this.complement(edited, duration)).filter(isSignificant), sourceIndex));
+    }
+
+    // 早送りの候補は保持クリップとして残っているため、復元の対象にしない
+    const actualCuts = cutCandidates.filter(c => !c.isMarker && c.disposition !== 'speed');
+    const restoredCuts = [];
+    const byType = {};
+
+    for (const cut of actualCuts) {
+      const restoredDuration = this.overlap(cut, restoredRanges.filter(range => sourceOf(range) === sourceOf(cut)));
+      const ratio = cut.duration > 0 ? restoredDuration / cut.duration : 0;
+      const restored = ratio >= restoredRatio;
+
+      const typeStats = (byType[cut.type] ||= { total: 0, restored: 0, restoreRate: '0.00%' });
+      typeStats.total++;
+      if (restored) {
+        typeStats.restored++;
+        restoredCuts.push({ ...cut, restoredDuration, restoredRatio: ratio });
+      }
+    }
+    for (const typeStats of Object.values(byType)) {
+      typeStats.restoreRate = ((typeStats.restored / typeStats.total) * 100).toFixed(2) + '%';
+    }
+
+    const addedCuts = addedRanges.map(range => ({
+      start: range.start,
+      end: range.end,
+      duration: range.end - range.start,
+      type: 'manual',
+      reason: '手動カット',
+      confidence: 1.0,
+      ...(range.sourceIndex !== undefined ? { sourceIndex: range.sourceIndex } : {}),
+    }));
+
+    const sum = ranges => ranges.reduce((total, range) => total + (range.end - range.start), 0);
+
+    return {
+      restoredRanges,
+      restoredCuts,
+      addedCuts,
+      byType,
+      summary: {
+        restoredCount: restoredCuts.length,
+        restoredDuration: sum(restoredRanges).toFixed(2),
+        addedCount: addedCuts.length,
+        addedDuration: sum(addedRanges).toFixed(2),
+        originalKeepDuration: sum(originalKept).toFixed(2),
+        editedKeepDuration: sum(editedKept).toFixed(2),
+      },
+    };
+  }
+
+  /**
+   * 比較結果を編集後のカット候補に反映
+   * 復元されたカットを除き、追加されたカットを加える（マーカーはそのまま残す）
+   */
+  applyToCutCandidates(cutCandidates, comparison) {
+    const key = cut => `${cut.sourceIndex ?? 0}-${cut.start}-${cut.end}-${cut.type}`;
+    const restored = new Set(comparison.restoredCuts.map(key));
+    return [
+      ...cutCandidates.filter(cut => cut.isMarker || !restored.has(key(cut))),
+      ...comparison.addedCuts,
+    ].sort((a, b) => (a.sourceIndex ?? 0) - (b.sourceIndex ?? 0) || a.start - b.start);
+  }
+
+  /**
+   * 区間を開始順に並べ、重なり・隣接する区間を結合
+   */
+  normalize(ranges) {
+    const sorted = ranges
+      .filter(r => r.end > r.start)
+      .map(r => ({ start: r.start, end: r.end }))
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const range of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push(range);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * 0〜totalDuration のうち、区間に含まれない部分
+   */
+  complement(ranges, totalDuration) {
+    const end = Math.max(totalDuration || 0, ...ranges.map(r => r.end));
+    const result = [];
+    let position = 0;
+
+    for (const range of ranges) {
+      if (range.start > position) {
+        result.push({ start: position, end: range.start });
+      }
+      position = Math.max(position, range.end);
+    }
+    if (end > position) {
+      result.push({ start: position, end });
+    }
+    return result;
+  }
+
+  /**
+   * 2つの正規化済み区間リストの共通部分
+   */
+  intersect(a, b) {
+    const result = [];
+    for (const x of a) {
+      for (const y of b) {
+        const start = Math.max(x.start, y.start);
+        const end = Math.min(x.end, y.end);
+        if (end > start) result.push({ start, end });
+      }
+    }
+    return this.normalize(result);
+  }
+
+  /**
+   * 区間と区間リストの重なりの合計（秒）
+   */
+  overlap(range, ranges) {
+    return ranges.reduce((total, r) => total + Math.max(0, Math.min(range.end, r.end) - Math.max(range.start, r.start)), 0);
+  }
+}
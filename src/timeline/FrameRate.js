@@ -0,0 +1,170 @@
+// NTSCレートとして扱うタイムベース（timebase * 1000/1001）
+const NTSC_TIMEBASES = [24, 30, 48, 60, 120];
+// ドロップフレームタイムコードが定義されているタイムベース
+const DROP_FRAME_TIMEBASES = [30, 60];
+
+/**
+ * フレームレートクラス
+ * xmemlの timebase/ntsc の組、ドロップフレームタイムコード、
+ * 秒⇔フレームの変換を一か所で扱う
+ */
+export class FrameRate {
+  /**
+   * @param {number} timebase - 整数タイムベース（29.97なら30）
+   * @param {boolean} ntsc - NTSCレート（timebase * 1000/1001）かどうか
+   * @param {boolean} dropFrame - ドロップフレームタイムコードを使用するか
+   */
+  constructor(timebase, ntsc = false, dropFrame = false) {
+    this.timebase = timebase;
+    this.ntsc = ntsc;
+    this.dropFrame = dropFrame && ntsc && DROP_FRAME_TIMEBASES.includes(timebase);
+  }
+
+  /**
+   * 設定値やffprobeの値からFrameRateを生成
+   * 30, 29.97, '23.976', '30000/1001' などを受け付ける
+   * @param {number|string|FrameRate} value - フレームレート
+   * @param {Object} options - { dropFrame: NTSCレートでドロップフレームを使うか（デフォルト: true） }
+   */
+  static from(value, options = {}) {
+    if (value instanceof FrameRate) return value;
+
+    let fps = value;
+    if (typeof value === 'string') {
+      const [num, den] = value.split('/').map(Number);
+      fps = den ? num / den : num;
+    }
+
+    if (!Number.isFinite(fps) || fps <= 0) {
+      throw new Error(`不正なフレームレート: ${value}`);
+    }
+
+    const dropFrame = options.dropFrame ?? true;
+
+    for (const timebase of NTSC_TIMEBASES) {
+      if (Math.abs(fps - (timebase * 1000) / 1001) < 0.01) {
+        return new FrameRate(timebase, true, dropFrame);
+      }
+    }
+
+    return new FrameRate(Math.round(fps), false, false);
+  }
+
+  /**
+   * 実際のフレームレート（29.97なら30000/1001）
+   */
+  get fps() {
+    return this.ntsc ? (this.timebase * 1000) / 1001 : this.timebase;
+  }
+
+  /**
+   * 秒をフレーム数に変換（最も近いフレームに丸める）
+   */
+  secondsToFrames(seconds) {
+    return Math.round(seconds * this.fps);
+  }
+
+  /**
+   * フレーム数を秒に変換
+   */
+  framesToSeconds(frames) {
+    return frames / this.fps;
+  }
+
+  /**
+   * 秒をフレーム境界にスナップ
+   */
+  snapSeconds(seconds) {
+    return this.framesToSeconds(this.secondsToFrames(seconds));
+  }
+
+  /**
+   * フレーム数をタイムコードに変換
+   * ノンドロップ: HH:MM:SS:FF、ドロップフレーム: HH:MM:SS;FF
+   */
+  framesToTimecode(frames) {
+    const timebase = this.timebase;
+    let count = Math.max(0, Math.round(frames));
+
+    if (this.dropFrame) {
+      // 10分ごとを除く毎分の先頭でフレーム番号を飛ばす（30fpsなら2、60fpsなら4）
+      const dropFrames = Math.round(timebase / 15);
+      const framesPer10Minutes = timebase * 600 - dropFrames * 9;
+      const framesPerMinute = timebase * 60 - dropFrames;
+
+      const tenMinuteBlocks = Math.floor(count / framesPer10Minutes);
+      const remainder = count % framesPer10Minutes;
+
+      count += dropFrames * 9 * tenMinuteBlocks;
+      if (remainder > dropFrames) {
+        count += dropFrames * Math.floor((remainder - dropFrames) / framesPerMinute);
+      }
+    }
+
+    const hours = Math.floor(count / (timebase * 3600));
+    const minutes = Math.floor((count % (timebase * 3600)) / (timebase * 60));
+    const seconds = Math.floor((count % (timebase * 60)) / timebase);
+    const remainingFrames = count % timebase;
+    const separator = this.dropFrame ? ';' : ':';
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${separator}${String(remainingFrames).padStart(2, '0')}`;
+  }
+
+  /**
+   * タイムコードをフレーム数に変換（HH:MM:SS:FF / HH:MM:SS;FF）
+   */
+  timecodeToFrames(timecode) {
+    const match = String(timecode).trim().match(/^(\d{1,2})[:;.](\d{2})[:;.](\d{2})[:;.,](\d{2,3})$/);
+    if (!match) {
+      throw new Error(`不正なタイムコード: ${timecode}`);
+    }
+
+    const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+    let count = ((hours * 3600 + minutes * 60 + seconds) * this.timebase) + frames;
+
+    if (this.dropFrame) {
+      const dropFrames = Math.round(this.timebase / 15);
+      const totalMinutes = hours * 60 + minutes;
+      count -= dropFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+    }
+
+    return count;
+  }
+
+  /**
+   * 1フレームの長さを分数で取得（29.97なら 1001/30000）
+   * @returns {Object} {numerator, denominator}
+   */
+  get frameDuration() {
+    return this.ntsc
+      ? { numerator: 1001, denominator: this.timebase * 1000 }
+      : { numerator: 1, denominator: this.timebase };
+  }
+
+  /**
+   * フレーム数をFCPXML/OTIOで使う有理数の時間表記に変換（例: 3003/30000s）
+   */
+  framesToRationalTime(frames) {
+    if (frames === 0) return '0s';
+    const { numerator, denominator } = this.frameDuration;
+    return `${frames * numerator}/${denominator}s`;
+  }
+
+  /**
+   * xmemlの<displayformat>用の値
+   */
+  get displayFormat() {
+    return this.dropFrame ? 'DF' : 'NDF';
+  }
+
+  /**
+   * EDLの FCM 行の値
+   */
+  get fcm() {
+    return this.dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME';
+  }
+
+  toString() {
+    return this.ntsc ? this.fps.toFixed(3).replace(/0+$/, '') : String(this.timebase);
+  }
+}
@@ -0,0 +1,214 @@
+/**
+ * フレーム単位タイムラインクラス
+ * 秒単位の保持クリップ・テロップをシーケンスのタイムベースでフレームに量子化する。
+ * レコード側の位置は量子化済みクリップ長の整数加算で求めるため累積誤差が出ず、
+ * 隣接クリップが重なったり隙間ができたりしない。
+ * 早送りのクリップ（speed）はソース側（in/out）が元動画のフレーム、レコード側の長さが 1/speed になる
+ */
+export class FrameTimeline {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * 保持クリップをフレームに量子化してシーケンス上に詰めて配置
+   * @param {Array} keepClips - 保持クリップ [{start, end, duration, speed}]
+   * @param {FrameRate} frameRate - シーケンスのフレームレート
+   * @returns {Array} [{index, clip, in, out, start, end, duration, speed}]（speed 以外はフレーム数、duration はレコード側の長さ）
+   */
+  buildClips(keepClips, frameRate) {
+    const clips = [];
+    let recordFrame = 0;
+
+    keepClips.forEach((clip, index) => {
+      const inFrame = frameRate.secondsToFrames(clip.start);
+      const outFrame = frameRate.secondsToFrames(clip.end);
+      const speed = clip.speed || 1;
+      const duration = Math.round((outFrame - inFrame) / speed);
+
+      // 量子化で長さが0になったクリップは配置しない
+      if (duration <= 0) return;
+
+      clips.push({
+        index,
+        clip,
+        in: inFrame,
+        out: outFrame,
+        start: recordFrame,
+        end: recordFrame + duration,
+        duration,
+        speed,
+      });
+      recordFrame += duration;
+    });
+
+    return clips;
+  }
+
+  /**
+   * テロップを量子化済みクリップに合わせてフレーム配置
+   * TimelineMapperで載せ替え済みのテロップはclipIndex/sourceStartを持つため、
+   * 対応するクリップの量子化結果から位置を求めてクリップ境界とフレーム単位で一致させる
+   * @returns {Array} [{index, caption, start, end, duration}]（すべてフレーム数）
+   */
+  buildCaptions(captions, clips, frameRate) {
+    const clipByIndex = new Map(clips.map(c => [c.index, c]));
+    const sequenceEnd = clips.length > 0 ? clips[clips.length - 1].end : 0;
+    const placed = [];
+    let previousEnd = 0;
+
+    captions.forEach((caption, index) => {
+      let start;
+      let end;
+
+      const clip = clipByIndex.get(caption.clipIndex);
+      if (clip && caption.sourceStart !== undefined && caption.sourceEnd !== undefined) {
+        const offsetStart = Math.round((frameRate.secondsToFrames(caption.sourceStart) - clip.in) / clip.speed);
+        const offsetEnd = Math.round((frameRate.secondsToFrames(caption.sourceEnd) - clip.in) / clip.speed);
+        start = clip.start + Math.max(0, offsetStart);
+        end = clip.start + Math.min(clip.duration, offsetEnd);
+      } else {
+        start = frameRate.secondsToFrames(caption.start);
+        end = frameRate.secondsToFrames(caption.end);
+      }
+
+      // シーケンス範囲内に収め、前のテロップとの重なりを除去
+      start = Math.max(start, previousEnd, 0);
+      end = Math.min(end, sequenceEnd);
+      if (end <= start) return;
+
+      placed.push({
+        index,
+        caption,
+        start,
+        end,
+        duration: end - start,
+      });
+      previousEnd = end;
+    });
+
+    return placed;
+  }
+
+  /**
+   * マーカーを量子化済みクリップに合わせてフレーム配置
+   * @param {Array} markers - TimelineMapper.buildMarkers() の結果
+   * @returns {Array} [{marker, start, sourceFrame, clipIndex}]（startはシーケンス上、sourceFrameは元動画上のフレーム数）
+   */
+  buildMarkers(markers, clips, frameRate) {
+    const clipByIndex = new Map(clips.map(c => [c.index, c]));
+    const placed = [];
+
+    for (const marker of markers) {
+      const clip = clipByIndex.get(marker.clipIndex);
+      if (!clip) continue;
+
+      const sourceFrame = frameRate.secondsToFrames(marker.sourceTime);
+      const offset = Math.min(clip.duration, Math.max(0, Math.round((sourceFrame - clip.in) / clip.speed)));
+
+      placed.push({
+        marker,
+        start: clip.start + offset,
+        sourceFrame: Math.min(clip.out, clip.in + Math.round(offset * clip.speed)),
+        clipIndex: marker.clipIndex,
+      });
+    }
+
+    return placed;
+  }
+
+  /**
+   * 削除された区間（保持クリップの間）をレビュー用にフレーム配置
+   * 各区間は直後の保持クリップの先頭（カット位置）に置き、重なる場合は別レーンに積む。
+   * 複数素材の場合は素材ごとに区間を求め、素材の末尾の区間は次の素材の先頭に置く
+   * @param {Array} cutCandidates - カット候補（区間の種類の判定に使用）
+   * @param {Array} clips - buildClips() の結果
+   * @param {number|Array} sourceDuration - 元動画の長さ（秒、複数素材の場合は素材ごとの配列）
+   * @returns {Array} [{in, out, start, end, duration, lane, type, reasons, sourceIndex}]（すべてフレーム数）
+   */
+  buildRemovedClips(cutCandidates, clips, frameRate, sourceDuration) {
+    const actualCuts = cutCandidates.filter(c => !c.isMarker && c.disposition !== 'speed');
+    const sequenceEnd = clips.length > 0 ? clips[clips.length - 1].end : 0;
+    const sourceEndFrame = sourceIndex => {
+      const duration = Array.isArray(sourceDuration) ? sourceDuration[sourceIndex] : sourceDuration;
+      const cutEnds = actualCuts.filter(c => (c.sourceIndex ?? 0) === sourceIndex).map(c => c.end);
+      return frameRate.secondsToFrames(Math.max(duration || 0, ...cutEnds));
+    };
+
+    // 保持クリップの間の区間を列挙（素材が切り替わる位置で素材の末尾までの区間を閉じる）
+    const gaps = [];
+    let previousOut = 0;
+    let currentSource = clips.length > 0 ? clips[0].clip.sourceIndex ?? 0 : 0;
+    const closeSource = start => {
+      const endFrame = sourceEndFrame(currentSource);
+      if (endFrame > previousOut) {
+        gaps.push({ in: previousOut, out: endFrame, start, sourceIndex: currentSource });
+      }
+    };
+
+    for (const clip of clips) {
+      const sourceIndex = clip.clip.sourceIndex ?? 0;
+      if (sourceIndex !== currentSource) {
+        closeSource(clip.start);
+        currentSource = sourceIndex;
+        previousOut = 0;
+      }
+      if (clip.in > previousOut) {
+        gaps.push({ in: previousOut, out: clip.in, start: clip.start, sourceIndex });
+      }
+      previousOut = Math.max(previousOut, clip.out);
+    }
+    closeSource(sequenceEnd);
+
+    const laneEnds = [];
+    return gaps.map(gap => {
+      // 区間と重なるカットのうち、最も長く重なる種類を区間の種類とする
+      const overlapping = actualCuts
+        .filter(cut => (cut.sourceIndex ?? 0) === gap.sourceIndex)
+        .map(cut => ({
+          cut,
+          overlap: Math.min(gap.out, frameRate.secondsToFrames(cut.end)) -
+            Math.max(gap.in, frameRate.secondsToFrames(cut.start)),
+        }))
+        .filter(o => o.overlap > 0)
+        .sort((a, b) => b.overlap - a.overlap);
+
+      const duration = gap.out - gap.in;
+      let lane = laneEnds.findIndex(end => end <= gap.start);
+      if (lane === -1) {
+        lane = laneEnds.length;
+      }
+      laneEnds[lane] = gap.start + duration;
+
+      return {
+        in: gap.in,
+        out: gap.out,
+        start: gap.start,
+        end: gap.start + duration,
+        duration,
+        lane,
+        // カットに該当しない区間は最小クリップ長未満で保持されなかった部分
+        type: overlapping.length > 0 ? overlapping[0].cut.type : 'short_clip',
+        reasons: overlapping.length > 0 ? overlapping.map(o => o.cut.reason) : ['最小クリップ長未満'],
+        sourceIndex: gap.sourceIndex,
+      };
+    });
+  }
+
+  /**
+   * 保持クリップとテロップ（とマーカー）からフレーム単位のタイムラインを構築
+   * @returns {Object} {frameRate, duration, clips, captions, markers}
+   */
+  build(keepClips, captions, frameRate, markers = []) {
+    const clips = this.buildClips(keepClips, frameRate);
+    const placedCaptions = this.buildCaptions(captions, clips, frameRate);
+
+    return {
+      frameRate,
+      duration: clips.length > 0 ? clips[clips.length - 1].end : 0,
+      clips,
+      captions: placedCaptions,
+      markers: this.buildMarkers(markers, clips, frameRate),
+    };
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * タイムラインマッピングクラス
+ * 保持クリップ（keepClips）から「元動画の時間 → 編集後シーケンスの時間」の対応表を作り、
+ * テロップなど元動画基準の時間情報をカット後のタイムラインに載せ替える。
+ * 複数の素材を1つのシーケンスにする場合、クリップ・テロップ・カット候補の sourceIndex（省略時は0）で素材を区別する。
+ * 早送りのクリップ（speed）はシーケンス上で元の長さの 1/speed になる
+ */
+export class TimelineMapper {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * 保持クリップからマッピング表を生成
+   * 配列の順にシーケンスに詰める（FrameTimeline.buildClips と同じ配置。編集で並べ替えたクリップもその順に置く）
+   * @param {Array} keepClips - 保持クリップ [{start, end, duration, sourceIndex, speed}]
+   * @returns {Array} [{sourceStart, sourceEnd, sequenceStart, sequenceEnd, clipIndex, sourceIndex, speed}]
+   */
+  buildMap(keepClips) {
+    const map = [];
+    let sequenceTime = 0;
+
+    keepClips.forEach((clip, index) => {
+      const speed = clip.speed || 1;
+      const duration = (clip.end - clip.start) / speed;
+      if (duration <= 0) return;
+
+      map.push({
+        sourceStart: clip.start,
+        sourceEnd: clip.end,
+        sequenceStart: sequenceTime,
+        sequenceEnd: sequenceTime + duration,
+        clipIndex: index,
+        sourceIndex: clip.sourceIndex ?? 0,
+        speed,
+      });
+      sequenceTime += duration;
+    });
+
+    return map;
+  }
+
+  /**
+   * 元動画の時刻をシーケンス上の時刻に変換
+   * @param {number} sourceIndex - 素材の番号（複数素材の場合）
+   * @returns {number|null} カットされた位置の場合はnull
+   */
+  toSequenceTime(sourceTime, map, sourceIndex = 0) {
+    for (const entry of map) {
+      if (entry.sourceIndex !== sourceIndex) continue;
+      if (sourceTime >= entry.sourceStart && sourceTime <= entry.sourceEnd) {
+        return entry.sequenceStart + (sourceTime - entry.sourceStart) / entry.speed;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * シーケンス上の時刻を元動画の時刻に変換（toSequenceTimeの逆）
+   * @returns {Object|null} {sourceTime, entry}（シーケンス範囲外の場合はnull）
+   */
+  toSourceTime(sequenceTime, map) {
+    const entry = map.find(e => sequenceTime >= e.sequenceStart && sequenceTime < e.sequenceEnd);
+    if (!entry) return null;
+    return {
+      sourceTime: entry.sourceStart + (sequenceTime - entry.sequenceStart) * entry.speed,
+      entry,
+    };
+  }
+
+  /**
+   * 元動画の区間をシーケンス上の区間に変換
+   * カットを跨ぐ区間は保持クリップごとに分割し、カット範囲内の部分は除外する
+   * @param {number} sourceIndex - 素材の番号（複数素材の場合）
+   * @returns {Array} [{start, end, sourceStart, sourceEnd, clipIndex}]
+   */
+  mapRange(start, end, map, sourceIndex = 0) {
+    const ranges = [];
+
+    for (const entry of map) {
+      if (entry.sourceIndex !== sourceIndex) continue;
+      const sourceStart = Math.max(start, entry.sourceStart);
+      const sourceEnd = Math.min(end, entry.sourceEnd);
+      if (sourceEnd <= sourceStart) continue;
+
+      ranges.push({
+        start: entry.sequenceStart + (sourceStart - entry.sourceStart) / entry.speed,
+        end: entry.sequenceStart + (sourceEnd - entry.sourceStart) / entry.speed,
+        sourceStart,
+        sourceEnd,
+        clipIndex: entry.clipIndex,
+      });
+    }
+
+    return ranges;
+  }
+
+  /**
+   * テロップを編集後のタイムラインに載せ替え
+   * - カットを跨ぐテロップは保持クリップごとに分割（同じテキストを保持）
+   * - カット境界にかかるテロップは保持部分のみにトリム
+   * - 完全にカット範囲内のテロップは削除
+   * @param {Array} captions - 元動画基準のテロップ配列
+   * @param {Array} keepClips - 保持クリップ
+   * @returns {Array} シーケンス基準のテロップ配列（sourceStart/sourceEndに元の時刻を保持）
+   */
+  mapCaptions(captions, keepClips) {
+    const map = this.buildMap(keepClips);
+    const minFragment = this.config.caption?.minFragmentDuration ?? 0.3;
+    const mapped = [];
+
+    for (const caption of captions) {
+      const ranges = this.mapRange(caption.start, caption.end, map, caption.sourceIndex ?? 0);
+
+      // 分割・トリムで生じた極端に短い断片は読めないため除外（トリムされていない元々短いテロップは残す）
+      const fragments = ranges.filter(range =>
+        range.end - range.start >= minFragment ||
+        (range.sourceStart <= caption.start && range.sourceEnd >= caption.end)
+      );
+
+      for (const range of fragments) {
+        mapped.push({
+          ...caption,
+          start: range.start,
+          end: range.end,
+          duration: range.end - range.start,
+          sourceStart: range.sourceStart,
+          sourceEnd: range.sourceEnd,
+          clipIndex: range.clipIndex,
+        });
+      }
+    }
+
+    mapped.sort((a, b) => a.start - b.start);
+    return mapped.map((caption, index) => ({ ...caption, id: index + 1 }));
+  }
+
+  /**
+   * シーケンスマーカーを生成
+   * - scene_change: マーカー扱いのシーン変化（カット範囲内のものは除外）
+   * - cut: 保持クリップの間で削除された区間（マージ済みのカット理由をまとめて記録）
+   * - speed_ramp: 早送りにした保持クリップの先頭（理由と速度）
+   * - chapter: 明示的に指定されたチャプター位置
+   * @param {Array} cutCandidates - カット候補（AutoCutDetectorの結果）
+   * @param {Array} keepClips - 保持クリップ
+   * @param {Array} chapters - チャプター [{start, name}]（元動画の時間）
+   * @returns {Array} [{type, name, comment, start, sourceTime, clipIndex}]（startはシーケンス上の秒）
+   */
+  buildMarkers(cutCandidates, keepClips, chapters = []) {
+    const map = this.buildMap(keepClips);
+    const markerConfig = this.config.premiere?.markers || {};
+    const markers = [];
+    if (map.length === 0) return markers;
+
+    // 元動画の時刻をマーカー位置に変換（カット範囲内ならnull）
+    const place = (sourceTime, sourceIndex = 0) => {
+      const entry = map.find(e => e.sourceIndex === sourceIndex && sourceTime >= e.sourceStart && sourceTime <= e.sourceEnd);
+      if (!entry) return null;
+      return {
+        start: entry.sequenceStart + (sourceTime - entry.sourceStart) / entry.speed,
+        sourceTime,
+        clipIndex: entry.clipIndex,
+      };
+    };
+
+    if (markerConfig.sceneChanges !== false) {
+      for (const candidate of cutCandidates.filter(c => c.isMarker)) {
+        const position = place(candidate.start, candidate.sourceIndex ?? 0);
+        if (!position) continue;
+        markers.push({
+          type: candidate.type,
+          name: candidate.reason,
+          comment: `${candidate.reason} (元動画 ${candidate.start.toFixed(2)}秒)`,
+          ...position,
+        });
+      }
+    }
+
+    if (markerConfig.cutReasons !== false) {
+      const actualCuts = cutCandidates.filter(c => !c.isMarker && c.disposition !== 'speed');
+      map.forEach((entry, i) => {
+        // 素材の最初のクリップは素材の先頭からの区間
+        const previous = map[i - 1];
+        const gapStart = previous && previous.sourceIndex === entry.sourceIndex ? previous.sourceEnd : 0;
+        const cuts = actualCuts.filter(cut =>
+          (cut.sourceIndex ?? 0) === entry.sourceIndex && cut.end > gapStart && cut.start < entry.sourceStart
+        );
+        if (cuts.length === 0) return;
+
+        const removed = entry.sourceStart - gapStart;
+        markers.push({
+          type: 'cut',
+          name: `カット: ${cuts.map(c => c.reason).join(' / ')}`,
+          comment: `${gapStart.toFixed(2)}秒〜${entry.sourceStart.toFixed(2)}秒を削除（${removed.toFixed(2)}秒）`,
+          start: entry.sequenceStart,
+          sourceTime: entry.sourceStart,
+          clipIndex: entry.clipIndex,
+        });
+      });
+    }
+
+    if (markerConfig.speedRamps !== false) {
+      for (const entry of map.filter(e => e.speed !== 1)) {
+        const clip = keepClips[entry.clipIndex];
+        const sourceDuration = entry.sourceEnd - entry.sourceStart;
+        markers.push({
+          type: 'speed_ramp',
+          name: `早送り ×${entry.speed}${clip.reason ? `: ${clip.reason}` : ''}`,
+          comment: `${entry.sourceStart.toFixed(2)}秒〜${entry.sourceEnd.toFixed(2)}秒を${entry.speed}倍速（${sourceDuration.toFixed(2)}秒 → ${(sourceDuration / entry.speed).toFixed(2)}秒）`,
+          start: entry.sequenceStart,
+          sourceTime: entry.sourceStart,
+          clipIndex: entry.clipIndex,
+        });
+      }
+    }
+
+    if (markerConfig.chapters !== false) {
+      for (const chapter of chapters) {
+        const position = place(chapter.start, chapter.sourceIndex ?? 0);
+        if (!position) continue;
+        markers.push({
+          type: 'chapter',
+          name: chapter.name,
+          comment: chapter.comment || `チャプター: ${chapter.name}`,
+          ...position,
+        });
+      }
+    }
+
+    return markers.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * 編集後のシーケンス総尺を取得
+   */
+  getSequenceDuration(keepClips) {
+    const map = this.buildMap(keepClips);
+    return map.length > 0 ? map[map.length - 1].sequenceEnd : 0;
+  }
+}
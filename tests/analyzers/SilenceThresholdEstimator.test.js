@@ -0,0 +1,107 @@
+import config from '../../config/default.config.js';
+import { SilenceThresholdEstimator } from '../../src/analyzers/SilenceThresholdEstimator.js';
+
+// level の値を count ブロック並べる
+const repeat = (level, count) => new Array(count).fill(level);
+
+describe('SilenceThresholdEstimator', () => {
+  const estimator = new SilenceThresholdEstimator(config);
+  const interval = 0.1;
+
+  describe('大津の方法による分割', () => {
+    test('ノイズフロアと話し声の山の間で分ける', () => {
+      const histogram = estimator.buildHistogram([...repeat(-60, 40), ...repeat(-58, 10), ...repeat(-20, 60)]);
+      const split = estimator.otsuSplit(histogram, 110);
+
+      // ビンは -100dB から1dB刻み
+      expect(split - 100).toBeGreaterThan(-58);
+      expect(split - 100).toBeLessThanOrEqual(-20);
+      expect(estimator.modeLevel(histogram, 0, split)).toBe(-60);
+      expect(estimator.modeLevel(histogram, split, histogram.length)).toBe(-20);
+    });
+
+    test('1つのレベルしかない場合は分割しない', () => {
+      const histogram = estimator.buildHistogram(repeat(-30, 100));
+      expect(estimator.otsuSplit(histogram, 100)).toBeNull();
+    });
+
+    test('デジタル無音（-Infinity）はヒストグラムに含めない', () => {
+      const histogram = estimator.buildHistogram([-Infinity, -Infinity, -150, 10]);
+      expect(histogram.reduce((sum, count) => sum + count, 0)).toBe(2);
+      expect(histogram[0]).toBe(1);
+      expect(histogram[histogram.length - 1]).toBe(1);
+    });
+  });
+
+  describe('estimate', () => {
+    test('ノイズフロアと話し声のレベルの間（position）に閾値を置く', () => {
+      const levels = [...repeat(-60, 40), ...repeat(-Infinity, 20), ...repeat(-20, 60)];
+      expect(estimator.estimate(levels, interval)).toEqual({
+        scope: 'file',
+        threshold: -48,
+        noiseFloor: -60,
+        speechLevel: -20,
+        fallback: false,
+        windows: [],
+      });
+    });
+
+    test('推定できない場合は fallback の閾値を使う', () => {
+      const fallback = config.autoCut.adaptiveThreshold.fallback;
+      // サンプルが少ない
+      expect(estimator.estimate([...repeat(-60, 20), ...repeat(-20, 20)], interval)).toMatchObject({ threshold: fallback, fallback: true });
+      // 山が1つ
+      expect(estimator.estimate(repeat(-30, 100), interval)).toMatchObject({ threshold: fallback, fallback: true });
+      // ノイズフロアと話し声のレベルが近すぎる（minSeparation 未満）
+      expect(estimator.estimate([...repeat(-30, 50), ...repeat(-25, 50)], interval)).toMatchObject({ threshold: fallback, fallback: true, noiseFloor: null });
+    });
+
+    test('閾値を minThreshold / maxThreshold の範囲に収める', () => {
+      const levels = [...repeat(-100, 50), ...repeat(-90, 50)];
+      expect(estimator.estimate(levels, interval).threshold).toBe(config.autoCut.adaptiveThreshold.minThreshold);
+    });
+
+    test("scope が 'window' の場合は区間ごとに推定し、推定できない区間は全体の閾値を使う", () => {
+      const windowEstimator = new SilenceThresholdEstimator({
+        ...config,
+        autoCut: { ...config.autoCut, adaptiveThreshold: { ...config.autoCut.adaptiveThreshold, scope: 'window', windowDuration: 10 } },
+      });
+      const quietRoom = [...repeat(-60, 40), ...repeat(-20, 60)];
+      const noisyRoom = [...repeat(-40, 40), ...repeat(-10, 60)];
+      const levels = [...quietRoom, ...quietRoom, ...noisyRoom, ...noisyRoom, ...repeat(-10, 100)];
+      const result = windowEstimator.estimate(levels, interval);
+
+      expect(result.scope).toBe('window');
+      expect(result.windows[0]).toMatchObject({ start: 0, end: 10, threshold: -48, inherited: false });
+      expect(result.windows[4]).toMatchObject({ start: 20, end: 30, threshold: -31, inherited: false });
+      expect(result.windows[result.windows.length - 1]).toMatchObject({ start: 40, end: 50, threshold: result.threshold, inherited: true });
+    });
+  });
+
+  describe('detectSilences', () => {
+    const estimate = { threshold: -48, windows: [] };
+
+    test('閾値未満が minDuration 以上続く区間を無音とする', () => {
+      const levels = [...repeat(-60, 10), ...repeat(-20, 10), ...repeat(-60, 3), ...repeat(-20, 5), ...repeat(-Infinity, 10)];
+      const silences = estimator.detectSilences(levels, interval, estimate, 0.5, 3.75);
+
+      expect(silences).toHaveLength(2);
+      expect(silences[0]).toEqual({ start: 0, end: 1, duration: 1 });
+      // 末尾の無音は素材の長さで打ち切る
+      expect(silences[1].start).toBeCloseTo(2.8);
+      expect(silences[1].end).toBe(3.75);
+    });
+
+    test('区間ごとの閾値は中心が最も近い区間のものを使う', () => {
+      const windowEstimate = {
+        threshold: -48,
+        windows: [{ start: 0, end: 1, threshold: -48 }, { start: 1, end: 2, threshold: -30 }],
+      };
+      const silences = estimator.detectSilences(repeat(-40, 20), interval, windowEstimate, 0.5);
+
+      expect(silences).toHaveLength(1);
+      expect(silences[0].start).toBeCloseTo(1);
+      expect(silences[0].end).toBeCloseTo(2);
+    });
+  });
+});
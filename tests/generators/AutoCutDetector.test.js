@@ -0,0 +1,48 @@
+import config from '../../config/default.config.js';
+import { AutoCutDetector } from '../../src/generators/AutoCutDetector.js';
+
+describe('AutoCutDetector', () => {
+  const detector = new AutoCutDetector(config);
+
+  describe('generateStatistics', () => {
+    test('間の短縮は削除したカットと分けて cutTypes.compressed_pause に集計する', () => {
+      const candidates = detector.applyPauseCompression([
+        { start: 2, end: 4, duration: 2, type: 'silence', reason: '無音', confidence: 0.9 },
+        { start: 6, end: 7.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.9 },
+        { start: 9, end: 9.5, duration: 0.5, type: 'filler', reason: 'フィラー', confidence: 0.8 },
+      ], 0.5);
+      const keepClips = [
+        { start: 0, end: 2.25, duration: 2.25 },
+        { start: 3.75, end: 6.25, duration: 2.5 },
+        { start: 7.25, end: 9, duration: 1.75 },
+        { start: 9.5, end: 12, duration: 2.5 },
+      ];
+      const stats = detector.generateStatistics(candidates, keepClips, 12);
+
+      expect(stats.cutTypes).toEqual({
+        silence: 0,
+        filler: 1,
+        black_frame: 0,
+        frozen_frame: 0,
+        compressed_pause: 2,
+      });
+      expect(stats.totalCuts).toBe(1);
+      expect(stats.pauseCompression).toMatchObject({ count: 2, compressedDuration: '2.50' });
+    });
+
+    test('重なりで削った間の短縮は元の間の長さも合わせる', () => {
+      const candidates = detector.trimOverlappingCandidates([
+        { start: 1, end: 3, duration: 2, type: 'filler', reason: 'フィラー', confidence: 0.8 },
+        ...detector.applyPauseCompression([{ start: 2, end: 4, duration: 2, type: 'silence', reason: '無音', confidence: 0.9 }], 0.5),
+      ]);
+      const stats = detector.generateStatistics(candidates, [{ start: 0, end: 1, duration: 1 }, { start: 3.75, end: 10, duration: 6.25 }], 10);
+
+      expect(stats.pauseCompression).toMatchObject({
+        count: 1,
+        originalDuration: '1.25',
+        keptDuration: '0.50',
+        compressedDuration: '0.75',
+      });
+    });
+  });
+});
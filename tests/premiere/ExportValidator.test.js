@@ -0,0 +1,137 @@
+import config from '../../config/default.config.js';
+import { ExportValidator } from '../../src/premiere/ExportValidator.js';
+import { PremiereIntegration } from '../../src/premiere/PremiereIntegration.js';
+
+describe('ExportValidator', () => {
+  const premiere = new PremiereIntegration(config);
+  const validator = new ExportValidator(config);
+  const settings = premiere.resolveSequenceSettings(null);
+
+  const keepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+    { start: 10, end: 22, duration: 3, speed: 4 },
+  ];
+  const cutCandidates = [
+    { start: 2, end: 3.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.9 },
+  ];
+  const captions = premiere.timelineMapper.mapCaptions([
+    { text: 'こんにちは', start: 0.5, end: 1.8 },
+    { text: '今日のテーマは', start: 4, end: 6 },
+  ], keepClips);
+
+  describe('出力したファイルは検証を通る', () => {
+    test('xmeml', () => {
+      const xml = premiere.generateProjectXML('/media/video.mp4', keepClips, captions, settings, {
+        markers: premiere.timelineMapper.buildMarkers(cutCandidates, keepClips),
+        cutCandidates,
+      });
+      expect(validator.validateXMEML(xml)).toEqual([]);
+    });
+
+    test('EDL', () => {
+      const edl = premiere.generateEDL(keepClips, 'video', settings, { clipName: 'video.mp4', cutCandidates });
+      expect(validator.validateEDL(edl, settings.frameRate)).toEqual([]);
+    });
+
+    test('SRT', () => {
+      expect(validator.validateSRT(premiere.generateSRT(keepClips, captions, settings))).toEqual([]);
+    });
+  });
+
+  describe('SRT', () => {
+    test('カット境界をまたぐ・重なる・空のテロップがあっても検証を通る', () => {
+      const clips = [
+        { start: 0, end: 2, duration: 2 },
+        { start: 3.5, end: 10, duration: 6.5 },
+      ];
+      const mapped = premiere.timelineMapper.mapCaptions([
+        { text: '境界の直前', start: 1.99, end: 3.0 },
+        { text: '一つ目', start: 4, end: 6 },
+        { text: '重なる', start: 5.5, end: 7 },
+        { text: '', start: 7, end: 8 },
+        { text: '  \n ', start: 8, end: 9 },
+      ], clips);
+      const srt = premiere.generateSRT(clips, mapped, settings);
+
+      expect(validator.validateSRT(srt)).toEqual([]);
+      expect(srt).not.toContain('00:00:02,000 --> 00:00:02,000');
+      expect(srt.match(/^\d+$/gm)).toEqual(['1', '2']);
+      expect(srt).toContain('00:00:02,500 --> 00:00:04,500\n一つ目');
+      expect(srt).toContain('00:00:04,500 --> 00:00:05,500\n重なる');
+    });
+
+    test('テキスト中の空行を詰める', () => {
+      const srt = premiere.generateSRT([{ start: 0, end: 5, duration: 5 }], [{ text: '1行目\n\n2行目', start: 1, end: 2 }], settings);
+      expect(srt).toBe('1\n00:00:01,000 --> 00:00:02,000\n1行目\n2行目\n\n');
+    });
+
+    test('構造の問題を検出する', () => {
+      expect(validator.validateSRT('1\n00:00:01,000 --> 00:00:02,000\nA\n\n3\n00:00:03,000 --> 00:00:04,000\nB\n'))
+        .toEqual(['字幕2: 連番が 2 ではありません（3）']);
+      expect(validator.validateSRT('1\n00:00:01.000 --> 00:00:02,000\nA\n'))
+        .toEqual(['字幕1: タイミング行が不正です（00:00:01.000 --> 00:00:02,000）']);
+      expect(validator.validateSRT('1\n00:00:01,000 --> 00:00:02,000\n'))
+        .toEqual(['字幕1: テキストがありません']);
+      expect(validator.validateSRT('1\n00:00:02,000 --> 00:00:02,000\nA\n'))
+        .toEqual(['字幕1: 終了時刻が開始時刻より前か、同じです']);
+      expect(validator.validateSRT('1\n00:00:01,000 --> 00:00:03,000\nA\n\n2\n00:00:02,000 --> 00:00:04,000\nB\n'))
+        .toEqual(['字幕2: 前の字幕と重なっています']);
+    });
+  });
+
+  describe('WebVTT', () => {
+    test('正しいファイル', () => {
+      expect(validator.validateVTT('WEBVTT\n\nNOTE メモ\n\n00:01.000 --> 00:02.000 align:center\nA\n\ncue-2\n00:00:02.000 --> 00:00:03.000\nB\n')).toEqual([]);
+    });
+
+    test('構造の問題を検出する', () => {
+      expect(validator.validateVTT('00:01.000 --> 00:02.000\nA\n')).toEqual(['先頭が WEBVTT ではありません']);
+      expect(validator.validateVTT('WEBVTT\n\n00:01.000 --> 00:02.000\n\n00:01:70.000 --> 00:01:71.000\nB\n')).toEqual([
+        '字幕1: テキストがありません',
+        '字幕2: 時刻の値が範囲外です（00:01:70.000 --> 00:01:71.000）',
+      ]);
+    });
+  });
+
+  describe('xmeml', () => {
+    test('構造の問題を検出する', () => {
+      expect(validator.validateXMEML('<fcpxml version="1.9"></fcpxml>')).toEqual(['ルート要素が <xmeml> ではありません（<fcpxml>）']);
+      expect(validator.validateXMEML('<xmeml><sequence></xmeml>')).toHaveLength(1);
+
+      const xml = premiere.generateProjectXML('/media/video.mp4', keepClips, [], settings, {})
+        .replace(/<out>(\d+)<\/out>/, '<out>NaN</out>');
+      expect(validator.validateXMEML(xml)).toEqual(expect.arrayContaining([
+        '<out> の値が整数ではありません（NaN、1箇所）',
+      ]));
+    });
+  });
+
+  describe('EDL', () => {
+    test('構造の問題を検出する', () => {
+      const edl = [
+        'TITLE: test',
+        'FCM: NON-DROP FRAME',
+        '',
+        '001  AX       V     C        00:00:00:00 00:00:02:00 00:00:00:00 00:00:02:00',
+        '003  AX       V     C        00:00:03:00 00:00:04:00 00:00:01:00 00:00:02:00',
+        '004  AX       V     C        00:00:04:00 00:00:05:40 00:00:02:00 00:00:03:10',
+      ].join('\n');
+
+      expect(validator.validateEDL(edl, settings.frameRate)).toEqual([
+        '5行目: イベント番号が連続していません（1 の次が 3）',
+        '5行目: V トラックの前のイベントと重なっているか、順序が逆です',
+        '6行目: タイムコードの値が範囲外です（00:00:05:40）',
+      ]);
+    });
+  });
+
+  test('assertValid は問題の一覧を含むエラーを投げる', () => {
+    const outputs = [
+      { path: '/out/video.srt', format: 'srt', content: '1\n00:00:02,000 --> 00:00:02,000\nA\n' },
+      { path: '/out/video.csv', format: 'csv', content: 'not validated' },
+    ];
+    expect(() => validator.assertValid(outputs, settings)).toThrow('video.srt: 字幕1: 終了時刻が開始時刻より前か、同じです');
+    expect(() => validator.assertValid(outputs.slice(1), settings)).not.toThrow();
+  });
+});
@@ -0,0 +1,38 @@
+import config from '../../config/default.config.js';
+import { ExtendScriptExporter } from '../../src/premiere/ExtendScriptExporter.js';
+import { PremiereIntegration } from '../../src/premiere/PremiereIntegration.js';
+import { TimelineMapper } from '../../src/timeline/TimelineMapper.js';
+
+describe('ExtendScriptExporter', () => {
+  const exporter = new ExtendScriptExporter(config);
+  const mapper = new TimelineMapper(config);
+  const settings = new PremiereIntegration(config).resolveSequenceSettings(null);
+
+  const keepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+    { start: 10, end: 22, duration: 3, speed: 4, reason: '静止画' },
+  ];
+  const cutCandidates = [
+    { start: 2, end: 3.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.9 },
+    { start: 5, end: 5, duration: 0, type: 'scene_change', reason: 'シーン変化', confidence: 0.6, isMarker: true },
+  ];
+
+  test('編集スクリプト', () => {
+    const jsx = exporter.generateJSX('/media/video.mp4', keepClips, settings, {
+      markers: mapper.buildMarkers(cutCandidates, keepClips, [{ start: 4, name: '本編 "1"' }]),
+    });
+    expect(jsx).toMatchSnapshot();
+  });
+
+  test('複数素材の編集スクリプト', () => {
+    const jsx = exporter.generateJSX('/media/cam-a.mp4', [
+      { start: 0, end: 2, duration: 2, sourceIndex: 0 },
+      { start: 1, end: 4, duration: 3, sourceIndex: 1 },
+    ], settings, {
+      sources: [{ path: '/media/cam-a.mp4' }, { path: '/media/cam-b.mp4' }],
+      name: 'multicam',
+    });
+    expect(jsx).toMatchSnapshot();
+  });
+});
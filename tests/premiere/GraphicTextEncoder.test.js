@@ -0,0 +1,75 @@
+import config from '../../config/default.config.js';
+import { GraphicTextEncoder } from '../../src/premiere/GraphicTextEncoder.js';
+
+// 以前出力していた固定長のテキストデータ（ヘッダー 240バイト + テキスト 302バイト + フッター 126バイト）
+const LEGACY_HEADER = 'kAIAAAAAAABEMyIRDAAAAAAABgAKAAQABgAAAGQAAAAAAF4AJAAUABAAAAAAACAAHAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADwAAAAgAAAAAABsABwBeAAAAAAAAARwAAAAAAAABJAAAADwAAAAAAAAAAgAAAAIAAAAQ/v//FP7//xj+//8c/v//AQAAAAQAAAANAAAAWXVHb3RoaWMtQm9sZAAAAAEAAAAMAAAACAAMAAQACAAIAAAACAAAAGwBAAAsAQAA';
+const LEGACY_FOOTER = 'NgAgAAAAHAAAAAAAGAAXABAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAwAAAAIAAQANgAAAAIAAAAYAAAAHAAAAAAAEEAAAAABIAAAAAAAkELg////BAAGAAQAAAAAAAoACAAFAAYABwAKAAAAAAAAAAQABAAEAAAA';
+
+const legacyBlob = text => {
+  const textSection = Buffer.alloc(302);
+  Buffer.from(text, 'utf-8').copy(textSection);
+  return Buffer.concat([Buffer.from(LEGACY_HEADER, 'base64'), textSection, Buffer.from(LEGACY_FOOTER, 'base64')]).toString('base64');
+};
+
+describe('GraphicTextEncoder', () => {
+  const encoder = new GraphicTextEncoder(config);
+
+  test('テキスト・フォント・塗り・境界線を往復できる', () => {
+    const decoded = encoder.decode(encoder.encode('こんにちは', {
+      fontFamily: 'Impact',
+      fontSize: 56,
+      color: '#FF3333',
+      strokeColor: 'white',
+      strokeWidth: 5,
+    }));
+
+    expect(decoded).toEqual({
+      text: 'こんにちは',
+      fontFamily: 'Impact',
+      fontSize: 56,
+      color: '#FF3333',
+      strokeColor: '#FFFFFF',
+      strokeWidth: 5,
+    });
+  });
+
+  test('旧形式の上限（302バイト）を超えるテキストも切り詰めない', () => {
+    const text = 'あいうえお'.repeat(30);
+    expect(Buffer.byteLength(text, 'utf-8')).toBeGreaterThan(302);
+
+    const decoded = encoder.decode(encoder.encode(text));
+    expect(decoded.text).toBe(text);
+  });
+
+  test('境界線の幅が0の場合は境界線を書き込まない', () => {
+    const decoded = encoder.decode(encoder.encode('テロップ', { fontColor: 'rgba(0, 0, 255, 0.5)', strokeWidth: 0 }));
+    expect(decoded).toMatchObject({ color: '#0000FF', strokeColor: null, strokeWidth: 0 });
+  });
+
+  test('設定の defaultStyle を既定値に使う', () => {
+    const decoded = encoder.decode(encoder.encode('テロップ'));
+    const base = config.caption.defaultStyle;
+    expect(decoded).toMatchObject({
+      fontFamily: 'ArialMT',
+      fontSize: base.fontSize,
+      color: base.color,
+      strokeColor: base.strokeColor,
+      strokeWidth: base.strokeWidth,
+    });
+  });
+
+  test('旧形式（固定長）のテキストデータを読み取る', () => {
+    expect(encoder.decode(legacyBlob('旧形式のテロップ'))).toEqual({
+      text: '旧形式のテロップ',
+      fontFamily: 'YuGothic-Bold',
+      fontSize: 72,
+      color: null,
+      strokeColor: null,
+      strokeWidth: 0,
+    });
+  });
+
+  test('テキストデータでないものは null', () => {
+    expect(encoder.decode(Buffer.from('not a text blob').toString('base64'))).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+import config from '../../config/default.config.js';
+import { OTIOAdapter } from '../../src/premiere/OTIOAdapter.js';
+import { PremiereIntegration } from '../../src/premiere/PremiereIntegration.js';
+import { TimelineMapper } from '../../src/timeline/TimelineMapper.js';
+
+describe('OTIOAdapter', () => {
+  const adapter = new OTIOAdapter(config);
+  const mapper = new TimelineMapper(config);
+  const settings = new PremiereIntegration(config).resolveSequenceSettings(null);
+
+  const keepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+    { start: 10, end: 22, duration: 3, speed: 4, reason: '静止画' },
+  ];
+  const cutCandidates = [
+    { start: 2, end: 3.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.9 },
+    { start: 5, end: 5, duration: 0, type: 'scene_change', reason: 'シーン変化', confidence: 0.6, isMarker: true },
+  ];
+  const captions = mapper.mapCaptions([
+    { text: 'こんにちは', start: 0.5, end: 1.8 },
+    { text: '本題です', start: 4, end: 6 },
+  ], keepClips);
+
+  const roundTrip = () => {
+    const otio = adapter.generateOTIO('/media/video.mp4', keepClips, captions, settings, {
+      markers: mapper.buildMarkers(cutCandidates, keepClips, [{ start: 4, name: '本編' }]),
+      cutCandidates,
+      sourceDuration: 30,
+    });
+    return adapter.parseOTIO(JSON.parse(JSON.stringify(otio)));
+  };
+
+  test('保持クリップと早送りの速度を復元する', () => {
+    const parsed = roundTrip();
+    expect(parsed.videoPath).toBe('/media/video.mp4');
+    expect(parsed.sourceDuration).toBe(30);
+    expect(parsed.keepClips).toHaveLength(3);
+    parsed.keepClips.forEach((clip, i) => {
+      expect(clip.start).toBeCloseTo(keepClips[i].start, 1);
+      expect(clip.end).toBeCloseTo(keepClips[i].end, 1);
+    });
+    expect(parsed.keepClips[2].speed).toBe(4);
+  });
+
+  test('テロップ・カット理由・チャプターを復元する', () => {
+    const parsed = roundTrip();
+    expect(parsed.captions.map(c => c.text)).toEqual(['こんにちは', '本題です']);
+    expect(parsed.captions[1].sourceStart).toBeCloseTo(4, 1);
+    expect(parsed.cutCandidates.filter(c => !c.isMarker)).toEqual([cutCandidates[0]]);
+    expect(parsed.cutCandidates.filter(c => c.isMarker).map(c => c.type)).toEqual(['scene_change']);
+    expect(parsed.chapters).toEqual([expect.objectContaining({ name: '本編' })]);
+    expect(parsed.chapters[0].start).toBeCloseTo(4, 1);
+  });
+
+  test('並べ替えたクリップのテロップをクリップの順に対応付ける', () => {
+    const premiere = new PremiereIntegration(config);
+    const reordered = [
+      { start: 20, end: 30, duration: 10 },
+      { start: 0, end: 10, duration: 10 },
+    ];
+    const mapped = mapper.mapCaptions([
+      { text: 'A', start: 22, end: 25 },
+      { text: 'B', start: 2, end: 5 },
+    ], reordered);
+    expect(mapped.map(c => [c.text, c.start, c.end])).toEqual([['A', 2, 5], ['B', 12, 15]]);
+
+    const otio = adapter.generateOTIO('/media/video.mp4', reordered, mapped, settings, { sourceDuration: 30 });
+    const parsed = adapter.parseOTIO(JSON.parse(JSON.stringify(otio)));
+    expect(parsed.keepClips.map(clip => Math.round(clip.start))).toEqual([20, 0]);
+    expect(parsed.captions.map(c => [c.text, c.clipIndex, Math.round(c.sourceStart)])).toEqual([['A', 0, 22], ['B', 1, 2]]);
+
+    const srt = premiere.generateSRT(parsed.keepClips, parsed.captions, settings);
+    expect(srt).toContain('00:00:02,000 --> 00:00:05,000\nA');
+    expect(srt).toContain('00:00:12,000 --> 00:00:15,000\nB');
+  });
+
+  test('早送りのクリップ上のテロップは元動画の長さに戻す', () => {
+    const clips = [
+      { start: 0, end: 2, duration: 2 },
+      { start: 10, end: 22, duration: 3, speed: 4 },
+    ];
+    const mapped = mapper.mapCaptions([{ text: '早送り中', start: 12, end: 16 }], clips);
+    const otio = adapter.generateOTIO('/media/video.mp4', clips, mapped, settings, { sourceDuration: 30 });
+    const [caption] = adapter.parseOTIO(JSON.parse(JSON.stringify(otio))).captions;
+
+    expect(caption.start).toBeCloseTo(2.5, 1);
+    expect(caption.end).toBeCloseTo(3.5, 1);
+    expect(caption.sourceStart).toBeCloseTo(12, 1);
+    expect(caption.sourceEnd).toBeCloseTo(16, 1);
+  });
+
+  test('タイムライン以外はエラー', () => {
+    expect(() => adapter.parseOTIO({ OTIO_SCHEMA: 'Clip.1' })).toThrow('OTIOタイムラインではありません');
+  });
+});
@@ -0,0 +1,46 @@
+import config from '../../config/default.config.js';
+import { ExportValidator } from '../../src/premiere/ExportValidator.js';
+import { PremiereIntegration } from '../../src/premiere/PremiereIntegration.js';
+
+describe('PremiereIntegration', () => {
+  const premiere = new PremiereIntegration(config);
+  const validator = new ExportValidator(config);
+  const settings = premiere.resolveSequenceSettings(null);
+
+  describe('チャプターごとのシーケンス', () => {
+    const keepClips = [
+      { start: 0, end: 2, duration: 2 },
+      { start: 3.5, end: 10, duration: 6.5 },
+      { start: 12, end: 20, duration: 8 },
+    ];
+    const cutCandidates = [
+      { start: 2, end: 3.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.9 },
+      { start: 10, end: 12, duration: 2, type: 'silence', reason: '無音', confidence: 0.9 },
+    ];
+    const captions = premiere.timelineMapper.mapCaptions([
+      { text: '前半', start: 0.5, end: 1.5 },
+      { text: '続き', start: 4, end: 6 },
+      { text: '後半', start: 13, end: 15 },
+    ], keepClips);
+    const chapterSequences = premiere.resolveChapterSequences(keepClips, cutCandidates, [{ start: 12, name: '後半' }], { minDuration: 1 });
+    const xml = premiere.generateProjectXML('/media/video.mp4', keepClips, captions, settings, {
+      cutCandidates,
+      chapterSequences,
+      reviewTrack: true,
+      sourceDuration: 20,
+    });
+
+    test('テロップのidが文書全体で重複しない', () => {
+      const ids = [...xml.matchAll(/<clipitem id="([^"]+)">/g)].map(match => match[1]);
+      const fileIds = [...xml.matchAll(/<file id="([^"]*caption[^"]*)">/g)].map(match => match[1]);
+
+      expect(chapterSequences).toHaveLength(2);
+      expect(ids).toEqual(['chapter-1-caption-1', 'chapter-1-caption-2', 'chapter-2-caption-1']);
+      expect(new Set(fileIds).size).toBe(fileIds.length);
+    });
+
+    test('検証を通る', () => {
+      expect(validator.validateXMEML(xml)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import config from '../../config/default.config.js';
+import { PremiereIntegration } from '../../src/premiere/PremiereIntegration.js';
+import { XMEMLParser } from '../../src/premiere/XMEMLParser.js';
+
+describe('XMEMLParser', () => {
+  const premiere = new PremiereIntegration(config);
+  const parser = new XMEMLParser(config);
+  const settings = premiere.resolveSequenceSettings(null);
+
+  const keepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+    { start: 12, end: 20, duration: 8 },
+  ];
+  const cutCandidates = [
+    { start: 2, end: 3.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.9 },
+    { start: 10, end: 12, duration: 2, type: 'filler', reason: 'フィラー', confidence: 0.8 },
+  ];
+  const captions = premiere.timelineMapper.mapCaptions([
+    { text: 'こんにちは', start: 0.5, end: 1.8 },
+    { text: '今日のテーマは', start: 4, end: 6 },
+  ], keepClips);
+
+  const exportXML = (clips = keepClips, options = {}) => premiere.generateProjectXML('/media/video.mp4', clips, captions, settings, {
+    markers: premiere.timelineMapper.buildMarkers(cutCandidates, clips),
+    cutCandidates,
+    ...options,
+  });
+
+  test('出力したxmemlから保持クリップ・テロップ・マーカーを復元する', () => {
+    const parsed = parser.parseXMEML(exportXML());
+
+    expect(parsed.name).toBe('video');
+    expect(parsed.sourceVideo).toBe('/media/video.mp4');
+    expect(parsed.keepClips).toHaveLength(3);
+    parsed.keepClips.forEach((clip, i) => {
+      expect(clip.start).toBeCloseTo(keepClips[i].start, 1);
+      expect(clip.end).toBeCloseTo(keepClips[i].end, 1);
+    });
+    expect(parsed.captions.map(c => c.text)).toEqual(['こんにちは', '今日のテーマは']);
+    expect(parsed.captions[1].sourceStart).toBeCloseTo(4, 1);
+    expect(parsed.markers.map(m => m.name)).toEqual(expect.arrayContaining(['カット: 無音', 'カット: フィラー']));
+  });
+
+  test('チャプターごとのシーケンスを展開して読み込む', () => {
+    const chapterSequences = premiere.resolveChapterSequences(keepClips, cutCandidates, [{ start: 12, name: '後半' }], { minDuration: 1 });
+    const parsed = parser.parseXMEML(exportXML(keepClips, { chapterSequences }));
+
+    expect(chapterSequences.length).toBeGreaterThan(1);
+    expect(parsed.keepClips.map(clip => Math.round(clip.start))).toEqual([0, 4, 12]);
+    expect(parsed.captions.map(c => c.text)).toEqual(['こんにちは', '今日のテーマは']);
+  });
+
+  test('早送りのクリップを元動画の範囲に正確に戻す', () => {
+    const clips = [
+      { start: 0, end: 15, duration: 15 },
+      { start: 15, end: 27, duration: 3, speed: 4 },
+      { start: 27, end: 30, duration: 3 },
+    ];
+    const parsed = parser.parseXMEML(premiere.generateProjectXML('/media/video.mp4', clips, [], settings, {
+      markers: premiere.timelineMapper.buildMarkers([{ start: 20, end: 20, type: 'scene_change', reason: 'シーン変化', isMarker: true }], clips),
+    }));
+
+    expect(parsed.keepClips.map(clip => [clip.start, clip.end, clip.speed])).toEqual([[0, 15, undefined], [15, 27, 4], [27, 30, undefined]]);
+    // 早送りのクリップ上のマーカーはシーケンスの1フレーム（元動画の4フレーム）単位
+    const marker = parsed.markers.find(m => m.name === 'シーン変化');
+    expect(Math.abs(marker.sourceTime - 20)).toBeLessThanOrEqual(4 / settings.frameRate.fps);
+  });
+
+  test('Premiereでトリムされた早送りのクリップは in/out から範囲を求める', () => {
+    const xml = premiere.generateProjectXML('/media/video.mp4', [{ start: 15, end: 27, duration: 3, speed: 4 }], [], settings, {})
+      .replace(/<in>(\d+)<\/in>/, (match, inFrame) => `<in>${Number(inFrame) + 10}</in>`)
+      .replace(/<start>0<\/start>/, '<start>10</start>');
+    const [clip] = parser.parseXMEML(xml).keepClips;
+
+    expect(clip.start).toBeGreaterThan(15 + 1);
+    expect(clip.end).toBeCloseTo(27, 0);
+  });
+
+  test('複数素材のクリップを素材ごとの sourceIndex に戻す', () => {
+    const clips = [
+      { start: 0, end: 2, duration: 2, sourceIndex: 0 },
+      { start: 1, end: 4, duration: 3, sourceIndex: 1 },
+      { start: 5, end: 8, duration: 3, sourceIndex: 1 },
+    ];
+    const sources = [{ path: '/media/cam-a.mp4' }, { path: '/media/cam-b.mp4' }];
+    const xml = premiere.generateProjectXML('/media/cam-a.mp4', clips, [], settings, { sources });
+
+    const parsed = parser.parseXMEML(xml, { sources: ['/media/cam-a.mp4', '/media/cam-b.mp4'] });
+    expect(parsed.keepClips.map(clip => [clip.sourceIndex, Math.round(clip.start)])).toEqual([[0, 0], [1, 1], [1, 5]]);
+
+    // 元の素材一覧と順番が違っても、パスで対応付ける
+    const reordered = parser.parseXMEML(xml, { sources: ['/other/cam-b.mp4', '/media/cam-a.mp4'] });
+    expect(reordered.keepClips.map(clip => clip.sourceIndex)).toEqual([1, 0, 0]);
+
+    // 素材一覧がない場合はXMLで使われた順
+    const unordered = parser.parseXMEML(xml);
+    expect(unordered.sources).toEqual(['/media/cam-a.mp4', '/media/cam-b.mp4']);
+    expect(unordered.keepClips.map(clip => clip.sourceIndex)).toEqual([0, 1, 1]);
+  });
+
+  test('単一素材のクリップには sourceIndex を付けない', () => {
+    const parsed = parser.parseXMEML(exportXML());
+    expect(parsed.keepClips.every(clip => clip.sourceIndex === undefined)).toBe(true);
+  });
+
+  test('xmeml以外はエラー', () => {
+    expect(() => parser.parseXMEML('<fcpxml version="1.9"></fcpxml>')).toThrow('xmemlのシーケンスが見つかりません');
+    expect(() => parser.parseXMEML('<xmeml><sequence></xmeml>')).toThrow('XMLの構造が不正です');
+  });
+});
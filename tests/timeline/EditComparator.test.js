@@ -0,0 +1,65 @@
+import config from '../../config/default.config.js';
+import { EditComparator } from '../../src/timeline/EditComparator.js';
+
+describe('EditComparator', () => {
+  const comparator = new EditComparator(config);
+  const originalKeepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+    { start: 10, end: 22, duration: 3, speed: 4 },
+  ];
+  const cutCandidates = [
+    { start: 2, end: 3.5, duration: 1.5, type: 'silence', reason: '無音', confidence: 0.6 },
+    { start: 10, end: 22, duration: 12, type: 'frozen_frame', reason: '静止画', confidence: 0.8, disposition: 'speed' },
+    { start: 22, end: 30, duration: 8, type: 'frozen_frame', reason: '静止画', confidence: 0.8 },
+  ];
+
+  test('復元されたカットと追加されたカットを求める', () => {
+    const editedKeepClips = [
+      { start: 0, end: 6, duration: 6 },
+      { start: 7, end: 10, duration: 3 },
+      { start: 10, end: 22, duration: 3, speed: 4 },
+    ];
+    const result = comparator.compare(originalKeepClips, cutCandidates, editedKeepClips, 30);
+
+    expect(result.restoredCuts.map(c => c.type)).toEqual(['silence']);
+    expect(result.addedCuts).toEqual([expect.objectContaining({ start: 6, end: 7, type: 'manual' })]);
+    expect(result.summary).toMatchObject({ restoredCount: 1, addedCount: 1, restoredDuration: '1.50', addedDuration: '1.00' });
+  });
+
+  test('早送りの候補は復元されていないカットとして数えない', () => {
+    const result = comparator.compare(originalKeepClips, cutCandidates, originalKeepClips, 30);
+
+    expect(result.byType.frozen_frame).toEqual({ total: 1, restored: 0, restoreRate: '0.00%' });
+    expect(result.byType.silence).toEqual({ total: 1, restored: 0, restoreRate: '0.00%' });
+  });
+
+  test('複数素材は素材ごとに比較する', () => {
+    const original = [
+      { start: 0, end: 5, duration: 5, sourceIndex: 0 },
+      { start: 0, end: 5, duration: 5, sourceIndex: 1 },
+    ];
+    const cuts = [
+      { start: 5, end: 8, duration: 3, type: 'silence', reason: '無音', confidence: 0.6, sourceIndex: 0 },
+      { start: 5, end: 8, duration: 3, type: 'silence', reason: '無音', confidence: 0.6, sourceIndex: 1 },
+    ];
+    const edited = [
+      { start: 0, end: 8, duration: 8, sourceIndex: 0 },
+      { start: 0, end: 4, duration: 4, sourceIndex: 1 },
+    ];
+    const result = comparator.compare(original, cuts, edited, [8, 8]);
+
+    expect(result.restoredCuts.map(c => c.sourceIndex)).toEqual([0]);
+    expect(result.addedCuts).toEqual([expect.objectContaining({ start: 4, end: 5, sourceIndex: 1 })]);
+    expect(result.byType.silence).toMatchObject({ total: 2, restored: 1 });
+    expect(comparator.applyToCutCandidates(cuts, result).map(c => [c.sourceIndex, c.type])).toEqual([[1, 'manual'], [1, 'silence']]);
+  });
+
+  test('復元されたカットを除き、追加されたカットを加える', () => {
+    const comparison = comparator.compare(originalKeepClips, cutCandidates, [{ start: 0, end: 10, duration: 10 }], 30);
+    const updated = comparator.applyToCutCandidates(cutCandidates, comparison);
+
+    expect(updated.find(c => c.type === 'silence')).toBeUndefined();
+    expect(updated.filter(c => c.type === 'manual')).toEqual([expect.objectContaining({ start: 10, end: 22 })]);
+  });
+});
@@ -0,0 +1,56 @@
+import { FrameRate } from '../../src/timeline/FrameRate.js';
+
+describe('FrameRate', () => {
+  describe('from', () => {
+    test('NTSCレートを timebase/ntsc の組にする', () => {
+      expect(FrameRate.from(29.97)).toMatchObject({ timebase: 30, ntsc: true, dropFrame: true });
+      expect(FrameRate.from('24000/1001')).toMatchObject({ timebase: 24, ntsc: true, dropFrame: false });
+      expect(FrameRate.from('30000/1001', { dropFrame: false })).toMatchObject({ timebase: 30, ntsc: true, dropFrame: false });
+      expect(FrameRate.from(25)).toMatchObject({ timebase: 25, ntsc: false, dropFrame: false });
+    });
+
+    test('不正な値はエラー', () => {
+      expect(() => FrameRate.from('abc')).toThrow('不正なフレームレート');
+      expect(() => FrameRate.from(0)).toThrow('不正なフレームレート');
+    });
+  });
+
+  describe('29.97fps ドロップフレーム', () => {
+    const frameRate = FrameRate.from(29.97);
+
+    test.each([
+      ['00:00:00;00', 0],
+      ['00:00:59;29', 1799],
+      ['00:01:00;02', 1800],
+      ['00:10:00;00', 17982],
+      ['01:00:00;00', 107892],
+      ['10:00:00;00', 1078920],
+    ])('%s ⇔ %i フレーム', (timecode, frames) => {
+      expect(frameRate.timecodeToFrames(timecode)).toBe(frames);
+      expect(frameRate.framesToTimecode(frames)).toBe(timecode);
+    });
+
+    test('1時間のタイムコードは実時間の1時間にほぼ一致する', () => {
+      expect(frameRate.framesToSeconds(frameRate.timecodeToFrames('01:00:00;00'))).toBeCloseTo(3599.9964, 3);
+    });
+  });
+
+  describe('ノンドロップフレーム', () => {
+    test('29.97fps NDF はフレーム番号を飛ばさない', () => {
+      const frameRate = FrameRate.from(29.97, { dropFrame: false });
+      expect(frameRate.framesToTimecode(1800)).toBe('00:01:00:00');
+      expect(frameRate.timecodeToFrames('10:00:00:00')).toBe(1080000);
+    });
+
+    test('25fps', () => {
+      const frameRate = FrameRate.from(25);
+      expect(frameRate.framesToTimecode(90061)).toBe('01:00:02:11');
+      expect(frameRate.secondsToFrames(1.5)).toBe(38);
+    });
+  });
+
+  test('有理数の時間表記', () => {
+    expect(FrameRate.from(29.97).framesToRationalTime(3)).toBe('3003/30000s');
+    expect(FrameRate.from(25).framesToRationalTime(0)).toBe('0s');
+  });
+});
@@ -0,0 +1,56 @@
+import config from '../../config/default.config.js';
+import { FrameRate } from '../../src/timeline/FrameRate.js';
+import { FrameTimeline } from '../../src/timeline/FrameTimeline.js';
+import { TimelineMapper } from '../../src/timeline/TimelineMapper.js';
+
+describe('FrameTimeline', () => {
+  const frameTimeline = new FrameTimeline(config);
+  const mapper = new TimelineMapper(config);
+  const frameRate = new FrameRate(30);
+  const keepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+  ];
+
+  describe('buildClips', () => {
+    test('量子化したクリップを隙間なく詰める', () => {
+      const clips = frameTimeline.buildClips(keepClips, frameRate);
+      expect(clips.map(c => [c.in, c.out, c.start, c.end])).toEqual([
+        [0, 60, 0, 60],
+        [105, 300, 60, 255],
+      ]);
+    });
+
+    test('早送りのクリップはレコード側の長さが 1/speed', () => {
+      const [clip] = frameTimeline.buildClips([{ start: 0, end: 4, duration: 1, speed: 4 }], frameRate);
+      expect(clip).toMatchObject({ in: 0, out: 120, duration: 30, speed: 4 });
+    });
+  });
+
+  describe('buildCaptions', () => {
+    const clips = frameTimeline.buildClips(keepClips, frameRate);
+
+    test('載せ替え済みのテロップをクリップの境界にそろえる', () => {
+      const captions = mapper.mapCaptions([{ text: '跨ぐ', start: 1, end: 5 }], keepClips);
+      const placed = frameTimeline.buildCaptions(captions, clips, frameRate);
+      expect(placed.map(p => [p.start, p.end])).toEqual([[30, 60], [60, 105]]);
+    });
+
+    test('前のテロップとの重なりを除き、シーケンスの末尾で切る', () => {
+      const placed = frameTimeline.buildCaptions([
+        { text: '1', start: 0, end: 1.5 },
+        { text: '2', start: 1, end: 2 },
+        { text: '3', start: 8, end: 12 },
+      ], clips, frameRate);
+      expect(placed.map(p => [p.index, p.start, p.end])).toEqual([[0, 0, 45], [1, 45, 60], [2, 240, 255]]);
+    });
+
+    test('重なりの除去で長さが0になるテロップは配置しない', () => {
+      const placed = frameTimeline.buildCaptions([
+        { text: '1', start: 0, end: 2 },
+        { text: '2', start: 0.5, end: 1.5 },
+      ], clips, frameRate);
+      expect(placed.map(p => p.index)).toEqual([0]);
+    });
+  });
+});
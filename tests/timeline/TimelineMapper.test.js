@@ -0,0 +1,67 @@
+import config from '../../config/default.config.js';
+import { TimelineMapper } from '../../src/timeline/TimelineMapper.js';
+
+describe('TimelineMapper', () => {
+  const mapper = new TimelineMapper(config);
+  const keepClips = [
+    { start: 0, end: 2, duration: 2 },
+    { start: 3.5, end: 10, duration: 6.5 },
+  ];
+
+  describe('toSequenceTime', () => {
+    const map = mapper.buildMap(keepClips);
+
+    test('保持クリップ内の時刻を詰めたシーケンスの時刻に変換する', () => {
+      expect(mapper.toSequenceTime(1, map)).toBe(1);
+      expect(mapper.toSequenceTime(4, map)).toBe(2.5);
+      expect(mapper.toSequenceTime(10, map)).toBe(8.5);
+    });
+
+    test('カットされた位置と別の素材は null', () => {
+      expect(mapper.toSequenceTime(3, map)).toBeNull();
+      expect(mapper.toSequenceTime(1, map, 1)).toBeNull();
+    });
+
+    test('早送りのクリップでは元の時間の 1/speed 進む', () => {
+      const rampMap = mapper.buildMap([
+        { start: 0, end: 2, duration: 2 },
+        { start: 2, end: 10, duration: 2, speed: 4 },
+      ]);
+      expect(mapper.toSequenceTime(6, rampMap)).toBe(3);
+      expect(mapper.toSourceTime(3, rampMap).sourceTime).toBe(6);
+    });
+  });
+
+  describe('mapCaptions', () => {
+    test('カットを跨ぐテロップを保持クリップごとに分割する', () => {
+      const [first, second] = mapper.mapCaptions([{ text: 'こんにちは', start: 1, end: 5 }], keepClips);
+      expect(first).toMatchObject({ text: 'こんにちは', start: 1, end: 2, sourceStart: 1, sourceEnd: 2, clipIndex: 0, id: 1 });
+      expect(second).toMatchObject({ text: 'こんにちは', start: 2, end: 3.5, sourceStart: 3.5, sourceEnd: 5, clipIndex: 1, id: 2 });
+    });
+
+    test('カット範囲内のテロップは削除する', () => {
+      expect(mapper.mapCaptions([{ text: '無音', start: 2.2, end: 3.3 }], keepClips)).toEqual([]);
+    });
+
+    test('カット境界でトリムされて短くなった断片は1つだけでも削除する', () => {
+      const captions = mapper.mapCaptions([{ text: '境界', start: 1.99, end: 3.0 }], keepClips);
+      expect(captions).toEqual([]);
+    });
+
+    test('トリムされていない短いテロップは残す', () => {
+      const captions = mapper.mapCaptions([{ text: 'はい', start: 5, end: 5.2 }], keepClips);
+      expect(captions).toHaveLength(1);
+      expect(captions[0].start).toBeCloseTo(3.5);
+      expect(captions[0].end).toBeCloseTo(3.7);
+    });
+
+    test('素材ごとにマッピングする', () => {
+      const clips = [
+        { start: 0, end: 2, duration: 2, sourceIndex: 0 },
+        { start: 0, end: 3, duration: 3, sourceIndex: 1 },
+      ];
+      const [caption] = mapper.mapCaptions([{ text: '2本目', start: 1, end: 2, sourceIndex: 1 }], clips);
+      expect(caption).toMatchObject({ start: 3, end: 4, clipIndex: 1 });
+    });
+  });
+});